@@ -1,12 +1,21 @@
 module.exports = {
   testEnvironment: 'jsdom',
   testMatch: [
-    '**/src/inline-checker/tests/**/*.test.js'
+    '**/src/inline-checker/tests/**/*.test.js',
+    '**/src/providers/tests/**/*.test.js',
+    '**/src/messaging/tests/**/*.test.js',
+    '**/src/diff/tests/**/*.test.js'
   ],
   setupFilesAfterEnv: ['<rootDir>/src/inline-checker/tests/setup.js'],
   collectCoverageFrom: [
     'src/inline-checker/core/**/*.js',
-    '!src/inline-checker/tests/**'
+    'src/providers/**/*.js',
+    'src/messaging/**/*.js',
+    'src/diff/**/*.js',
+    '!src/inline-checker/tests/**',
+    '!src/providers/tests/**',
+    '!src/messaging/tests/**',
+    '!src/diff/tests/**'
   ],
   verbose: true
 };
\ No newline at end of file
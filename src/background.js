@@ -1,17 +1,31 @@
 const browserAPI = (typeof browser !== 'undefined' ? browser : chrome);
 
+// Shared scripts are listed as background scripts in MV2 and imported in the MV3 service worker
+if (typeof importScripts === 'function') {
+  importScripts('prompts.js', 'messaging/MessageProtocol.js', 'providers/ProviderAdapters.js', 'providers/ProviderProfiles.js', 'providers/KeyVault.js', 'providers/AnalysisSchema.js', 'providers/RequestScheduler.js', 'providers/UsageStats.js', 'providers/ConversationStore.js', 'providers/CandidateHistory.js');
+}
+
 // Inline checker will be handled by content scripts for now
 
-const DEFAULT_PROMPTS = [
-  { id: 'fix_grammar', title: 'Fix spelling and grammar', prompt: 'Fix the spelling and grammar. Return only the corrected text without quotes, explanations, or additional text:' },
-  { id: 'improve_writing', title: 'Improve writing', prompt: 'Enhance the following text to improve clarity and flow. Return only the improved text without quotes, explanations, or additional text:' },
-  { id: 'make_professional', title: 'Make more professional', prompt: 'Rewrite the text in a formal, professional tone. Return only the rewritten text without quotes, explanations, or additional text:' },
-  { id: 'simplify', title: 'Simplify text', prompt: 'Simplify this text using simpler words and shorter sentences. Return only the simplified text without quotes, explanations, or additional text:' },
-  { id: 'summarize', title: 'Summarize text', prompt: 'Provide a concise summary. Return only the summary without quotes, explanations, or additional text:' },
-  { id: 'expand', title: 'Expand text', prompt: 'Elaborate on this text with more details and examples. Return only the expanded text without quotes, explanations, or additional text:' },
-  { id: 'bullet_points', title: 'Convert to bullet points', prompt: 'Convert this text into bullet points. Return only the bullet-point list without quotes, explanations, or additional text:' },
-  { id: 'analyze_grammar', title: 'Analyze grammar and writing', prompt: 'Analyze the following text for grammar, spelling, style, and clarity issues. Return your response as a JSON object with this exact structure: {"issues": [{"type": "grammar|spelling|style|clarity", "severity": "error|warning|suggestion", "startIndex": number, "endIndex": number, "message": "description of the issue", "suggestions": ["suggestion1", "suggestion2"]}]}. Return ONLY the JSON object, no additional text or explanations:' },
-];
+// Scripts of the content script, in the order the manifests list them
+const CONTENT_SCRIPT_FILES = ['messaging/MessageProtocol.js', 'diff/WordDiff.js', 'inline-checker/core/EditorAdapter.js', 'content.js'];
+
+// Context-menu item of the command that undoes the last replacement in a field
+const REVERT_MENU_ITEM_ID = 'feelly-revert-last-change';
+
+// Give up on a provider that has not answered (or, when streaming, sent a chunk) in this long
+const ENHANCE_TIMEOUT_MS = 60000;
+const ANALYSIS_TIMEOUT_MS = 30000;
+
+// Abort controllers of in-flight requests, keyed by the request id chosen by the content script
+const activeRequests = new Map();
+
+// Every provider request, retries included, goes through this scheduler. Context-menu actions use the
+// high-priority lane and inline analysis the low-priority one.
+const requestScheduler = new RequestScheduler({ limits: getProviderRateLimits({}) });
+
+// Message history of context-menu actions, so follow-up instructions refine the last answer
+const enhanceConversations = new ConversationStore();
 
 if (typeof importScripts === 'function') {
   browserAPI.runtime.onInstalled.addListener(handleInstall);
@@ -23,20 +37,53 @@ async function handleInstall(details) {
   if (details.reason === 'update') {
     log(`Extension updated from version ${details.previousVersion} to ${browserAPI.runtime.getManifest().version}`);
   }
+  await migrateApiKeys().catch(error => log(`Could not move API keys to local storage: ${error.message}`, 'error'));
   await updateContextMenu();
 }
 
+// Versions before the key vault kept API keys in synced settings. Move them into the
+// vault in storage.local, then clear them from storage.sync.
+async function migrateApiKeys() {
+  const items = await browserAPI.storage.sync.get({
+    apiKey: '',
+    llmProvider: 'gemini',
+    llmModel: 'gemini-2.5-flash',
+    customEndpoint: '',
+    llmProfiles: [],
+    defaultProfileId: ''
+  });
+  const { profiles, defaultProfileId } = normalizeProviderProfiles(items);
+  const { profiles: strippedProfiles, keys } = splitApiKeys(profiles);
+  if (!items.apiKey && Object.keys(keys).length === 0) {
+    return;
+  }
+
+  // A locked vault cannot take new keys; the options page moves them once it is unlocked
+  const stored = await loadStoredApiKeys(browserAPI);
+  if (stored.locked) {
+    log('API keys found in synced settings while the key vault is locked', 'warn');
+    return;
+  }
+
+  // Keys already in the vault are newer than synced ones
+  const merged = { ...keys, ...stored.keys };
+  const vault = stored.key ? await sealVault(merged, stored.key, stored.vault) : createPlainVault(merged);
+  await browserAPI.storage.local.set({ [KEY_VAULT_STORAGE_KEY]: vault });
+  await browserAPI.storage.sync.set({ apiKey: '', llmProfiles: strippedProfiles, defaultProfileId });
+  log(`Moved ${Object.keys(keys).length} API key(s) from synced settings to local storage`);
+}
+
 async function injectContentScript(tabId) {
   try {
     if (browserAPI === chrome) {
       await chrome.scripting.executeScript({
         target: { tabId },
-        files: ['content.js']
+        files: CONTENT_SCRIPT_FILES
       });
     } else {
-      await browser.tabs.executeScript(tabId, {
-        file: 'content.js'
-      });
+      for (const file of CONTENT_SCRIPT_FILES) {
+        await browser.tabs.executeScript(tabId, { file });
+      }
     }
   } catch (error) {
     console.error('Failed to inject content script:', error);
@@ -45,17 +92,24 @@ async function injectContentScript(tabId) {
 }
 
 browserAPI.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === REVERT_MENU_ITEM_ID) {
+    revertLastChangeInTab(tab.id);
+    return;
+  }
+
   browserAPI.storage.sync.get('customPrompts', async ({ customPrompts = [] }) => {
     const allPrompts = [...DEFAULT_PROMPTS, ...customPrompts];
     if (allPrompts.some(prompt => prompt.id === info.menuItemId)) {
       try {
         try {
-          await browserAPI.tabs.sendMessage(tab.id, { action: 'ping' });
-          await sendEnhanceTextMessage(tab.id, info.menuItemId, info.selectionText);
+          await messageClient.sendToTab(tab.id, 'ping');
         } catch (error) {
           await injectContentScript(tab.id);
-          await sendEnhanceTextMessage(tab.id, info.menuItemId, info.selectionText);
         }
+        await messageClient.sendToTab(tab.id, 'enhanceSelection', {
+          promptId: info.menuItemId,
+          selectedText: info.selectionText
+        });
       } catch (error) {
         console.error('Error handling context menu click:', error);
       }
@@ -63,550 +117,567 @@ browserAPI.contextMenus.onClicked.addListener((info, tab) => {
   });
 });
 
-// Handle inline checker messages
-browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  // Handle inline analysis requests
-  if (request.action === 'analyzeText') {
-    analyzeTextForInlineChecker(request.text, request.options || {})
-      .then(result => {
-        sendResponse({ success: true, result });
-      })
-      .catch(error => {
-        log(`Error analyzing text: ${error.message}`, 'error');
-        sendResponse({ success: false, error: error.message });
-      });
-    return true; // Indicates async response
-  }
-
-  // Handle inline checker configuration requests
-  if (request.action === 'getInlineConfig') {
-    getInlineCheckerConfig()
-      .then(config => {
-        sendResponse({ success: true, config });
-      })
-      .catch(error => {
-        sendResponse({ success: false, error: error.message });
-      });
-    return true;
+browserAPI.commands.onCommand.addListener(async (command) => {
+  if (command === 'revert-last-change') {
+    const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+    if (tab) {
+      revertLastChangeInTab(tab.id);
+    }
   }
-
-  // Continue with existing message handling...
 });
 
-async function sendEnhanceTextMessage(tabId, promptId, selectedText) {
-  try {
-    await browserAPI.tabs.sendMessage(tabId, {
-      action: 'enhanceText',
-      promptId: promptId,
-      selectedText: selectedText,
-    });
-  } catch (error) {
-    console.error('Error sending message:', error);
-    throw error;
-  }
+// Only a content script that made a change can revert it, so there is nothing to inject
+function revertLastChangeInTab(tabId) {
+  messageClient.sendToTab(tabId, 'revertLastChange').catch(error => {
+    log(`Could not revert the last change: ${error.message}`, 'warn');
+  });
 }
 
-// Handle existing enhance text messages
-const originalMessageListener = (request, sender, sendResponse) => {
-  if (request.action === 'enhanceText') {
-    enhanceTextWithRateLimit(request.promptId, request.selectedText)
-      .then(enhancedText => {
-        sendResponse({ success: true, enhancedText });
-      })
-      .catch(error => {
-        log(`Error enhancing text: ${error.message}`, 'error');
-        sendResponse({ success: false, error: error.message });
-      });
-    return true;
-  }
-  return false;
-};
+// All runtime messages go through one router, which checks each message against
+// the schema of its action and rejects unexpected senders
+const messageClient = new MessageClient(browserAPI);
+
+const messageRouter = new MessageRouter({
+  analyzeText: (payload, { requestId }) => {
+    return runCancellableRequest(requestId, signal => analyzeTextForInlineChecker(payload.text, payload.options || {}, signal));
+  },
+
+  enhanceText: async (payload, { requestId }) => {
+    const { text, provider } = await runCancellableRequest(requestId, signal => enhanceTextWithLLM(payload.promptId, payload.selectedText, signal, {
+      confirmedOverBudget: payload.confirmedOverBudget
+    }));
+    return { enhancedText: text, provider };
+  },
+
+  // Cancel an analysis or enhancement that is queued or in flight
+  cancelRequest: (payload) => ({ cancelled: cancelRequest(payload.id) }),
+
+  // The preview of a conversation was closed, so no follow-ups will come
+  endConversation: (payload) => {
+    enhanceConversations.delete(payload.id);
+  },
+
+  // The user settled on one of several versions
+  recordCandidateChoice: (payload) => {
+    if (!isValidCandidateChoice(payload)) {
+      throw new Error(`Version ${payload.chosen + 1} of ${payload.count} does not exist`);
+    }
+    return recordCandidateChoice(payload);
+  },
 
-browserAPI.runtime.onMessage.addListener(originalMessageListener);
+  getInlineConfig: () => getInlineCheckerConfig(),
 
-async function enhanceTextWithLLM(promptId, text) {
-  const config = await getConfig();
-  const llmProvider = config.llmProvider;
-  const customPrompts = config.customPrompts || [];
-  if (!llmProvider) {
-    throw new Error('LLM provider not set. Please set it in the extension options.');
+  // Error actions in the page open the settings, which content scripts cannot do themselves
+  openOptionsPage: () => {
+    browserAPI.runtime.openOptionsPage();
   }
-  
-  const allPrompts = [...DEFAULT_PROMPTS, ...customPrompts];
-  const prompt = allPrompts.find(p => p.id === promptId)?.prompt;
-  if (!prompt) {
-    throw new Error('Invalid prompt ID');
-  }
-  const fullPrompt = `${prompt}:\n\n${text}`;
-
-  const enhanceFunctions = {
-    openai: enhanceWithOpenAI,
-    anthropic: enhanceWithAnthropic,
-    ollama: enhanceWithOllama,
-    lmstudio: enhanceWithLMStudio,
-    groq: enhanceWithGroq,
-    openrouter: enhanceWithOpenRouter,
-    gemini: enhanceWithGemini,
-  };
+}, {
+  api: browserAPI,
+  streams: { streamEnhancedText: streamEnhancedTextToPort },
+  serializeError: serializeProviderError,
+  onError: (action, error) => log(`Error handling "${action}": ${error.message}`, 'error')
+});
 
-  const enhanceFunction = enhanceFunctions[llmProvider];
-  if (!enhanceFunction) {
-    throw new Error('Invalid LLM provider selected');
-  }
+messageRouter.listen();
 
-  return await enhanceFunction(fullPrompt);
+// Stream a context-menu enhancement to the content script over its port
+function streamEnhancedTextToPort(payload, { requestId, port }) {
+  const controller = trackRequest(requestId);
+  const postMessage = (message) => {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      // Port was closed by the content script
+    }
+  };
+
+  port.onDisconnect.addListener(() => controller.abort());
+
+  enhanceTextStreamWithLLM(payload.promptId, payload.selectedText, (delta) => {
+    postMessage({ type: 'delta', delta });
+  }, controller.signal, {
+    confirmedOverBudget: payload.confirmedOverBudget,
+    instruction: payload.instruction,
+    conversationId: payload.conversationId
+  })
+    .then(({ text, provider, candidates }) => {
+      postMessage({ type: 'done', enhancedText: text, provider, ...(candidates ? { candidates } : {}) });
+    })
+    .catch(error => {
+      if (controller.signal.aborted) {
+        postMessage({ type: 'cancelled' });
+        return;
+      }
+      if (error.budget) {
+        postMessage({ type: 'budget_exceeded', budget: error.budget, error: serializeProviderError(error) });
+        return;
+      }
+      log(`Error streaming enhanced text: ${error.message}`, 'error');
+      postMessage({ type: 'error', error: serializeProviderError(error) });
+    })
+    .finally(() => releaseRequest(requestId, controller));
 }
 
-// New function for inline checker analysis
-async function analyzeTextForInlineChecker(text, options = {}) {
-  const config = await getConfig();
-  const llmProvider = config.llmProvider;
-  
-  if (!llmProvider) {
-    throw new Error('LLM provider not set. Please set it in the extension options.');
+// Run a request the sender can cancel by its id; once cancelled it rejects with an AbortError
+async function runCancellableRequest(requestId, run) {
+  const controller = trackRequest(requestId);
+  try {
+    return await run(controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      const cancelled = new Error('Request cancelled');
+      cancelled.name = 'AbortError';
+      throw cancelled;
+    }
+    throw error;
+  } finally {
+    releaseRequest(requestId, controller);
   }
+}
 
-  // Use the analyze_grammar prompt for inline checking
-  const analysisPrompt = DEFAULT_PROMPTS.find(p => p.id === 'analyze_grammar')?.prompt;
-  if (!analysisPrompt) {
-    throw new Error('Analysis prompt not found');
+/**
+ * Register an abort controller for a request so it can be cancelled by id
+ * @param {string} requestId - Request id from the sender, if any
+ * @returns {AbortController}
+ */
+function trackRequest(requestId) {
+  const controller = new AbortController();
+  if (requestId) {
+    cancelRequest(requestId);
+    activeRequests.set(requestId, controller);
   }
+  return controller;
+}
 
-  const fullPrompt = `${analysisPrompt}\n\n${text}`;
-
-  const enhanceFunctions = {
-    openai: enhanceWithOpenAI,
-    anthropic: enhanceWithAnthropic,
-    ollama: enhanceWithOllama,
-    lmstudio: enhanceWithLMStudio,
-    groq: enhanceWithGroq,
-    openrouter: enhanceWithOpenRouter,
-    gemini: enhanceWithGemini,
-  };
-
-  const enhanceFunction = enhanceFunctions[llmProvider];
-  if (!enhanceFunction) {
-    throw new Error('Invalid LLM provider selected');
+function releaseRequest(requestId, controller) {
+  if (requestId && activeRequests.get(requestId) === controller) {
+    activeRequests.delete(requestId);
   }
+}
 
-  try {
-    const response = await enhanceFunction(fullPrompt);
-    
-    // Try to parse JSON response
-    let analysisResult;
-    try {
-      analysisResult = JSON.parse(response);
-    } catch (parseError) {
-      // If JSON parsing fails, return a basic structure
-      log(`Failed to parse analysis response as JSON: ${parseError.message}`, 'warn');
-      analysisResult = {
-        issues: [{
-          type: 'analysis',
-          severity: 'suggestion',
-          startIndex: 0,
-          endIndex: text.length,
-          message: 'Analysis completed but response format was unexpected',
-          suggestions: [response.trim()]
-        }]
-      };
-    }
-
-    return analysisResult;
-  } catch (error) {
-    throw new Error(`Failed to analyze text: ${error.message}`);
+/**
+ * Abort a queued or in-flight request
+ * @param {string} requestId - Request id from the sender
+ * @returns {boolean} Whether a request was cancelled
+ */
+function cancelRequest(requestId) {
+  const controller = activeRequests.get(requestId);
+  if (!controller) {
+    return false;
   }
+  activeRequests.delete(requestId);
+  controller.abort();
+  return true;
 }
 
-// Get inline checker configuration
-async function getInlineCheckerConfig() {
+async function enhanceTextWithLLM(promptId, text, signal, options = {}) {
   const config = await getConfig();
-  const inlineConfig = await browserAPI.storage.sync.get({
-    inlineCheckerEnabled: true,
-    analysisDelay: 500,
-    enabledIssueTypes: ['grammar', 'spelling', 'style', 'clarity'],
-    underlineColors: {
-      grammar: '#dc2626',
-      spelling: '#dc2626', 
-      style: '#f59e0b',
-      clarity: '#3b82f6'
-    }
+  const fullPrompt = buildEnhancePrompt(config, promptId, text);
+  const chain = await getEnhanceProviderChain(config, promptId, options);
+
+  return await runWithProviderFallback(chain, (profile) => {
+    return completeWithProvider(profile, fullPrompt, {}, buildProviderCallOptions(config, profile, {
+      signal,
+      timeoutMs: ENHANCE_TIMEOUT_MS,
+      priority: 'high',
+      promptId
+    }));
   });
-
-  return {
-    ...config,
-    ...inlineConfig
-  };
 }
 
-async function enhanceWithOpenAI(prompt) {
+async function enhanceTextStreamWithLLM(promptId, text, onDelta, signal, options = {}) {
   const config = await getConfig();
-  if (!config.apiKey) {
-    throw new Error('OpenAI API key not set. Please set it in the extension options.');
+  const messages = buildEnhanceMessages(config, promptId, text, options);
+  const chain = await getEnhanceProviderChain(config, promptId, options);
+
+  // Follow-ups refine the one version the user is looking at
+  const candidateCount = options.instruction ? 1 : getPromptCandidateCount(config, promptId);
+  if (candidateCount > 1) {
+    return enhanceTextCandidatesWithLLM(config, promptId, messages, chain, candidateCount, signal, options);
   }
 
-  const endpoint = config.customEndpoint || 'https://api.openai.com/v1/chat/completions';
+  let receivedText = false;
 
-  try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${encodeURIComponent(config.apiKey)}`,
-      },
-      body: JSON.stringify({
-        model: config.llmModel || 'gpt-3.5-turbo',
-        messages: [
-          { role: 'system', content: 'You are a helpful assistant.' },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 1000,
-        temperature: 0.7,
-      }),
+  const result = await runWithProviderFallback(chain, (profile) => {
+    const adapter = getProviderAdapter(profile);
+    const request = buildCompletionRequest(messages);
+    const callOptions = buildProviderCallOptions(config, profile, {
+      signal,
+      timeoutMs: ENHANCE_TIMEOUT_MS,
+      priority: 'high',
+      promptId
     });
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`OpenAI API request failed: ${errorData.error.message}`);
-    }
+    return scheduleProviderCall(profile, request, callOptions, scheduledOptions => adapter.stream(request, profile, (delta) => {
+      receivedText = true;
+      onDelta(delta);
+    }, scheduledOptions));
+  }, () => !receivedText);
 
-    const data = await response.json();
-    return data.choices[0].message.content.trim();
-  } catch (error) {
-    throw new Error(`Failed to enhance text with OpenAI. Error: ${error.message}`);
+  if (options.conversationId) {
+    enhanceConversations.save(options.conversationId, messages, result.text);
   }
+  return result;
 }
 
-async function enhanceWithAnthropic(prompt) {
-  const { apiKey, llmModel, customEndpoint } = await browserAPI.storage.sync.get(['apiKey', 'llmModel', 'customEndpoint']);
-
-  if (!apiKey) {
-    throw new Error('Anthropic API key not set. Please set it in the extension options.');
-  }
-
-  if (!llmModel) {
-    throw new Error('LLM model not set for Anthropic. Please set it in the extension options.');
-  }
-
-  const endpoint = customEndpoint || 'https://api.anthropic.com/v1/complete';
-
-  try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': apiKey,
-      },
-      body: JSON.stringify({
-        prompt: `Human: ${prompt}\n\nAssistant:`,
-        model: llmModel,
-        max_tokens_to_sample: 1000,
-        temperature: 0.7,
-      }),
+// Several versions to choose from: one call where the provider can return several
+// candidates, parallel calls otherwise, where versions whose call failed are left out.
+// Versions are not streamed. The conversation
+// continues from the first version until a follow-up names the one the user picked.
+async function enhanceTextCandidatesWithLLM(config, promptId, messages, chain, count, signal, options = {}) {
+  const result = await runWithProviderFallback(chain, async (profile) => {
+    const adapter = getProviderAdapter(profile);
+    const callOptions = buildProviderCallOptions(config, profile, {
+      signal,
+      timeoutMs: ENHANCE_TIMEOUT_MS,
+      priority: 'high',
+      promptId
     });
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`Anthropic API request failed: ${errorData.error || 'Unknown error'}`);
+    if (adapter.capabilities.multipleCandidates) {
+      const completion = await completeWithProvider(profile, messages, { candidateCount: count }, callOptions);
+      return { ...completion, candidates: completion.candidates || [completion.text] };
     }
 
-    const data = await response.json();
-    return data.completion.trim();
-  } catch (error) {
-    throw new Error(`Failed to enhance text with Anthropic. Error: ${error.message}`);
+    const outcomes = await Promise.allSettled(Array.from({ length: count }, () => completeWithProvider(profile, messages, {}, callOptions)));
+    return combineCandidateCompletions(outcomes);
+  });
+
+  const candidates = getDistinctCandidates(result.candidates);
+  const text = candidates[0] || result.text;
+  if (options.conversationId) {
+    enhanceConversations.save(options.conversationId, messages, text);
   }
+  return { ...result, text, candidates };
 }
 
-async function enhanceWithOllama(prompt) {
-  const { llmModel, customEndpoint, apiKey } = await browserAPI.storage.sync.get(['llmModel', 'customEndpoint', 'apiKey']);
-
-  if (!llmModel) {
-    throw new Error('LLM model not set for Ollama. Please set it in the extension options.');
+// Profiles a context-menu action may use. Profiles whose provider is over budget are
+// skipped; if that leaves none, the action runs anyway when the user has confirmed it
+// or chose to allow it, and otherwise fails with the budget attached.
+async function getEnhanceProviderChain(config, promptId, options) {
+  const { chain, exceeded } = await applyUsageBudgets(config, resolveProviderChain(config, promptId));
+  if (!exceeded) {
+    return chain;
   }
 
-  const endpoint = customEndpoint || 'http://localhost:11434/api/generate';
+  if (options.confirmedOverBudget || config.usageBudgets.overBudgetAction === 'allow') {
+    log(`Running over budget: ${exceeded.message}`, 'warn');
+    return resolveProviderChain(config, promptId);
+  }
 
-  try {
-    const headers = {
-      'Content-Type': 'application/json',
-    };
+  throw createProviderError(exceeded.message, {
+    code: 'quota',
+    provider: exceeded.provider,
+    hint: 'Raise the budget on the options page, or wait for the next period.',
+    budget: exceeded
+  });
+}
 
-    // Add authorization header if API key is provided (for remote Ollama instances)
-    if (apiKey) {
-      headers['Authorization'] = `Bearer ${apiKey}`;
+/**
+ * Drop profiles whose provider budget is used up, and check the inline checker budget
+ * @param {Object} config - Configuration from getConfig
+ * @param {Array<Object>} chain - Profiles to try
+ * @param {Object} options - {inline}
+ * @returns {Promise<Object>} {chain, exceeded} where exceeded is set when nothing may run
+ */
+async function applyUsageBudgets(config, chain, options = {}) {
+  const budgets = config.usageBudgets;
+  const { usageStats } = await browserAPI.storage.local.get({ usageStats: null });
+
+  if (options.inline) {
+    const exceeded = findExceededBudget(usageStats, budgets.inline, { promptId: INLINE_BUDGET_PROMPT_ID }, config.modelPrices);
+    if (exceeded) {
+      return {
+        chain: [],
+        exceeded: { ...exceeded, scope: 'inline', message: describeExceededBudget(exceeded, 'the inline checker') }
+      };
     }
+  }
 
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: headers,
-      body: JSON.stringify({
-        model: llmModel || 'llama2',
-        prompt: prompt,
-        stream: false,
-        options: {
-          temperature: 0.7,
-          top_p: 0.9,
-          top_k: 40,
-        }
-      }),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Ollama API request failed: ${response.status} ${response.statusText}. ${errorText}`);
+  let firstExceeded = null;
+  const allowed = chain.filter(profile => {
+    const provider = profile.llmProvider;
+    const exceeded = findExceededBudget(usageStats, (budgets.providers || {})[provider], { provider }, config.modelPrices);
+    if (exceeded && !firstExceeded) {
+      const label = providerRegistry.has(provider) ? providerRegistry.get(provider).label : provider;
+      firstExceeded = { ...exceeded, scope: 'provider', provider, message: describeExceededBudget(exceeded, label) };
     }
+    return !exceeded;
+  });
 
-    const data = await response.json();
-    
-    if (!data.response) {
-      throw new Error('Invalid response from Ollama API: missing response field');
-    }
+  return { chain: allowed, exceeded: allowed.length === 0 ? firstExceeded : null };
+}
 
-    return data.response.trim();
-  } catch (error) {
-    if (error.message.includes('fetch')) {
-      throw new Error(`Failed to connect to Ollama. Make sure Ollama is running on ${endpoint.split('/api')[0]}. Error: ${error.message}`);
-    }
-    throw new Error(`Failed to enhance text with Ollama. Error: ${error.message}`);
+/**
+ * Messages to send for a context-menu action or a follow-up instruction
+ * A follow-up continues its conversation, so the model refines its last answer. If the
+ * conversation is gone, for example because the service worker was restarted, the
+ * instruction is applied to the text of the preview in a new conversation instead.
+ * @param {Object} config - Configuration from getConfig
+ * @param {string} promptId - Prompt id of the action
+ * @param {string} text - Selected text, or for a follow-up the current result
+ * @param {Object} options - {instruction, conversationId}
+ * @returns {Array<Object>} [{role, content}]
+ */
+function buildEnhanceMessages(config, promptId, text, options = {}) {
+  const history = options.instruction && options.conversationId ? enhanceConversations.get(options.conversationId) : null;
+  if (history) {
+    // The preview may show another version than the one the conversation continued from
+    history[history.length - 1] = { role: 'assistant', content: text };
+    return [
+      ...history,
+      { role: 'user', content: `${options.instruction}\n\nRevise your last version accordingly. Return only the revised text without quotes, explanations, or additional text.` }
+    ];
   }
+  return [{ role: 'user', content: buildEnhancePrompt(config, promptId, text, options.instruction) }];
 }
 
-// NEW: Add LM Studio support
-async function enhanceWithLMStudio(prompt) {
-  const { llmModel, customEndpoint, apiKey } = await browserAPI.storage.sync.get(['llmModel', 'customEndpoint', 'apiKey']);
-
-  if (!llmModel) {
-    throw new Error('LLM model not set for LM Studio. Please set it in the extension options.');
+// A follow-up instruction, such as "shorter", replaces the prompt's own instruction;
+// the prompt id still decides which provider answers
+function buildEnhancePrompt(config, promptId, text, instruction) {
+  const customPrompts = config.customPrompts || [];
+  
+  const allPrompts = [...DEFAULT_PROMPTS, ...customPrompts];
+  const prompt = allPrompts.find(p => p.id === promptId)?.prompt;
+  if (!prompt) {
+    throw createProviderError('Invalid prompt ID', { code: 'config' });
   }
+  if (instruction) {
+    return `Rewrite the following text as instructed: ${instruction}\nReturn only the rewritten text without quotes, explanations, or additional text:\n\n${text}`;
+  }
+  return `${prompt}:\n\n${text}`;
+}
 
-  const endpoint = customEndpoint || 'http://localhost:1234/v1/chat/completions';
-
-  try {
-    const headers = {
-      'Content-Type': 'application/json',
-    };
+// New function for inline checker analysis
+async function analyzeTextForInlineChecker(text, options = {}, signal) {
+  const config = await getConfig();
 
-    // Add authorization header if API key is provided
-    if (apiKey) {
-      headers['Authorization'] = `Bearer ${apiKey}`;
-    }
+  // Use the analyze_grammar prompt for inline checking
+  const analysisPrompt = DEFAULT_PROMPTS.find(p => p.id === 'analyze_grammar')?.prompt;
+  if (!analysisPrompt) {
+    throw createProviderError('Analysis prompt not found', { code: 'config' });
+  }
 
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: headers,
-      body: JSON.stringify({
-        model: llmModel,
-        messages: [
-          { role: 'system', content: 'You are a helpful assistant.' },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 1000,
-        temperature: 0.7,
-        stream: false
-      }),
-    });
+  const fullPrompt = `${analysisPrompt}\n\n${text}`;
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`LM Studio API request failed: ${response.status} ${response.statusText}. ${errorText}`);
-    }
+  // Over budget is an expected state for the status widget rather than an error
+  const { chain, exceeded } = await applyUsageBudgets(config, resolveProviderChain(config, 'analyze_grammar'), { inline: true });
+  if (exceeded) {
+    return { status: 'budget_exceeded', issues: [], budget: exceeded };
+  }
 
-    const data = await response.json();
-    
-    if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-      throw new Error('Invalid response from LM Studio API: missing choices or message');
-    }
+  const { text: response, provider } = await runWithProviderFallback(chain, (profile) => {
+    return completeWithProvider(profile, fullPrompt, { responseSchema: ANALYSIS_RESPONSE_SCHEMA },
+      buildProviderCallOptions(config, profile, {
+        signal,
+        timeoutMs: ANALYSIS_TIMEOUT_MS,
+        priority: 'low',
+        promptId: INLINE_BUDGET_PROMPT_ID
+      }));
+  });
 
-    return data.choices[0].message.content.trim();
+  // Malformed issues are dropped; a response that is not JSON at all is an error
+  let parsed;
+  try {
+    parsed = parseAnalysisResponse(response, text);
   } catch (error) {
-    if (error.message.includes('fetch')) {
-      throw new Error(`Failed to connect to LM Studio. Make sure LM Studio server is running on ${endpoint.split('/v1')[0]}. Error: ${error.message}`);
-    }
-    throw new Error(`Failed to enhance text with LM Studio. Error: ${error.message}`);
+    throw toProviderError(error, { code: 'parse', provider: provider.llmProvider, providerLabel: provider.label });
   }
+  if (parsed.rejected.length > 0) {
+    log(`Rejected ${parsed.rejected.length} malformed analysis issue(s): ${parsed.rejected.map(r => r.reason).join('; ')}`, 'warn');
+  }
+
+  return { status: 'ok', issues: parsed.issues, rejectedIssues: parsed.rejected.length, provider };
 }
 
-async function enhanceWithGroq(prompt) {
-  const config = await getConfig();
+// Run a single-turn prompt through the provider adapter of an LLM profile
+async function completeWithProvider(profile, prompt, requestOptions = {}, options = {}) {
+  const adapter = getProviderAdapter(profile);
+  const request = buildCompletionRequest(prompt, requestOptions);
+  return await scheduleProviderCall(profile, request, options, scheduledOptions => adapter.complete(request, profile, scheduledOptions));
+}
 
-  if (!config.apiKey) {
-    throw new Error('Groq API key not set. Please set it in the extension options.');
-  }
+// Every attempt of a call, retries included, waits for the provider's rate limits; cancelled
+// attempts leave the queue. The call gets the options with the adapter's schedule hook set.
+// Usage of every successful call is recorded, and in record mode the response too.
+async function scheduleProviderCall(profile, request, options, call) {
+  const tokens = estimateRequestTokens(request);
+  const result = await call({
+    ...options,
+    schedule: attempt => requestScheduler.schedule(profile.llmProvider, attempt, {
+      priority: options.priority,
+      tokens,
+      signal: options.signal
+    })
+  });
 
-  if (!config.llmModel) {
-    throw new Error('LLM model not set for Groq. Please set it in the extension options.');
+  recordUsage(profile, request, result, options.promptId);
+  if (options.mockMode === 'record' && profile.llmProvider !== 'mock') {
+    recordMockResponse(profile, request, result, options.promptId);
   }
+  return result;
+}
 
-  const endpoint = config.customEndpoint || 'https://api.groq.com/v1/chat/completions';
+// Usage writes are chained so concurrent calls do not overwrite each other's totals
+let usageWrite = Promise.resolve();
 
-  try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${encodeURIComponent(config.apiKey)}`,
-      },
-      body: JSON.stringify({
-        model: config.llmModel || 'llama3-8b-8192',
-        messages: [
-          { role: 'system', content: 'You are a helpful assistant.' },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 1000,
-        temperature: 0.7,
-      }),
-    });
+function recordUsage(profile, request, result, promptId) {
+  const record = createUsageRecord({
+    provider: profile.llmProvider,
+    model: getProviderAdapter(profile).getModel(profile),
+    promptId,
+    request,
+    result
+  });
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`Groq API request failed: ${errorData.error?.message || 'Unknown error'}`);
-    }
+  usageWrite = usageWrite
+    .then(() => browserAPI.storage.local.get({ usageStats: null }))
+    .then(({ usageStats }) => browserAPI.storage.local.set({ usageStats: addUsageRecord(usageStats, record) }))
+    .catch(error => log(`Failed to record usage: ${error.message}`, 'error'));
 
-    const data = await response.json();
-    return data.choices[0].message.content.trim();
-  } catch (error) {
-    console.error('Groq API error:', error);
-    throw new Error(`Failed to enhance text with Groq. Error: ${error.message}`);
-  }
+  return usageWrite;
 }
 
-async function enhanceWithOpenRouter(prompt) {
-  const config = await getConfig();
-  if (!config.apiKey) {
-    throw new Error('OpenRouter API key not set. Please set it in the extension options.');
-  }
+// Choice writes are chained like usage writes, so quick picks do not overwrite each other
+let candidateChoiceWrite = Promise.resolve();
 
-  const endpoint = 'https://openrouter.ai/api/v1/chat/completions';
+function recordCandidateChoice(choice) {
+  candidateChoiceWrite = candidateChoiceWrite
+    .then(() => browserAPI.storage.local.get({ [CANDIDATE_HISTORY_STORAGE_KEY]: [] }))
+    .then(stored => browserAPI.storage.local.set({
+      [CANDIDATE_HISTORY_STORAGE_KEY]: addCandidateChoice(stored[CANDIDATE_HISTORY_STORAGE_KEY], choice)
+    }))
+    .catch(error => log(`Failed to record version choice: ${error.message}`, 'error'));
 
-  try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${encodeURIComponent(config.apiKey)}`,
-        'X-Title': 'Feelly Browser Extension',
-      },
-      body: JSON.stringify({
-        model: config.llmModel || 'openai/gpt-3.5-turbo',
-        messages: [
-          { role: 'system', content: 'You are a helpful assistant.' },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 1000,
-        temperature: 0.7,
-      }),
-    });
+  return candidateChoiceWrite;
+}
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`OpenRouter API request failed: ${errorData.error || 'Unknown error'}`);
-    }
+// Save a real response so the mock provider can replay it offline
+let mockRecordingWrite = Promise.resolve();
+
+function recordMockResponse(profile, request, result, promptId) {
+  const recording = {
+    key: createMockRecordingKey(promptId, request),
+    promptId,
+    provider: profile.llmProvider,
+    model: getProviderAdapter(profile).getModel(profile),
+    text: result.text,
+    usage: result.usage
+  };
 
-    const data = await response.json();
-    return data.choices[0].message.content.trim();
-  } catch (error) {
-    console.error('OpenRouter API error:', error);
-    throw new Error(`Failed to enhance text with OpenRouter. Error: ${error.message}`);
-  }
+  mockRecordingWrite = mockRecordingWrite
+    .then(() => browserAPI.storage.local.get({ mockRecordings: {} }))
+    .then(({ mockRecordings }) => browserAPI.storage.local.set({ mockRecordings: addMockRecording(mockRecordings, recording) }))
+    .catch(error => log(`Failed to record response: ${error.message}`, 'error'));
+
+  return mockRecordingWrite;
 }
 
-async function enhanceWithGemini(prompt) {
-  const config = await getConfig();
-  if (!config.apiKey) {
-    throw new Error('Gemini API key not set. Please set it in the extension options.');
-  }
+// Try each profile in the chain until one answers. Only failures that another
+// provider could avoid (network, timeout, 429, 5xx) move on to the next profile.
+async function runWithProviderFallback(chain, run, canFallBack = () => true) {
+  const tried = [];
 
-  const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${config.llmModel || 'gemini-2.5-flash'}:generateContent?key=${encodeURIComponent(config.apiKey)}`;
+  for (let attempt = 0; attempt < chain.length; attempt++) {
+    const profile = chain[attempt];
+    tried.push(profile.name);
 
-  try {
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }],
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 1000,
+    try {
+      const result = await run(profile);
+      return { ...result, provider: describeProviderProfile(profile, attempt) };
+    } catch (error) {
+      const isLast = attempt === chain.length - 1;
+      if (isLast || !isProviderFailoverError(error) || !canFallBack()) {
+        if (tried.length > 1) {
+          error.message = `${error.message} (tried ${tried.join(', ')})`;
         }
-      }),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = 'Unknown error';
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData.error?.message || errorText;
-      } catch (parseError) {
-        errorMessage = errorText;
+        throw error;
       }
-      throw new Error(`Gemini API request failed: ${errorMessage}`);
-    }
-
-    const data = await response.json();
-    
-    // Better error handling for response structure
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content || !data.candidates[0].content.parts || !data.candidates[0].content.parts[0]) {
-      throw new Error('Invalid response structure from Gemini API');
+      log(`Profile "${profile.name}" failed, falling back to "${chain[attempt + 1].name}": ${error.message}`, 'warn');
     }
-    
-    return data.candidates[0].content.parts[0].text.trim();
-  } catch (error) {
-    console.error('Gemini API error:', error);
-    throw new Error(`Failed to enhance text with Gemini. Error: ${error.message}`);
   }
 }
 
-const MAX_REQUESTS_PER_MINUTE = 10;
-const RATE_LIMIT_RESET_INTERVAL = 60000;
+function describeProviderProfile(profile, attempt) {
+  return {
+    profileId: profile.id,
+    profileName: profile.name,
+    llmProvider: profile.llmProvider,
+    label: providerRegistry.has(profile.llmProvider) ? providerRegistry.get(profile.llmProvider).label : profile.llmProvider,
+    fallback: attempt > 0
+  };
+}
 
-const rateLimiter = (() => {
-  let requestCount = 0;
-  let lastResetTime = Date.now();
-  const queue = [];
+function getProviderAdapter(profile) {
+  if (!profile || !profile.llmProvider) {
+    throw createProviderError('LLM provider not set. Please set it in the extension options.', { code: 'config' });
+  }
+  if (profile.apiKeyLocked) {
+    throw createProviderError(`The API key of "${profile.name}" is locked`, {
+      code: 'config',
+      provider: profile.llmProvider,
+      hint: 'Open the options page and enter your passphrase to unlock your API keys until the browser closes.'
+    });
+  }
 
-  const resetRateLimit = () => {
-    const now = Date.now();
-    if (now - lastResetTime > RATE_LIMIT_RESET_INTERVAL) {
-      requestCount = 0;
-      lastResetTime = now;
-    }
-  };
+  return providerRegistry.get(profile.llmProvider);
+}
 
-  const executeNext = () => {
-    if (queue.length > 0) {
-      resetRateLimit();
-      if (requestCount < MAX_REQUESTS_PER_MINUTE) {
-        const next = queue.shift();
-        requestCount++;
-        next.resolve(next.fn());
-        if (queue.length > 0) {
-          setTimeout(executeNext, RATE_LIMIT_RESET_INTERVAL / MAX_REQUESTS_PER_MINUTE);
-        }
-      } else {
-        setTimeout(executeNext, RATE_LIMIT_RESET_INTERVAL - (Date.now() - lastResetTime));
-      }
+// Options for a single adapter call: cancellation, the per-attempt timeout, the retry policy,
+// the scheduler lane ('high' for context-menu actions, 'low' for inline analysis),
+// the prompt id usage is recorded under, and the record/replay mode of the mock provider
+function buildProviderCallOptions(config, profile, { signal, timeoutMs, priority, promptId }) {
+  return {
+    signal,
+    timeoutMs,
+    priority,
+    promptId,
+    mockMode: config.mockMode,
+    mockRecordings: config.mockRecordings,
+    retry: { maxAttempts: config.maxRetryAttempts },
+    onRetry: (error, attempt, delay) => {
+      log(`Profile "${profile.name}" attempt ${attempt} failed, retrying in ${Math.round(delay)}ms: ${error.message}`, 'warn');
     }
   };
+}
 
-  return (fn) => {
-    return new Promise((resolve, reject) => {
-      queue.push({ fn, resolve, reject });
-      if (queue.length === 1) {
-        executeNext();
-      }
-    });
+// prompt is the user prompt, or the messages of a conversation
+function buildCompletionRequest(prompt, requestOptions = {}) {
+  return {
+    system: 'You are a helpful assistant.',
+    messages: Array.isArray(prompt) ? prompt : [{ role: 'user', content: prompt }],
+    maxTokens: 1000,
+    temperature: 0.7,
+    ...requestOptions,
   };
-})();
+}
 
-const enhanceTextWithRateLimit = (promptId, text) => {
-  return rateLimiter(() => enhanceTextWithLLM(promptId, text));
-};
+// Get inline checker configuration; pages receive only these settings, never provider keys
+async function getInlineCheckerConfig() {
+  return await browserAPI.storage.sync.get({
+    inlineCheckerEnabled: true,
+    analysisDelay: 500,
+    enabledIssueTypes: ['grammar', 'spelling', 'style', 'clarity'],
+    underlineColors: {
+      grammar: '#dc2626',
+      spelling: '#dc2626', 
+      style: '#f59e0b',
+      clarity: '#3b82f6'
+    }
+  });
+}
+
+// Scheduler limits per provider: the adapter's defaults overridden by the options page
+function getProviderRateLimits(config) {
+  const overrides = config.providerRateLimits || {};
+  const limits = {};
+
+  providerRegistry.list().forEach(adapter => {
+    limits[adapter.id] = { ...adapter.defaults.rateLimits, ...overrides[adapter.id] };
+  });
+
+  return limits;
+}
 
 async function getConfig() {
   const defaults = {
@@ -614,15 +685,42 @@ async function getConfig() {
     llmProvider: 'gemini',
     llmModel: 'gemini-2.5-flash',
     customEndpoint: '',
-    customPrompts: []
+    customPrompts: [],
+    llmProfiles: [],
+    defaultProfileId: '',
+    promptProfiles: {},
+    promptCandidates: {},
+    fallbackProfileIds: [],
+    maxRetryAttempts: 3,
+    providerRateLimits: {},
+    modelPrices: DEFAULT_MODEL_PRICES,
+    usageBudgets: {},
+    mockMode: 'canned'
   };
   const config = await browserAPI.storage.sync.get(defaults);
+  const { mockRecordings } = config.mockMode === 'replay'
+    ? await browserAPI.storage.local.get({ mockRecordings: {} })
+    : { mockRecordings: {} };
+  const normalized = normalizeProviderProfiles(config);
+  const profiles = applyStoredApiKeys(normalized.profiles, await loadStoredApiKeys(browserAPI));
+  const { defaultProfileId, promptProfiles } = normalized;
   return {
-    apiKey: config.apiKey,
+    apiKey: profiles.find(profile => profile.id === defaultProfileId).apiKey,
     llmModel: config.llmModel,
     customEndpoint: config.customEndpoint,
     llmProvider: config.llmProvider,
-    customPrompts: config.customPrompts
+    customPrompts: config.customPrompts,
+    llmProfiles: profiles,
+    defaultProfileId,
+    promptProfiles,
+    promptCandidates: config.promptCandidates,
+    fallbackProfileIds: config.fallbackProfileIds,
+    maxRetryAttempts: config.maxRetryAttempts,
+    providerRateLimits: config.providerRateLimits,
+    modelPrices: config.modelPrices,
+    usageBudgets: config.usageBudgets,
+    mockMode: config.mockMode,
+    mockRecordings
   };
 }
 
@@ -641,7 +739,7 @@ async function updateContextMenu() {
     await browserAPI.contextMenus.create({
       id: 'feelly',
       title: 'Feelly',
-      contexts: ['selection'],
+      contexts: ['selection', 'editable'],
     });
 
     for (const prompt of allPrompts) {
@@ -652,6 +750,13 @@ async function updateContextMenu() {
         contexts: ['selection'],
       });
     }
+
+    await browserAPI.contextMenus.create({
+      id: REVERT_MENU_ITEM_ID,
+      parentId: 'feelly',
+      title: 'Revert last Feelly change',
+      contexts: ['editable'],
+    });
   } catch (error) {
     console.error('Error updating context menu:', error);
   }
@@ -661,6 +766,11 @@ browserAPI.storage.onChanged.addListener((changes, area) => {
   if (area === 'sync' && changes.customPrompts) {
     updateContextMenu();
   }
+  if (area === 'sync' && changes.providerRateLimits) {
+    requestScheduler.configure(getProviderRateLimits({ providerRateLimits: changes.providerRateLimits.newValue }));
+  }
 });
 
+getConfig().then(config => requestScheduler.configure(getProviderRateLimits(config)));
+
 // Tab cleanup will be handled by content scripts
@@ -1,9 +1,53 @@
 const browserAPI = (typeof browser !== 'undefined' ? browser : chrome);
 
+// Sends protocol messages to the background script (see messaging/MessageProtocol.js)
+const messageClient = new MessageClient(browserAPI);
+
+// Status widget text for each error code the background script sends
+const ERROR_STATUS_LABELS = {
+  auth: '🔑 API key rejected',
+  quota: '💳 Out of quota',
+  rate_limited: '🐢 Rate limited',
+  network: '📡 Provider unreachable',
+  timeout: '⏱️ Provider timed out',
+  parse: '❓ Unreadable answer',
+  content_filtered: '🚫 Blocked by filter',
+  config: '⚙️ Setup needed',
+  protocol: '🔄 Reload the page'
+};
+
+// Error codes the user fixes on the options page rather than by trying again
+const SETTINGS_ERROR_CODES = ['auth', 'quota', 'config', 'network'];
+
 // Inline checker state
 let inlineCheckerEnabled = true;
 let inlineCheckerInstance = null;
 
+// Replacements made on this page, newest last, for "Revert last Feelly change"
+const MAX_APPLIED_CHANGES = 20;
+const appliedChanges = [];
+
+// Field the user last typed in, and for rich-text editors where the caret was when it
+// lost focus, so a result card can insert into it after focus moved to read-only text
+let lastFocusedField = null;
+
+document.addEventListener('focusin', (event) => {
+  const element = event.target;
+  if ((isTextInputElement(element) || element.isContentEditable) && !element.closest('[id^="feelly-"]')) {
+    lastFocusedField = { element, range: null };
+  }
+}, true);
+
+document.addEventListener('focusout', (event) => {
+  if (!lastFocusedField || lastFocusedField.element !== event.target || !event.target.isContentEditable) {
+    return;
+  }
+  const selection = window.getSelection();
+  if (selection.rangeCount > 0 && event.target.contains(selection.getRangeAt(0).commonAncestorContainer)) {
+    lastFocusedField.range = selection.getRangeAt(0).cloneRange();
+  }
+}, true);
+
 // Inline Checker Manager Class
 class InlineCheckerManager {
   constructor() {
@@ -13,6 +57,8 @@ class InlineCheckerManager {
     this.statusWidget = null;
     this.monitoredFields = new Set();
     this.analysisTimeout = null;
+    this.analysisRequestId = null;
+    this.statusAction = null;
   }
 
   async initialize() {
@@ -73,13 +119,24 @@ class InlineCheckerManager {
         border: 2px solid rgba(55, 65, 81, 0.1);
       " onmouseover="this.style.transform='scale(1.05)'" onmouseout="this.style.transform='scale(1)'">
         <span id="feelly-status-text">🔍 Feelly Ready</span>
+        <span id="feelly-status-action" style="display: none; margin-left: 8px; text-decoration: underline;"></span>
       </div>
     `;
 
     document.body.appendChild(this.statusWidget);
 
     // Add click handler to toggle
-    this.statusWidget.addEventListener('click', () => {
+    this.statusWidget.addEventListener('click', (event) => {
+      // The action of a failed analysis runs instead of pausing the checker
+      if (event.target.id === 'feelly-status-action') {
+        const action = this.statusAction;
+        this.setStatusAction(null);
+        if (action) {
+          action.run();
+        }
+        return;
+      }
+
       this.enabled = !this.enabled;
       this.updateStatusWidget();
       
@@ -95,6 +152,8 @@ class InlineCheckerManager {
 
     const statusText = this.statusWidget.querySelector('#feelly-status-text');
     const widget = this.statusWidget.querySelector('div');
+    this.setStatusAction(null);
+    statusText.title = '';
     
     if (this.enabled) {
       statusText.textContent = '🔍 Feelly Active';
@@ -107,6 +166,27 @@ class InlineCheckerManager {
     }
   }
 
+  // Show or hide the action link next to the status text
+  setStatusAction(action) {
+    const link = this.statusWidget?.querySelector('#feelly-status-action');
+    this.statusAction = action || null;
+    if (link) {
+      link.textContent = action ? action.label : '';
+      link.style.display = action ? 'inline' : 'none';
+    }
+  }
+
+  // Say why the analysis failed; the widget offers the first action that fits the error
+  showAnalysisError(error, text, field) {
+    const statusText = this.statusWidget?.querySelector('#feelly-status-text');
+    if (!statusText) return;
+
+    statusText.textContent = ERROR_STATUS_LABELS[error.code] || '❌ Analysis Error';
+    statusText.title = error.hint ? `${error.message}\n${error.hint}` : error.message;
+    const [action] = getErrorActions(error, () => this.scheduleAnalysis(text, field));
+    this.setStatusAction(action);
+  }
+
   startFieldMonitoring() {
     // Monitor text inputs, textareas, and contenteditable elements
     const selector = 'input[type="text"], input[type="email"], textarea, [contenteditable="true"]';
@@ -175,83 +255,98 @@ class InlineCheckerManager {
   }
 
   scheduleAnalysis(text, field) {
-    // Clear previous timeout
+    // Clear previous timeout and drop the analysis of the older text
     if (this.analysisTimeout) {
       clearTimeout(this.analysisTimeout);
     }
+    this.cancelAnalysis();
 
     // Update status to show analysis is pending
     const statusText = this.statusWidget?.querySelector('#feelly-status-text');
     if (statusText) {
       statusText.textContent = '⏳ Analyzing...';
     }
+    this.setStatusAction(null);
 
-    // Schedule analysis
+    // Schedule analysis; a failure stays in the widget until the next analysis
     this.analysisTimeout = setTimeout(async () => {
       try {
         await this.analyzeText(text, field);
       } catch (error) {
         console.error('[FEELLY] Analysis error:', error);
-        if (statusText) {
-          statusText.textContent = '❌ Analysis Error';
-          setTimeout(() => {
-            if (this.enabled) {
-              statusText.textContent = '🔍 Feelly Active';
-            }
-          }, 2000);
-        }
+        this.showAnalysisError(error, text, field);
       }
     }, 500);
   }
 
   async analyzeText(text, field) {
-    try {
-      const response = await browserAPI.runtime.sendMessage({
-        action: 'analyzeText',
-        text: text,
-        options: {}
-      });
+    const requestId = createRequestId('analysis');
+    this.analysisRequestId = requestId;
 
-      const statusText = this.statusWidget?.querySelector('#feelly-status-text');
-      
-      if (response.success && response.result && response.result.issues) {
-        const issues = response.result.issues;
-        const issueCount = issues.length;
-        
-        if (issueCount > 0) {
-          if (statusText) {
-            statusText.textContent = `📝 ${issueCount} issue${issueCount > 1 ? 's' : ''} found`;
-          }
-          
-          // Add simple visual feedback to the field
-          field.style.borderLeft = '3px solid #f59e0b';
-          
-          // Reset after a few seconds
-          setTimeout(() => {
-            field.style.borderLeft = '';
-            if (statusText && this.enabled) {
-              statusText.textContent = '🔍 Feelly Active';
-            }
-          }, 3000);
-        } else {
-          if (statusText) {
-            statusText.textContent = '✅ Text looks good';
-            setTimeout(() => {
-              if (this.enabled) {
-                statusText.textContent = '🔍 Feelly Active';
-              }
-            }, 2000);
-          }
-        }
-      } else {
-        throw new Error(response.error || 'Analysis failed');
-      }
+    let result;
+    try {
+      result = await messageClient.send('analyzeText', { text, options: {} }, { requestId });
     } catch (error) {
+      // A newer analysis replaced this one
+      if (error.cancelled) {
+        return;
+      }
       console.error('[FEELLY] Error analyzing text:', error);
       throw error;
+    } finally {
+      if (this.analysisRequestId === requestId) {
+        this.analysisRequestId = null;
+      }
+    }
+
+    const statusText = this.statusWidget?.querySelector('#feelly-status-text');
+
+    // The inline checker pauses until its budget allows more requests
+    if (result.status === 'budget_exceeded') {
+      if (statusText) {
+        statusText.textContent = `💸 ${result.budget.period === 'daily' ? 'Daily' : 'Monthly'} budget reached`;
+        statusText.title = result.budget.message;
+      }
+      return;
+    }
+    if (statusText) {
+      statusText.title = '';
+    }
+
+    const issueCount = result.issues.length;
+    if (issueCount > 0) {
+      if (statusText) {
+        statusText.textContent = `📝 ${issueCount} issue${issueCount > 1 ? 's' : ''} found`;
+      }
+
+      // Add simple visual feedback to the field
+      field.style.borderLeft = '3px solid #f59e0b';
+
+      // Reset after a few seconds
+      setTimeout(() => {
+        field.style.borderLeft = '';
+        if (statusText && this.enabled) {
+          statusText.textContent = '🔍 Feelly Active';
+        }
+      }, 3000);
+    } else if (statusText) {
+      statusText.textContent = '✅ Text looks good';
+      setTimeout(() => {
+        if (this.enabled) {
+          statusText.textContent = '🔍 Feelly Active';
+        }
+      }, 2000);
     }
   }
 
+  cancelAnalysis() {
+    if (!this.analysisRequestId) return;
+
+    const requestId = this.analysisRequestId;
+    this.analysisRequestId = null;
+    messageClient.send('cancelRequest', { id: requestId }).catch(() => {});
+  }
+
   enable() {
     console.log('[FEELLY] Enabling inline checker');
     this.enabled = true;
@@ -267,6 +362,7 @@ class InlineCheckerManager {
     if (this.analysisTimeout) {
       clearTimeout(this.analysisTimeout);
     }
+    this.cancelAnalysis();
   }
 
   destroy() {
@@ -283,19 +379,14 @@ class InlineCheckerManager {
   }
 }
 
-// Listen for messages from the background script
-browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  console.log('[FEELLY] Received message:', request);
-  
-  // Add support for ping message
-  if (request.action === 'ping') {
-    sendResponse({ success: true });
-    return;
-  }
-  
+// Listen for messages from the background script and the popup
+new MessageRouter({
+  // Tells the background script whether this content script is loaded
+  ping: () => ({ inlineCheckerActive: inlineCheckerEnabled && !!inlineCheckerInstance }),
+
   // Handle inline checker toggle
-  if (request.action === 'toggleInlineChecker') {
-    inlineCheckerEnabled = request.enabled;
+  toggleInlineChecker: (payload) => {
+    inlineCheckerEnabled = payload.enabled;
     if (inlineCheckerInstance) {
       if (inlineCheckerEnabled) {
         inlineCheckerInstance.enable();
@@ -303,24 +394,82 @@ browserAPI.runtime.onMessage.addListener((request, sender, sendResponse) => {
         inlineCheckerInstance.disable();
       }
     }
-    sendResponse({ success: true });
-    return;
+  },
+
+  // Context-menu action; it reports its own errors in the page, so answer at once
+  enhanceSelection: (payload) => {
+    enhanceSelection(payload.promptId, payload.selectedText, captureSelectionTarget()).catch(() => {});
+  },
+
+  // Context-menu item and keyboard shortcut
+  revertLastChange: () => {
+    revertLastChange();
   }
-  
-  if (request.action === 'enhanceText') {
-    enhanceSelectedText(request.promptId, request.selectedText)
-      .then(enhancedText => {
-        replaceSelectedText(enhancedText);
-        sendResponse({ success: true });
-      })
-      .catch(error => {
-        console.error('Error enhancing text:', error);
-        showErrorNotification(error.message);
-        sendResponse({ success: false, error: error.message });
+}, { api: browserAPI }).listen();
+
+// Run a context-menu action. In editable fields the result is shown as a diff of the
+// selection, which is only replaced when the user accepts it; for read-only text it is
+// shown in a side card and the page is left untouched.
+// Failures are shown with the actions that fit them, such as Retry.
+async function enhanceSelection(promptId, selectedText, target) {
+  const originalText = getSelectionTargetText(target) || selectedText;
+
+  // The background script keeps the messages of the conversation for follow-ups
+  const conversation = { promptId, id: createRequestId('conversation') };
+  const resultCard = getTargetEditorAdapter(target) ? null : showResultCard(target, conversation);
+
+  try {
+    const result = await streamEnhancedTextWithinBudget(promptId, selectedText, target, {
+      conversationId: conversation.id,
+      ...(resultCard ? { createPreview: resultCard.stream } : {})
+    });
+    if (!result) {
+      if (resultCard) resultCard.close();
+      return;
+    }
+
+    notifyFallbackProvider(result);
+    if (resultCard) {
+      resultCard.show(result.enhancedText, result.candidates);
+    } else {
+      showDiffPreview(target, originalText, result.enhancedText, {
+        conversation,
+        candidates: result.candidates,
+        regenerate: () => enhanceSelection(promptId, selectedText, target).catch(() => {})
       });
-    return true; // Indicates that the response is asynchronous
+    }
+  } catch (error) {
+    if (resultCard) resultCard.close();
+    console.error('Error enhancing text:', error);
+    showErrorNotification(error, getErrorActions(error, () => {
+      enhanceSelection(promptId, selectedText, target).catch(() => {});
+    }));
+    throw error;
   }
-});
+}
+
+function notifyFallbackProvider(result) {
+  if (result.provider && result.provider.fallback) {
+    showInfoNotification(`Answered by ${result.provider.profileName} (${result.provider.label}) because the primary provider was unavailable.`);
+  }
+}
+
+// Actions offered for an error: Retry when asking again may help, and the options
+// page for problems the user has to fix there
+function getErrorActions(error, retry) {
+  const actions = [];
+  if (error.retryable && retry) {
+    actions.push({ label: 'Retry', run: retry });
+  }
+  if (SETTINGS_ERROR_CODES.includes(error.code)) {
+    actions.push({ label: 'Open settings', run: openExtensionSettings });
+  }
+  return actions;
+}
+
+function openExtensionSettings() {
+  messageClient.send('openOptionsPage').catch(() => {});
+}
 
 // Initialize inline checker when DOM is ready
 function initializeInlineChecker() {
@@ -348,66 +497,692 @@ async function loadInlineChecker() {
   }
 }
 
-// Function to enhance selected text
-async function enhanceSelectedText(promptId, selectedText) {
-  console.log('[FEELLY] Selected text:', promptId, selectedText);
-  try {
-    const response = await browserAPI.runtime.sendMessage({
-      action: 'enhanceText',
-      promptId: promptId,
-      selectedText: selectedText,
+// Stream enhanced text, asking before running a request that goes over a usage budget.
+// Resolves like streamEnhancedText, or null if the user declined.
+async function streamEnhancedTextWithinBudget(promptId, selectedText, target, options = {}) {
+  const result = await streamEnhancedText(promptId, selectedText, target, options);
+  if (!result || !result.budgetExceeded) {
+    return result;
+  }
+
+  if (!confirm(`${result.budgetExceeded}.\n\nRun this request anyway?`)) {
+    return null;
+  }
+  return streamEnhancedText(promptId, selectedText, target, { ...options, confirmedOverBudget: true });
+}
+
+// Stream enhanced text from the background script, showing it in a preview as it arrives.
+// options: {conversationId} to keep the messages for follow-ups, {instruction} for a
+// follow-up, {createPreview(onCancel)} to stream somewhere other than a preview next to
+// the selection.
+// Resolves with {enhancedText, provider, candidates}, where candidates lists the versions
+// of a prompt that asks for several, {budgetExceeded} if a usage budget stopped it,
+// or null if the user cancelled.
+function streamEnhancedText(promptId, selectedText, target, options = {}) {
+  return new Promise((resolve, reject) => {
+    const { port, requestId } = messageClient.connect('streamEnhancedText', {
+      promptId,
+      selectedText,
+      ...(options.instruction ? { instruction: options.instruction } : {}),
+      ...(options.conversationId ? { conversationId: options.conversationId } : {}),
+      confirmedOverBudget: !!options.confirmedOverBudget
     });
-    console.log('[FEELLY] Response:', response);
+    let settled = false;
 
-    if (response.success) {
-      return response.enhancedText;
-    } else {
-      throw new Error(response.error || 'Unknown error occurred');
+    const finish = (callback) => {
+      if (settled) return;
+      settled = true;
+      preview.close();
+      port.disconnect();
+      callback();
+    };
+
+    const createPreview = options.createPreview || (onCancel => showStreamingPreview(target, onCancel));
+    const preview = createPreview(() => {
+      messageClient.send('cancelRequest', { id: requestId }).catch(() => {});
+      finish(() => resolve(null));
+    });
+
+    port.onMessage.addListener((message) => {
+      switch (message.type) {
+        case 'delta':
+          preview.append(message.delta);
+          break;
+        case 'done':
+          finish(() => resolve({ enhancedText: message.enhancedText, provider: message.provider, candidates: message.candidates }));
+          break;
+        case 'cancelled':
+          finish(() => resolve(null));
+          break;
+        case 'budget_exceeded':
+          finish(() => resolve({ budgetExceeded: message.error.message }));
+          break;
+        case 'error':
+          finish(() => reject(createMessageError(message.error)));
+          break;
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      finish(() => reject(createMessageError({
+        code: 'network',
+        message: 'Connection to the extension was lost',
+        retryable: true,
+        hint: 'Reload the page if this keeps happening.'
+      })));
+    });
+  });
+}
+
+// Show a floating preview next to the selection that fills in as text streams in
+function showStreamingPreview(target, onCancel) {
+  const { card, header, body, footer } = createSelectionCard(target, 'feelly-stream-preview', '✍️ Feelly is writing...');
+  header.appendChild(createCardButton('Cancel', onCancel));
+  footer.remove();
+
+  return {
+    append(delta) {
+      body.textContent += delta;
+      body.scrollTop = body.scrollHeight;
+    },
+    close() {
+      card.remove();
     }
-  } catch (error) {
-    console.error('Error in enhanceSelectedText:', error);
-    throw error;
+  };
+}
+
+// Show the result next to the selection as a word-level diff of the original, or
+// several versions as cards to pick from. Accept replaces the selection; Reject (or
+// Escape) leaves the page as it was. Follow-up instructions refine the result before
+// it is accepted.
+function showDiffPreview(target, originalText, enhancedText, { conversation, candidates, regenerate }) {
+  const card = createSelectionCard(target, 'feelly-diff-preview', '');
+  const { title, body, footer } = card;
+  const selection = new CandidateSelection(conversation);
+
+  const close = () => {
+    document.removeEventListener('keydown', onKeyDown, true);
+    followUp.cancel();
+    card.card.remove();
+    endConversation(conversation);
+  };
+  const onKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      close();
+    }
+  };
+  document.addEventListener('keydown', onKeyDown, true);
+
+  const copyButton = createCardButton('Copy', async () => {
+    selection.record();
+    try {
+      await navigator.clipboard.writeText(selection.text);
+      copyButton.textContent = 'Copied';
+    } catch (error) {
+      copyButton.textContent = 'Copy failed';
+    }
+  });
+
+  const render = () => {
+    body.textContent = '';
+    copyButton.textContent = 'Copy';
+    if (selection.candidates.length > 1) {
+      title.textContent = `✍️ ${selection.candidates.length} versions, pick one`;
+      renderCandidateCards(body, selection, (container, text) => renderWordDiff(container, diffWords(originalText, text)), render);
+      return;
+    }
+
+    const segments = diffWords(originalText, selection.text);
+    const { added, removed } = countChangedWords(segments);
+    const unchanged = segments.every(segment => segment.type === 'equal');
+    title.textContent = unchanged ? '✅ No changes suggested' : `✍️ ${added} word${added === 1 ? '' : 's'} added, ${removed} removed`;
+    renderWordDiff(body, segments);
+  };
+  const show = (text, versions = [text]) => {
+    selection.set(versions);
+    render();
+  };
+
+  footer.appendChild(createCardButton('Accept', () => {
+    // The page may have changed while the preview was open
+    const currentTarget = resolveSelectionTarget(target, originalText);
+    if (!currentTarget) {
+      title.textContent = '⚠️ The original text has changed. Copy the result instead.';
+      return;
+    }
+    selection.record();
+    close();
+    replaceSelectedText(selection.text, currentTarget);
+  }, true));
+  footer.appendChild(createCardButton('Reject', close));
+  footer.appendChild(copyButton);
+  footer.appendChild(createCardButton('Regenerate', () => {
+    close();
+    regenerate();
+  }));
+
+  const followUp = addFollowUpBox(card, conversation, selection, render);
+  show(enhancedText, candidates);
+
+  return { close };
+}
+
+// Show the result for read-only text in a side card the user can drag around. The
+// page is never changed; the card offers Copy, Insert into the field the user last
+// typed in, and follow-up instructions that refine the result.
+// Returns {stream, show, close}: stream is a createPreview for streamEnhancedText.
+function showResultCard(target, conversation) {
+  const card = createSelectionCard(target, 'feelly-result-card', '✍️ Feelly is writing...');
+  const { title, body, footer } = card;
+  card.card.style.top = '20px';
+  card.card.style.left = `${Math.max(16, window.innerWidth - card.card.offsetWidth - 20)}px`;
+  makeCardDraggable(card.card, card.header);
+
+  const selection = new CandidateSelection(conversation);
+
+  const close = () => {
+    document.removeEventListener('keydown', onKeyDown, true);
+    followUp.cancel();
+    card.card.remove();
+    endConversation(conversation);
+  };
+  const onKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      close();
+    }
+  };
+  document.addEventListener('keydown', onKeyDown, true);
+
+  const copyButton = createCardButton('Copy', async () => {
+    selection.record();
+    try {
+      await navigator.clipboard.writeText(selection.text);
+      copyButton.textContent = 'Copied';
+    } catch (error) {
+      copyButton.textContent = 'Copy failed';
+    }
+  }, true);
+  const insertButton = createCardButton('Insert', () => {
+    selection.record();
+    insertButton.textContent = insertIntoLastFocusedField(selection.text) ? 'Inserted' : 'Click a text field first';
+  });
+  insertButton.title = 'Insert into the text field you last typed in';
+
+  const render = () => {
+    body.textContent = '';
+    copyButton.textContent = 'Copy';
+    insertButton.textContent = 'Insert';
+    if (selection.candidates.length > 1) {
+      title.textContent = `✍️ ${selection.candidates.length} versions, pick one`;
+      renderCandidateCards(body, selection, (container, text) => {
+        container.textContent = text;
+      }, render);
+      return;
+    }
+
+    title.textContent = '✍️ Feelly result';
+    body.textContent = selection.text;
+  };
+  const show = (text, versions = [text]) => {
+    selection.set(versions);
+    render();
+  };
+
+  footer.appendChild(copyButton);
+  footer.appendChild(insertButton);
+  footer.appendChild(createCardButton('Close', close));
+
+  const followUp = addFollowUpBox(card, conversation, selection, render);
+
+  return { stream: followUp.stream, show, close };
+}
+
+// Versions shown in a card and the one selected. The choice is recorded once the user
+// acts on a version (accepts, copies, inserts or follows up on it), so the history
+// shows which versions get picked.
+class CandidateSelection {
+  constructor(conversation) {
+    this.conversation = conversation;
+    this.candidates = [];
+    this.selected = 0;
+    this.recorded = false;
+  }
+
+  get text() {
+    return this.candidates[this.selected] || '';
+  }
+
+  set(candidates) {
+    this.candidates = candidates && candidates.length > 0 ? candidates : [''];
+    this.selected = 0;
+    this.recorded = false;
+  }
+
+  record() {
+    if (this.candidates.length < 2 || this.recorded) {
+      return;
+    }
+    this.recorded = true;
+    messageClient.send('recordCandidateChoice', {
+      promptId: this.conversation.promptId,
+      count: this.candidates.length,
+      chosen: this.selected
+    }).catch(() => {});
+  }
+
+  // The selected text for a follow-up, which counts as picking it
+  pick() {
+    this.record();
+    return this.text;
   }
 }
 
-// Function to replace the selected text with enhanced text
-function replaceSelectedText(enhancedText) {
-  const selection = window.getSelection();
-  if (selection.rangeCount > 0) {
-    const range = selection.getRangeAt(0);
-
-    // Handle text inputs and textareas
-    const activeElement = document.activeElement;
-    if (activeElement && (activeElement.tagName === 'TEXTAREA' || (activeElement.tagName === 'INPUT' && activeElement.type === 'text'))) {
-      const start = activeElement.selectionStart;
-      const end = activeElement.selectionEnd;
-      const text = activeElement.value;
-      activeElement.value = text.substring(0, start) + enhancedText + text.substring(end);
-      
-      // Trigger input event for compatibility with reactive frameworks
-      const inputEvent = new Event('input', { bubbles: true });
-      activeElement.dispatchEvent(inputEvent);
-      
-      // Trigger change event
-      const changeEvent = new Event('change', { bubbles: true });
-      activeElement.dispatchEvent(changeEvent);
-    } else {
-      range.deleteContents();
-      range.insertNode(document.createTextNode(enhancedText));
+// Versions as cards in a card's body, each filled by render(container, text); clicking
+// one selects it and calls onSelect
+function renderCandidateCards(container, selection, render, onSelect) {
+  selection.candidates.forEach((text, index) => {
+    const option = document.createElement('div');
+    option.style.cssText = `
+      margin-bottom: 6px;
+      padding: 6px 8px;
+      border: 2px solid ${index === selection.selected ? '#374151' : '#e5e7eb'};
+      border-radius: 6px;
+      cursor: pointer;
+    `;
+
+    const label = document.createElement('div');
+    label.textContent = `Version ${index + 1}${index === selection.selected ? ' (selected)' : ''}`;
+    label.style.cssText = 'margin-bottom: 2px; font-size: 11px; font-weight: 600; color: #6b7280;';
+
+    const content = document.createElement('div');
+    render(content, text);
+
+    option.appendChild(label);
+    option.appendChild(content);
+    // Keep focus and selection in the page while a version is picked
+    option.addEventListener('mousedown', (event) => event.preventDefault());
+    option.addEventListener('click', () => {
+      selection.selected = index;
+      onSelect();
+    });
+    container.appendChild(option);
+  });
+}
+
+// Add a follow-up box under a card's buttons. An instruction such as "shorter" continues
+// the card's conversation from the selected version and streams the refined result into
+// the card; its versions then replace the selection's and render() displays them. A
+// follow-up that fails or is cancelled leaves the selection alone, so render() brings back
+// the versions the user was choosing from.
+// Returns {stream, cancel}: stream is a createPreview for streamEnhancedText showing the
+// text in the card, cancel stops a running request.
+function addFollowUpBox(card, conversation, selection, render) {
+  const { header, title, body, footer } = card;
+  let cancelStream = null;
+
+  const box = document.createElement('div');
+  box.style.cssText = 'display: flex; gap: 6px; padding: 0 12px 10px;';
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = 'Follow up, e.g. "shorter"';
+  input.style.cssText = `
+    flex: 1;
+    min-width: 0;
+    padding: 2px 6px;
+    border: 1px solid #d1d5db;
+    border-radius: 4px;
+    font-size: 12px;
+    color: #374151;
+    background: #ffffff;
+  `;
+
+  const setBusy = (busy) => {
+    footer.style.display = busy ? 'none' : 'flex';
+    box.style.display = busy ? 'none' : 'flex';
+  };
+
+  const stream = (onCancel) => {
+    const cancelButton = createCardButton('Cancel', onCancel);
+    cancelStream = onCancel;
+    title.textContent = '✍️ Feelly is writing...';
+    body.textContent = '';
+    header.appendChild(cancelButton);
+    setBusy(true);
+
+    return {
+      append(delta) {
+        body.textContent += delta;
+        body.scrollTop = body.scrollHeight;
+      },
+      close() {
+        cancelStream = null;
+        cancelButton.remove();
+        setBusy(false);
+      }
+    };
+  };
+
+  const refine = async (instruction) => {
+    try {
+      const result = await streamEnhancedTextWithinBudget(conversation.promptId, selection.pick(), null, {
+        instruction,
+        conversationId: conversation.id,
+        createPreview: stream
+      });
+      if (result) {
+        notifyFallbackProvider(result);
+        selection.set(result.candidates || [result.enhancedText]);
+      }
+      render();
+    } catch (error) {
+      render();
+      showErrorNotification(error, getErrorActions(error, () => refine(instruction)));
+    }
+  };
+
+  const submit = () => {
+    const instruction = input.value.trim();
+    if (instruction) {
+      input.value = '';
+      refine(instruction);
+    }
+  };
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      submit();
+    }
+  });
+
+  box.appendChild(input);
+  box.appendChild(createCardButton('Ask', submit));
+  card.card.appendChild(box);
+
+  return {
+    stream,
+    cancel() {
+      if (cancelStream) cancelStream();
+    }
+  };
+}
+
+// Let the background script forget the messages of a closed card's conversation
+function endConversation(conversation) {
+  messageClient.send('endConversation', { id: conversation.id }).catch(() => {});
+}
+
+// Move a card by dragging its header
+function makeCardDraggable(card, handle) {
+  handle.style.cursor = 'move';
+  handle.addEventListener('mousedown', (event) => {
+    if (event.button !== 0 || event.target.closest('button')) {
+      return;
+    }
+    event.preventDefault();
+    const offsetX = event.clientX - card.offsetLeft;
+    const offsetY = event.clientY - card.offsetTop;
+
+    const onMouseMove = (moveEvent) => {
+      card.style.left = `${Math.min(Math.max(0, moveEvent.clientX - offsetX), window.innerWidth - card.offsetWidth)}px`;
+      card.style.top = `${Math.min(Math.max(0, moveEvent.clientY - offsetY), window.innerHeight - handle.offsetHeight)}px`;
+    };
+    const onMouseUp = () => {
+      document.removeEventListener('mousemove', onMouseMove, true);
+      document.removeEventListener('mouseup', onMouseUp, true);
+    };
+    document.addEventListener('mousemove', onMouseMove, true);
+    document.addEventListener('mouseup', onMouseUp, true);
+  });
+}
+
+// Removed words are struck through in red, added words highlighted in green
+function renderWordDiff(container, segments) {
+  segments.forEach(segment => {
+    const element = document.createElement(segment.type === 'insert' ? 'ins' : segment.type === 'delete' ? 'del' : 'span');
+    element.textContent = segment.text;
+    if (segment.type === 'insert') {
+      element.style.cssText = 'background: #dcfce7; color: #166534; text-decoration: none; border-radius: 2px;';
+    } else if (segment.type === 'delete') {
+      element.style.cssText = 'background: #fee2e2; color: #991b1b; text-decoration: line-through; border-radius: 2px;';
     }
+    container.appendChild(element);
+  });
+}
+
+// Floating card next to the selection with a title bar, a scrolling body and a footer for buttons
+function createSelectionCard(target, id, titleText) {
+  const card = document.createElement('div');
+  card.id = id;
+  card.style.cssText = `
+    position: fixed;
+    width: 360px;
+    max-width: calc(100vw - 32px);
+    background: #ffffff;
+    color: #374151;
+    border: 1px solid #e5e7eb;
+    border-radius: 8px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 13px;
+    z-index: 10001;
+  `;
+
+  const header = document.createElement('div');
+  header.style.cssText = `
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 8px;
+    padding: 8px 12px;
+    background: linear-gradient(135deg, #f2e307, #f8f066);
+    border-radius: 8px 8px 0 0;
+    font-weight: 600;
+  `;
+
+  const title = document.createElement('span');
+  title.textContent = titleText;
+
+  const body = document.createElement('div');
+  body.style.cssText = `
+    padding: 10px 12px;
+    max-height: 240px;
+    overflow-y: auto;
+    white-space: pre-wrap;
+    line-height: 1.5;
+  `;
+
+  const footer = document.createElement('div');
+  footer.style.cssText = `
+    display: flex;
+    gap: 6px;
+    padding: 0 12px 10px;
+  `;
+
+  header.appendChild(title);
+  card.appendChild(header);
+  card.appendChild(body);
+  card.appendChild(footer);
+  document.body.appendChild(card);
+
+  const rect = getSelectionTargetRect(target);
+  const top = rect && rect.bottom + 8 + 280 < window.innerHeight ? rect.bottom + 8 : 20;
+  const left = rect ? Math.min(Math.max(16, rect.left), window.innerWidth - card.offsetWidth - 16) : 20;
+  card.style.top = `${top}px`;
+  card.style.left = `${left}px`;
+
+  return { card, header, title, body, footer };
+}
+
+function createCardButton(label, onClick, primary = false) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.style.cssText = `
+    border: none;
+    background: ${primary ? '#374151' : 'rgba(55, 65, 81, 0.1)'};
+    color: ${primary ? '#ffffff' : '#374151'};
+    padding: 2px 8px;
+    border-radius: 4px;
+    font-size: 12px;
+    cursor: pointer;
+  `;
+  // Keep focus and selection in the page while the button is pressed
+  button.addEventListener('mousedown', (event) => event.preventDefault());
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function isTextInputElement(element) {
+  return !!element && (element.tagName === 'TEXTAREA' || (element.tagName === 'INPUT' && element.type === 'text'));
+}
 
-    selection.removeAllRanges();
+// Remember what is selected now so it can be replaced after focus moves
+function captureSelectionTarget() {
+  const activeElement = document.activeElement;
+  if (isTextInputElement(activeElement)) {
+    return {
+      element: activeElement,
+      start: activeElement.selectionStart,
+      end: activeElement.selectionEnd
+    };
+  }
+
+  const selection = window.getSelection();
+  return {
+    range: selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null
+  };
+}
+
+// Text the target covers now, or an empty string if there is none
+function getSelectionTargetText(target) {
+  if (target.element) {
+    return target.element.value.substring(target.start, target.end);
+  }
+  return target.range ? target.range.toString() : '';
+}
+
+// Find the original text again before replacing it: a field may have been edited
+// meanwhile, which moves or removes it. Returns null if it is gone.
+function resolveSelectionTarget(target, originalText) {
+  if (!target.element) {
+    return target.range && target.range.toString() === originalText ? target : null;
   }
+
+  const value = target.element.value;
+  if (value.substring(target.start, target.end) === originalText) {
+    return target;
+  }
+  const start = value.indexOf(originalText);
+  return start === -1 ? null : { ...target, start, end: start + originalText.length };
 }
 
-// Function to show error notification
-function showErrorNotification(message) {
+function getSelectionTargetRect(target) {
+  if (target.element) {
+    return target.element.getBoundingClientRect();
+  }
+  if (target.range) {
+    return target.range.getBoundingClientRect();
+  }
+  return null;
+}
+
+// Adapter of the field or rich-text editor the target is in, or null for text that
+// the page does not let users edit
+function getTargetEditorAdapter(target) {
+  if (target.element) {
+    return EditorAdapterFactory.createAdapter(target.element);
+  }
+
+  const node = target.range && target.range.commonAncestorContainer;
+  let host = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+  if (!host || !host.isContentEditable) {
+    return null;
+  }
+  while (host.parentElement && host.parentElement.isContentEditable) {
+    host = host.parentElement;
+  }
+  return new ContentEditableAdapter(host);
+}
+
+// Replace the target with the enhanced text. It goes through the editor adapters,
+// which insert the text the way typing does so the page's own undo works, and the
+// field's previous content is kept for "Revert last Feelly change". Text outside
+// editable fields is never changed.
+// Returns whether the target was editable.
+function replaceSelectedText(enhancedText, target = captureSelectionTarget()) {
+  const adapter = getTargetEditorAdapter(target);
+  if (!adapter) {
+    return false;
+  }
+
+  const before = adapter.getContentSnapshot();
+  const undoable = target.element
+    ? adapter.replaceText(target.start, target.end, enhancedText)
+    : adapter.replaceRange(target.range, enhancedText);
+
+  appliedChanges.push({ adapter, before, after: adapter.getContentSnapshot(), undoable });
+  if (appliedChanges.length > MAX_APPLIED_CHANGES) {
+    appliedChanges.shift();
+  }
+  return true;
+}
+
+// Insert text at the caret of the field the user last typed in, replacing its selection.
+// Returns false if there is no such field on the page any more.
+function insertIntoLastFocusedField(text) {
+  const field = lastFocusedField;
+  if (!field || !field.element.isConnected) {
+    return false;
+  }
+
+  const { element } = field;
+  if (isTextInputElement(element)) {
+    return replaceSelectedText(text, { element, start: element.selectionStart, end: element.selectionEnd });
+  }
+
+  let range = field.range;
+  if (!range || !element.contains(range.commonAncestorContainer)) {
+    range = document.createRange();
+    range.selectNodeContents(element);
+    range.collapse(false);
+  }
+  return replaceSelectedText(text, { range });
+}
+
+// Give a field back the exact content it had before the last replacement. The browser's
+// undo is tried first so the editor's history stays in step. Edits made after the
+// replacement would be lost, so the user is asked first.
+function revertLastChange() {
+  const change = appliedChanges.pop();
+  if (!change) {
+    showInfoNotification('There is no Feelly change to revert on this page.');
+    return;
+  }
+
+  const { adapter } = change;
+  if (!adapter.element.isConnected) {
+    showInfoNotification('The field of the last Feelly change is no longer on the page.');
+    return;
+  }
+
+  const editedSince = adapter.getContentSnapshot() !== change.after;
+  if (editedSince && !window.confirm('This field was edited after the last Feelly change. Revert it anyway and lose those edits?')) {
+    appliedChanges.push(change);
+    return;
+  }
+
+  adapter.restoreContentSnapshot(change.before, change.undoable && !editedSince);
+  showInfoNotification('Reverted the last Feelly change.');
+}
+
+// Function to show error notification, with the error's hint and a button per action
+function showErrorNotification(error, actions = []) {
   const notification = document.createElement('div');
-  notification.textContent = `Error: ${message}`;
   notification.style.cssText = `
     position: fixed;
     top: 20px;
     right: 20px;
+    max-width: 360px;
     background-color: #ff4444;
     color: white;
     padding: 10px;
@@ -415,6 +1190,63 @@ function showErrorNotification(message) {
     z-index: 9999;
     box-shadow: 0 2px 5px rgba(0,0,0,0.2);
   `;
+
+  const message = document.createElement('div');
+  message.textContent = `Error: ${error.message}`;
+  notification.appendChild(message);
+
+  if (error.hint) {
+    const hint = document.createElement('div');
+    hint.textContent = error.hint;
+    hint.style.cssText = 'margin-top: 4px; font-size: 12px; opacity: 0.9;';
+    notification.appendChild(hint);
+  }
+
+  actions.forEach(action => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = action.label;
+    button.style.cssText = `
+      margin: 8px 8px 0 0;
+      border: 1px solid rgba(255, 255, 255, 0.8);
+      background: transparent;
+      color: white;
+      padding: 2px 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      cursor: pointer;
+    `;
+    // Keep focus and selection in the page while the button is pressed
+    button.addEventListener('mousedown', (event) => event.preventDefault());
+    button.addEventListener('click', () => {
+      notification.remove();
+      action.run();
+    });
+    notification.appendChild(button);
+  });
+
+  document.body.appendChild(notification);
+  setTimeout(() => {
+    notification.remove();
+  }, actions.length > 0 ? 10000 : 5000);
+}
+
+// Function to show an informational notification
+function showInfoNotification(message) {
+  const notification = document.createElement('div');
+  notification.textContent = message;
+  notification.style.cssText = `
+    position: fixed;
+    top: 20px;
+    right: 20px;
+    max-width: 360px;
+    background-color: #374151;
+    color: white;
+    padding: 10px;
+    border-radius: 5px;
+    z-index: 9999;
+    box-shadow: 0 2px 5px rgba(0,0,0,0.2);
+  `;
   document.body.appendChild(notification);
   setTimeout(() => {
     notification.remove();
@@ -0,0 +1,160 @@
+/**
+ * Word-level diff of an original and a rewritten text
+ * Texts are split into words, whitespace runs and single punctuation marks, and the
+ * longest common subsequence of those tokens decides what was kept, removed and added.
+ */
+
+// Above this many token pairs the LCS table gets too large for a content script;
+// the changed middle of such texts is shown as one removal and one addition instead
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into diff tokens
+ * @param {string} text - Text
+ * @returns {Array<string>} Words, whitespace runs and punctuation marks; joined they give the text
+ */
+function tokenizeWords(text) {
+  return text ? text.match(/\s+|[\p{L}\p{N}_'’-]+|[^\s\p{L}\p{N}_'’-]/gu) : [];
+}
+
+/**
+ * Diff two texts word by word
+ * @param {string} original - Text before
+ * @param {string} revised - Text after
+ * @returns {Array<Object>} Segments [{type: 'equal' | 'delete' | 'insert', text}];
+ *   the equal and delete segments give the original, the equal and insert ones the revision
+ */
+function diffWords(original, revised) {
+  const before = tokenizeWords(original);
+  const after = tokenizeWords(revised);
+
+  // Rewrites usually keep the start and end, which the table then does not need to cover
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < before.length - prefix && suffix < after.length - prefix
+    && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const operations = [
+    ...before.slice(0, prefix).map(text => ({ type: 'equal', text })),
+    ...diffTokens(before.slice(prefix, before.length - suffix), after.slice(prefix, after.length - suffix)),
+    ...before.slice(before.length - suffix).map(text => ({ type: 'equal', text }))
+  ];
+
+  return mergeDiffSegments(operations);
+}
+
+// Token operations from the LCS table of two token lists
+function diffTokens(before, after) {
+  if (before.length * after.length > MAX_DIFF_CELLS) {
+    return [
+      ...before.map(text => ({ type: 'delete', text })),
+      ...after.map(text => ({ type: 'insert', text }))
+    ];
+  }
+
+  // lengths[i][j] is the LCS length of before[i..] and after[j..], stored row by row
+  const width = after.length + 1;
+  const lengths = new Uint32Array((before.length + 1) * width);
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = before[i] === after[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      operations.push({ type: 'equal', text: before[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      operations.push({ type: 'delete', text: before[i++] });
+    } else {
+      operations.push({ type: 'insert', text: after[j++] });
+    }
+  }
+  while (i < before.length) operations.push({ type: 'delete', text: before[i++] });
+  while (j < after.length) operations.push({ type: 'insert', text: after[j++] });
+
+  return operations;
+}
+
+// Join neighbouring operations of the same type, and fold a lone space between two
+// changes into them so "a b" -> "c d" reads as one replacement rather than three
+function mergeDiffSegments(operations) {
+  const folded = operations.flatMap((operation, index) => {
+    const previous = operations[index - 1];
+    const next = operations[index + 1];
+    const betweenChanges = previous && next && previous.type !== 'equal' && next.type !== 'equal';
+    if (operation.type === 'equal' && betweenChanges && /^[^\S\n]+$/.test(operation.text)) {
+      return [{ type: 'delete', text: operation.text }, { type: 'insert', text: operation.text }];
+    }
+    return [operation];
+  });
+
+  // Within a changed stretch, removals are listed before additions
+  const segments = [];
+  let deleted = '';
+  let inserted = '';
+  const flush = () => {
+    if (deleted) segments.push({ type: 'delete', text: deleted });
+    if (inserted) segments.push({ type: 'insert', text: inserted });
+    deleted = '';
+    inserted = '';
+  };
+
+  folded.forEach(operation => {
+    if (operation.type === 'delete') {
+      deleted += operation.text;
+    } else if (operation.type === 'insert') {
+      inserted += operation.text;
+    } else {
+      flush();
+      const last = segments[segments.length - 1];
+      if (last && last.type === 'equal') {
+        last.text += operation.text;
+      } else {
+        segments.push({ type: 'equal', text: operation.text });
+      }
+    }
+  });
+  flush();
+
+  return segments;
+}
+
+/**
+ * Count the words a diff adds and removes
+ * @param {Array<Object>} segments - Result of diffWords
+ * @returns {Object} {added, removed}
+ */
+function countChangedWords(segments) {
+  const count = type => segments
+    .filter(segment => segment.type === type)
+    .reduce((sum, segment) => sum + tokenizeWords(segment.text).filter(token => /[\p{L}\p{N}]/u.test(token)).length, 0);
+
+  return { added: count('insert'), removed: count('delete') };
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.diffWords = diffWords;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    tokenizeWords,
+    diffWords,
+    countChangedWords
+  };
+}
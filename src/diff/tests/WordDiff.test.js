@@ -0,0 +1,53 @@
+/**
+ * Tests for the word-level diff
+ *
+ * @jest-environment node
+ */
+
+const { tokenizeWords, diffWords, countChangedWords } = require('../WordDiff.js');
+
+describe('WordDiff', () => {
+  const join = (segments, types) => segments.filter(segment => types.includes(segment.type)).map(segment => segment.text).join('');
+
+  test('should split text into words, whitespace and punctuation', () => {
+    expect(tokenizeWords('Don’t stop, well-known  café!')).toEqual(['Don’t', ' ', 'stop', ',', ' ', 'well-known', '  ', 'café', '!']);
+    expect(tokenizeWords('')).toEqual([]);
+  });
+
+  test('should mark changed words and keep the rest', () => {
+    expect(diffWords('This are a short test.', 'This is a short test.')).toEqual([
+      { type: 'equal', text: 'This ' },
+      { type: 'delete', text: 'are' },
+      { type: 'insert', text: 'is' },
+      { type: 'equal', text: ' a short test.' }
+    ]);
+  });
+
+  test('should rebuild both texts from the segments', () => {
+    const original = 'We has went to the store yesterday, and buyed some apple.';
+    const revised = 'Yesterday we went to the store and bought some apples.';
+    const segments = diffWords(original, revised);
+
+    expect(join(segments, ['equal', 'delete'])).toBe(original);
+    expect(join(segments, ['equal', 'insert'])).toBe(revised);
+  });
+
+  test('should show neighbouring changed words as one replacement', () => {
+    expect(diffWords('the quick brown fox', 'the slow red fox')).toEqual([
+      { type: 'equal', text: 'the ' },
+      { type: 'delete', text: 'quick brown' },
+      { type: 'insert', text: 'slow red' },
+      { type: 'equal', text: ' fox' }
+    ]);
+  });
+
+  test('should handle identical, empty and added text', () => {
+    expect(diffWords('Same text.', 'Same text.')).toEqual([{ type: 'equal', text: 'Same text.' }]);
+    expect(diffWords('', 'New text')).toEqual([{ type: 'insert', text: 'New text' }]);
+    expect(diffWords('Old text', '')).toEqual([{ type: 'delete', text: 'Old text' }]);
+  });
+
+  test('should count added and removed words', () => {
+    expect(countChangedWords(diffWords('the quick brown fox', 'the slow fox!'))).toEqual({ added: 1, removed: 2 });
+  });
+});
@@ -22,7 +22,6 @@ class TextAnalyzer {
     this.isProcessing = false;
     this.maxChunkSize = 1000;
     this.analysisCache = new Map();
-    this.rateLimiter = this.createRateLimiter();
   }
 
   /**
@@ -62,8 +61,10 @@ class TextAnalyzer {
       // Combine results from all chunks
       const combinedResult = this.combineChunkResults(chunkResults, text);
       
-      // Cache the result
-      this.analysisCache.set(cacheKey, combinedResult);
+      // Cache the result, unless the inline budget held back a chunk
+      if (chunkResults.every(result => result.status !== 'budget_exceeded')) {
+        this.analysisCache.set(cacheKey, combinedResult);
+      }
       
       return combinedResult;
     } catch (error) {
@@ -93,7 +94,8 @@ class TextAnalyzer {
   }
 
   /**
-   * Process the analysis request queue with rate limiting
+   * Process the analysis request queue
+   * Rate limiting is done by the background script's request scheduler
    */
   async processQueue() {
     if (this.isProcessing || this.requestQueue.length === 0) {
@@ -107,9 +109,6 @@ class TextAnalyzer {
         const request = this.requestQueue.shift();
         
         try {
-          // Apply rate limiting
-          await this.rateLimiter();
-          
           // Perform the actual analysis
           const result = await this.performChunkAnalysis(request.chunk, request.context);
           request.resolve(result);
@@ -123,130 +122,51 @@ class TextAnalyzer {
   }
 
   /**
-   * Perform analysis on a text chunk using the existing LLM provider system
+   * Perform analysis on a text chunk through the background script's analyzeText action
+   * The background script builds the prompt, applies the inline budget and validates the issues
    * @param {string} chunk - Text chunk to analyze
    * @param {Object} context - Analysis context
    * @returns {Promise<Object>}
    */
   async performChunkAnalysis(chunk, context) {
-    // Create analysis prompt for grammar checking
-    const analysisPrompt = this.createAnalysisPrompt(chunk, context);
-    
     try {
-      // Use the existing background.js LLM system
-      const response = await this.sendAnalysisRequest(analysisPrompt);
-      
-      // Parse the LLM response into structured issues
-      return this.parseAnalysisResponse(response, chunk, context);
-    } catch (error) {
-      console.error('TextAnalyzer: Chunk analysis failed:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Create analysis prompt for LLM
-   * @param {string} text - Text to analyze
-   * @param {Object} context - Analysis context
-   * @returns {string}
-   */
-  createAnalysisPrompt(text, context) {
-    const basePrompt = `Analyze the following text for grammar, spelling, style, and clarity issues. 
-Return your response as a JSON object with this exact structure:
-{
-  "issues": [
-    {
-      "type": "grammar|spelling|style|clarity",
-      "severity": "error|warning|suggestion", 
-      "startIndex": number,
-      "endIndex": number,
-      "message": "description of the issue",
-      "suggestions": ["suggestion1", "suggestion2"]
-    }
-  ]
-}
+      const response = await this.sendAnalysisRequest(chunk);
 
-Text to analyze: "${text}"
-
-Important: Return ONLY the JSON object, no additional text or explanations.`;
-
-    return basePrompt;
-  }
-
-  /**
-   * Send analysis request to background script LLM system
-   * @param {string} prompt - Analysis prompt
-   * @returns {Promise<string>}
-   */
-  async sendAnalysisRequest(prompt) {
-    return new Promise((resolve, reject) => {
-      // Send message to background script to use existing LLM system
-      chrome.runtime.sendMessage({
-        action: 'enhanceText',
-        promptId: 'analyze_grammar', // We'll need to add this to background.js
-        selectedText: prompt
-      }, (response) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-          return;
-        }
-
-        if (response && response.success) {
-          resolve(response.enhancedText);
-        } else {
-          reject(new Error(response?.error || 'Analysis request failed'));
-        }
-      });
-    });
-  }
-
-  /**
-   * Parse LLM response into structured analysis result
-   * @param {string} response - LLM response
-   * @param {string} originalChunk - Original text chunk
-   * @param {Object} context - Analysis context
-   * @returns {Object}
-   */
-  parseAnalysisResponse(response, originalChunk, context) {
-    try {
-      // Try to extract JSON from response
-      let jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        // Fallback: try to parse the entire response as JSON
-        jsonMatch = [response];
-      }
-
-      const analysisData = JSON.parse(jsonMatch[0]);
-      
-      // Validate and normalize the response
-      const issues = (analysisData.issues || []).map(issue => ({
+      const issues = (response.issues || []).map(issue => ({
+        ...issue,
         id: this.generateIssueId(),
-        type: issue.type || 'grammar',
-        severity: issue.severity || 'warning',
-        startIndex: Math.max(0, issue.startIndex || 0),
-        endIndex: Math.min(originalChunk.length, issue.endIndex || 0),
-        message: issue.message || 'Issue detected',
-        suggestions: Array.isArray(issue.suggestions) ? issue.suggestions : [],
-        originalText: originalChunk.substring(issue.startIndex, issue.endIndex),
+        originalText: chunk.substring(issue.startIndex, issue.endIndex),
         chunkIndex: context.chunkIndex || 0
       }));
 
       return {
         issues,
         chunkIndex: context.chunkIndex || 0,
-        chunkText: originalChunk
+        chunkText: chunk,
+        status: response.status
       };
     } catch (error) {
-      console.warn('TextAnalyzer: Failed to parse LLM response as JSON:', error);
-      
-      // Fallback: create a generic issue if parsing fails
-      return {
-        issues: [],
-        chunkIndex: context.chunkIndex || 0,
-        chunkText: originalChunk,
-        parseError: true
-      };
+      console.error('TextAnalyzer: Chunk analysis failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a chunk to the background script for analysis
+   * @param {string} text - Text chunk to analyze
+   * @returns {Promise<Object>} {status, issues, ...}
+   */
+  async sendAnalysisRequest(text) {
+    // Neither manifest loads this file as a content script; whatever loads it must load
+    // messaging/MessageProtocol.js first, which defines MessageClient
+    if (!this.messageClient) {
+      if (typeof MessageClient === 'undefined') {
+        throw new Error('MessageClient is not loaded; load messaging/MessageProtocol.js before TextAnalyzer.js');
+      }
+      this.messageClient = new MessageClient();
     }
+
+    return await this.messageClient.send('analyzeText', { text });
   }
 
   /**
@@ -393,40 +313,6 @@ Important: Return ONLY the JSON object, no additional text or explanations.`;
     return Math.abs(hash).toString(36);
   }
 
-  /**
-   * Create rate limiter to prevent API overuse
-   * @returns {Function}
-   */
-  createRateLimiter() {
-    const maxRequests = 10;
-    const timeWindow = 60000; // 1 minute
-    const requests = [];
-
-    return () => {
-      return new Promise((resolve) => {
-        const now = Date.now();
-        
-        // Remove old requests outside the time window
-        while (requests.length > 0 && requests[0] < now - timeWindow) {
-          requests.shift();
-        }
-
-        if (requests.length < maxRequests) {
-          requests.push(now);
-          resolve();
-        } else {
-          // Wait until we can make another request
-          const oldestRequest = requests[0];
-          const waitTime = (oldestRequest + timeWindow) - now;
-          setTimeout(() => {
-            requests.push(Date.now());
-            resolve();
-          }, waitTime);
-        }
-      });
-    };
-  }
-
   /**
    * Clear analysis cache
    */
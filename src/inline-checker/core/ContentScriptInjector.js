@@ -28,12 +28,9 @@ class ContentScriptInjector {
 
       // Test if content script is already present
       try {
-        const response = await browserAPI.tabs.sendMessage(tabId, { 
-          action: 'ping',
-          source: 'inline-checker'
-        });
-        
-        if (response && response.inlineCheckerActive) {
+        const response = await new MessageClient(browserAPI).sendToTab(tabId, 'ping');
+
+        if (response.inlineCheckerActive) {
           this.injectedTabs.add(tabId);
           return true;
         }
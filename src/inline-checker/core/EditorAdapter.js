@@ -3,6 +3,80 @@
  * Provides unified interface for text extraction and positioning
  */
 
+/**
+ * Run a browser editing command, such as insertText or undo, on the focused element
+ * Commands go through beforeinput/input like typing does and land in the browser's undo
+ * stack; editors that handle beforeinput apply them to their own model and history.
+ * @param {Document} doc - Document of the element
+ * @param {string} command - Command name
+ * @param {string} value - Command argument
+ * @returns {boolean} Whether the browser ran the command
+ */
+function runEditingCommand(doc, command, value) {
+  if (typeof doc.execCommand !== 'function') {
+    return false;
+  }
+  try {
+    return doc.execCommand(command, false, value);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Editing commands act on whatever has focus, so they are only used when the element does
+function hasFocusWithin(element) {
+  const activeElement = element.ownerDocument.activeElement;
+  return !!activeElement && (activeElement === element || element.contains(activeElement));
+}
+
+// Announce a change made without an editing command, the way the browser announces autocorrect
+function dispatchReplacementInput(element, data = null) {
+  const view = element.ownerDocument.defaultView;
+  const event = view && typeof view.InputEvent === 'function'
+    ? new view.InputEvent('input', { bubbles: true, inputType: 'insertReplacementText', data })
+    : new Event('input', { bubbles: true });
+  element.dispatchEvent(event);
+}
+
+// Set a field's value through the native setter, so frameworks that track the value
+// (such as React) see the change
+function setFieldValue(element, value, data = null) {
+  const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value');
+  if (descriptor && descriptor.set) {
+    descriptor.set.call(element, value);
+  } else {
+    element.value = value;
+  }
+  dispatchReplacementInput(element, data);
+}
+
+/**
+ * Replace part of an input or textarea as if the user typed over it
+ * @param {HTMLInputElement|HTMLTextAreaElement} element - Field
+ * @param {number} start - Start position
+ * @param {number} end - End position
+ * @param {string} replacement - Replacement text
+ * @returns {boolean} Whether the browser's undo can revert the change
+ */
+function replaceFieldText(element, start, end, replacement) {
+  const value = element.value;
+  element.focus();
+  if (element.setSelectionRange) {
+    element.setSelectionRange(start, end);
+  }
+
+  const undoable = hasFocusWithin(element) && runEditingCommand(element.ownerDocument, 'insertText', replacement);
+  if (!undoable) {
+    setFieldValue(element, value.substring(0, start) + replacement + value.substring(end), replacement);
+  }
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+
+  if (element.setSelectionRange) {
+    element.setSelectionRange(start + replacement.length, start + replacement.length);
+  }
+  return undoable;
+}
+
 /**
  * Base adapter class for all editor types
  */
@@ -67,12 +141,49 @@ class BaseEditorAdapter {
    * @param {number} start - Start position
    * @param {number} end - End position
    * @param {string} replacement - Replacement text
+   * @returns {boolean} Whether the browser's undo can revert the change
    */
   replaceText(start, end, replacement) {
     const text = this.getText();
     const newText = text.substring(0, start) + replacement + text.substring(end);
     this.setText(newText);
     this.setCursorPosition(start + replacement.length);
+    return false;
+  }
+
+  /**
+   * Save the editor's content so it can be restored exactly
+   * @returns {string} Snapshot
+   */
+  getContentSnapshot() {
+    return this.element.innerHTML;
+  }
+
+  /**
+   * Restore content saved with getContentSnapshot
+   * @param {string} snapshot - Snapshot
+   * @param {boolean} tryUndo - Try the browser's undo first, which keeps the editor's own
+   *   history in step; the content is set directly if undo does not give back the snapshot
+   */
+  restoreContentSnapshot(snapshot, tryUndo = false) {
+    if (tryUndo && this.undo() && this.getContentSnapshot() === snapshot) {
+      return;
+    }
+    this.setContentSnapshot(snapshot);
+  }
+
+  setContentSnapshot(snapshot) {
+    this.element.innerHTML = snapshot;
+    dispatchReplacementInput(this.element);
+  }
+
+  /**
+   * Undo the last change in the editor with the browser's undo
+   * @returns {boolean} Whether the browser ran the undo
+   */
+  undo() {
+    this.element.focus();
+    return hasFocusWithin(this.element) && runEditingCommand(this.element.ownerDocument, 'undo');
   }
 
   /**
@@ -165,6 +276,18 @@ class TextareaAdapter extends BaseEditorAdapter {
     }
   }
 
+  replaceText(start, end, replacement) {
+    return replaceFieldText(this.element, start, end, replacement);
+  }
+
+  getContentSnapshot() {
+    return this.getText();
+  }
+
+  setContentSnapshot(snapshot) {
+    setFieldValue(this.element, snapshot);
+  }
+
   getPositionFromCoordinates(x, y) {
     // For textarea, we need to estimate position based on font metrics
     const rect = this.element.getBoundingClientRect();
@@ -268,6 +391,18 @@ class InputAdapter extends BaseEditorAdapter {
     }
   }
 
+  replaceText(start, end, replacement) {
+    return replaceFieldText(this.element, start, end, replacement);
+  }
+
+  getContentSnapshot() {
+    return this.getText();
+  }
+
+  setContentSnapshot(snapshot) {
+    setFieldValue(this.element, snapshot);
+  }
+
   getPositionFromCoordinates(x, y) {
     const rect = this.element.getBoundingClientRect();
     const relativeX = x - rect.left;
@@ -390,6 +525,43 @@ class ContentEditableAdapter extends BaseEditorAdapter {
     selection.addRange(range);
   }
 
+  replaceText(start, end, replacement) {
+    const startNode = this.getTextNodeAtPosition(start);
+    const endNode = this.getTextNodeAtPosition(end);
+    if (!startNode || !endNode) {
+      return super.replaceText(start, end, replacement);
+    }
+
+    const range = document.createRange();
+    range.setStart(startNode.node, startNode.offset);
+    range.setEnd(endNode.node, endNode.offset);
+    return this.replaceRange(range, replacement);
+  }
+
+  /**
+   * Replace a DOM range of the editor the way typing over a selection does, which keeps
+   * the formatting around it and puts the change in the browser's and the editor's history
+   * @param {Range} range - Range inside the editor
+   * @param {string} replacement - Replacement text
+   * @returns {boolean} Whether the browser's undo can revert the change
+   */
+  replaceRange(range, replacement) {
+    const selection = window.getSelection();
+    this.element.focus();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    if (selection.rangeCount > 0 && hasFocusWithin(this.element)
+      && runEditingCommand(this.element.ownerDocument, 'insertText', replacement)) {
+      return true;
+    }
+
+    range.deleteContents();
+    range.insertNode(document.createTextNode(replacement));
+    dispatchReplacementInput(this.element, replacement);
+    return false;
+  }
+
   getPositionFromCoordinates(x, y) {
     if (document.caretPositionFromPoint) {
       const caretPosition = document.caretPositionFromPoint(x, y);
@@ -206,16 +206,24 @@ class InlineCheckerManager {
 
   async analyzeText(text, field) {
     try {
-      const response = await inlineBrowserAPI.runtime.sendMessage({
-        action: 'analyzeText',
-        text: text,
-        options: {}
-      });
+      const result = await new MessageClient(inlineBrowserAPI).send('analyzeText', { text, options: {} });
 
       const statusText = this.statusWidget?.querySelector('#feelly-status-text');
+
+      // Nothing was analyzed; the inline checker pauses until its budget allows more requests
+      if (result && result.status === 'budget_exceeded') {
+        if (statusText) {
+          statusText.textContent = `💸 ${result.budget.period === 'daily' ? 'Daily' : 'Monthly'} budget reached`;
+          statusText.title = result.budget.message;
+        }
+        return;
+      }
+      if (statusText) {
+        statusText.title = '';
+      }
       
-      if (response.success && response.result && response.result.issues) {
-        const issues = response.result.issues;
+      if (result && result.issues) {
+        const issues = result.issues;
         const issueCount = issues.length;
         
         if (issueCount > 0) {
@@ -243,8 +251,6 @@ class InlineCheckerManager {
             }, 2000);
           }
         }
-      } else {
-        throw new Error(response.error || 'Analysis failed');
       }
     } catch (error) {
       console.error('[FEELLY] Error analyzing text:', error);
@@ -294,18 +300,16 @@ if (document.readyState === 'loading') {
 }
 
 // Handle messages from popup/background
-inlineBrowserAPI.runtime.onMessage.addListener((request, _sender, sendResponse) => {
-  if (request.action === 'toggleInlineChecker') {
-    inlineChecker.enabled = request.enabled;
-    if (request.enabled) {
+new MessageRouter({
+  toggleInlineChecker: (payload) => {
+    inlineChecker.enabled = payload.enabled;
+    if (payload.enabled) {
       inlineChecker.enable();
     } else {
       inlineChecker.disable();
     }
-    sendResponse({ success: true });
-    return;
   }
-});
+}, { api: inlineBrowserAPI }).listen();
 
 // Listen for storage changes
 inlineBrowserAPI.storage.onChanged.addListener((changes, area) => {
@@ -322,4 +326,9 @@ inlineBrowserAPI.storage.onChanged.addListener((changes, area) => {
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
   inlineChecker.destroy();
-});
\ No newline at end of file
+});
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { InlineCheckerManager };
+}
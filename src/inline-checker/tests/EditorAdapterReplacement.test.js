@@ -0,0 +1,99 @@
+/**
+ * Tests for undoable replacements and content snapshots of the editor adapters
+ */
+
+const {
+  TextareaAdapter,
+  ContentEditableAdapter,
+  EditorAdapterFactory
+} = require('../core/EditorAdapter.js');
+
+describe('EditorAdapter replacements', () => {
+  let inputEvents;
+
+  const createField = (html) => {
+    document.body.innerHTML = html;
+    const element = document.body.firstElementChild;
+    element.addEventListener('input', event => inputEvents.push(event));
+    return element;
+  };
+
+  beforeEach(() => {
+    inputEvents = [];
+    document.execCommand = undefined;
+  });
+
+  test('should type the replacement with insertText so the browser can undo it', () => {
+    const textarea = createField('<textarea>Hello wrld</textarea>');
+    document.execCommand = jest.fn((command, showUi, value) => {
+      // Stands in for the browser, which edits the selection and fires input itself
+      textarea.setRangeText(value, textarea.selectionStart, textarea.selectionEnd, 'end');
+      return true;
+    });
+
+    const adapter = EditorAdapterFactory.createAdapter(textarea);
+    expect(adapter.replaceText(6, 10, 'world')).toBe(true);
+
+    expect(document.execCommand).toHaveBeenCalledWith('insertText', false, 'world');
+    expect(textarea.value).toBe('Hello world');
+    expect(textarea.selectionStart).toBe(11);
+    expect(inputEvents).toHaveLength(0);
+  });
+
+  test('should set the value and announce it when insertText is not available', () => {
+    const textarea = createField('<textarea>Hello wrld</textarea>');
+    const adapter = new TextareaAdapter(textarea);
+
+    expect(adapter.replaceText(6, 10, 'world')).toBe(false);
+    expect(textarea.value).toBe('Hello world');
+    expect(inputEvents).toHaveLength(1);
+    expect(inputEvents[0].inputType).toBe('insertReplacementText');
+    expect(inputEvents[0].data).toBe('world');
+  });
+
+  test('should replace a range in contenteditable and keep the markup around it', () => {
+    const editor = createField('<div contenteditable="true"><b>Hello</b> wrld</div>');
+    const adapter = new ContentEditableAdapter(editor);
+    const range = document.createRange();
+    range.setStart(editor.lastChild, 1);
+    range.setEnd(editor.lastChild, 5);
+
+    expect(adapter.replaceRange(range, 'world')).toBe(false);
+    expect(editor.innerHTML).toBe('<b>Hello</b> world');
+    expect(inputEvents).toHaveLength(1);
+  });
+
+  test('should restore the exact previous content', () => {
+    const editor = createField('<div contenteditable="true"><b>Hello</b> wrld</div>');
+    const adapter = new ContentEditableAdapter(editor);
+    const before = adapter.getContentSnapshot();
+
+    adapter.replaceText(6, 10, 'world');
+    adapter.restoreContentSnapshot(before);
+
+    expect(editor.innerHTML).toBe('<b>Hello</b> wrld');
+  });
+
+  test('should prefer undo and fall back when it does not give back the snapshot', () => {
+    const textarea = createField('<textarea>Hello wrld</textarea>');
+    const adapter = new TextareaAdapter(textarea);
+    const before = adapter.getContentSnapshot();
+    adapter.replaceText(6, 10, 'world');
+
+    document.execCommand = jest.fn(() => {
+      textarea.value = 'Hello wrld';
+      return true;
+    });
+    adapter.restoreContentSnapshot(before, true);
+    expect(document.execCommand).toHaveBeenCalledWith('undo', false, undefined);
+    expect(textarea.value).toBe('Hello wrld');
+
+    // An undo that leaves other content behind is overwritten with the snapshot
+    document.execCommand = undefined;
+    adapter.replaceText(6, 10, 'world');
+    document.execCommand = jest.fn(() => true);
+    adapter.restoreContentSnapshot(before, true);
+    expect(document.execCommand).toHaveBeenCalledWith('undo', false, undefined);
+    expect(textarea.value).toBe('Hello wrld');
+  });
+});
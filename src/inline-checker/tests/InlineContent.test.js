@@ -0,0 +1,64 @@
+/**
+ * Tests for the inline checker's status widget
+ */
+
+describe('InlineCheckerManager', () => {
+  let InlineCheckerManager;
+  let send;
+
+  beforeAll(() => {
+    window.browserAPI = {
+      storage: {
+        sync: { get: (defaults, callback) => callback(defaults) },
+        onChanged: { addListener: () => {} }
+      }
+    };
+    global.MessageClient = class {
+      send(...args) {
+        return send(...args);
+      }
+    };
+    global.MessageRouter = class {
+      listen() {}
+    };
+    ({ InlineCheckerManager } = require('../inline-content.js'));
+  });
+
+  afterAll(() => {
+    delete window.browserAPI;
+    delete global.MessageClient;
+    delete global.MessageRouter;
+  });
+
+  const createManager = () => {
+    document.body.innerHTML = '<textarea></textarea>';
+    const manager = new InlineCheckerManager();
+    manager.createStatusWidget();
+    return manager;
+  };
+
+  test('should report a reached budget instead of a clean text', async () => {
+    const manager = createManager();
+    send = jest.fn().mockResolvedValue({
+      status: 'budget_exceeded',
+      issues: [],
+      budget: { period: 'daily', metric: 'requests', message: 'Daily budget for the inline checker reached: 50 requests of 50 requests' }
+    });
+
+    await manager.analyzeText('This text was never checked.', document.querySelector('textarea'));
+
+    const statusText = manager.statusWidget.querySelector('#feelly-status-text');
+    expect(send).toHaveBeenCalledWith('analyzeText', { text: 'This text was never checked.', options: {} });
+    expect(statusText.textContent).toBe('💸 Daily budget reached');
+    expect(statusText.title).toBe('Daily budget for the inline checker reached: 50 requests of 50 requests');
+  });
+
+  test('should report a clean text once analysis finds no issues', async () => {
+    const manager = createManager();
+    send = jest.fn().mockResolvedValue({ status: 'ok', issues: [] });
+
+    await manager.analyzeText('This text is fine.', document.querySelector('textarea'));
+
+    expect(manager.statusWidget.querySelector('#feelly-status-text').textContent).toBe('✅ Text looks good');
+  });
+});
@@ -0,0 +1,460 @@
+/**
+ * Runtime message protocol shared by the background script, content scripts and extension pages
+ * Every message is an envelope {protocol, version, action, requestId, payload} whose payload is
+ * checked against the schema of its action, and whose sender must be one the action accepts.
+ * Answers are envelopes too: {success: true, result} or {success: false, error, cancelled}.
+ */
+
+const MESSAGE_PROTOCOL = 'feelly';
+
+// Raise when an action or its payload changes incompatibly; content scripts left
+// in open pages by an update then get a "reload the page" error instead of odd failures
+const MESSAGE_PROTOCOL_VERSION = 1;
+
+// Longest text a message may carry
+const MAX_MESSAGE_TEXT_LENGTH = 100000;
+
+/**
+ * Schema of each action
+ * `senders` lists who may send it: 'content' for content scripts in web pages,
+ * 'extension' for the background script and extension pages such as the popup.
+ * `payload` declares each field as {type, required, maxLength, integer, min, max}; other fields are rejected.
+ * Actions with `stream` are sent as the first message on a port named after the action.
+ */
+const MESSAGE_SCHEMAS = {
+  // Content scripts to the background script
+  analyzeText: {
+    senders: ['content'],
+    payload: {
+      text: { type: 'string', required: true, maxLength: MAX_MESSAGE_TEXT_LENGTH },
+      options: { type: 'object' }
+    }
+  },
+  enhanceText: {
+    senders: ['content', 'extension'],
+    payload: {
+      promptId: { type: 'string', required: true },
+      selectedText: { type: 'string', required: true, maxLength: MAX_MESSAGE_TEXT_LENGTH },
+      confirmedOverBudget: { type: 'boolean' }
+    }
+  },
+  streamEnhancedText: {
+    senders: ['content'],
+    stream: true,
+    payload: {
+      promptId: { type: 'string', required: true },
+      selectedText: { type: 'string', required: true, maxLength: MAX_MESSAGE_TEXT_LENGTH },
+      instruction: { type: 'string', maxLength: MAX_MESSAGE_TEXT_LENGTH },
+      conversationId: { type: 'string' },
+      confirmedOverBudget: { type: 'boolean' }
+    }
+  },
+  cancelRequest: {
+    senders: ['content'],
+    payload: {
+      id: { type: 'string', required: true }
+    }
+  },
+  endConversation: {
+    senders: ['content'],
+    payload: {
+      id: { type: 'string', required: true }
+    }
+  },
+  recordCandidateChoice: {
+    senders: ['content'],
+    payload: {
+      promptId: { type: 'string', required: true },
+      // Up to MAX_CANDIDATES in providers/CandidateHistory.js, which content scripts do not load
+      count: { type: 'number', required: true, integer: true, min: 1, max: 4 },
+      chosen: { type: 'number', required: true, integer: true, min: 0, max: 3 }
+    }
+  },
+  getInlineConfig: {
+    senders: ['content'],
+    payload: {}
+  },
+  openOptionsPage: {
+    senders: ['content'],
+    payload: {}
+  },
+
+  // The background script and extension pages to content scripts
+  ping: {
+    senders: ['extension'],
+    payload: {}
+  },
+  enhanceSelection: {
+    senders: ['extension'],
+    payload: {
+      promptId: { type: 'string', required: true },
+      selectedText: { type: 'string', required: true, maxLength: MAX_MESSAGE_TEXT_LENGTH }
+    }
+  },
+  revertLastChange: {
+    senders: ['extension'],
+    payload: {}
+  },
+  toggleInlineChecker: {
+    senders: ['extension'],
+    payload: {
+      enabled: { type: 'boolean', required: true }
+    }
+  }
+};
+
+function getBrowserAPI() {
+  return typeof browser !== 'undefined' ? browser : chrome;
+}
+
+/**
+ * Create a request id; the background script also uses it to cancel the request
+ * @param {string} prefix - What the request is for, e.g. 'analysis'
+ * @returns {string}
+ */
+function createRequestId(prefix = 'request') {
+  return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`;
+}
+
+/**
+ * Wrap a payload in a message envelope
+ * @param {string} action - Action from MESSAGE_SCHEMAS
+ * @param {Object} payload - Payload
+ * @param {string} requestId - Request id, or undefined for a new one
+ * @returns {Object} Message
+ */
+function createMessage(action, payload = {}, requestId = createRequestId(action)) {
+  return { protocol: MESSAGE_PROTOCOL, version: MESSAGE_PROTOCOL_VERSION, action, requestId, payload };
+}
+
+function getPayloadFieldType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Check a payload against the schema of its action
+ * @param {string} action - Action from MESSAGE_SCHEMAS
+ * @param {Object} payload - Payload
+ * @returns {string|null} What is wrong with the payload, or null if it is valid
+ */
+function validateMessagePayload(action, payload) {
+  const schema = MESSAGE_SCHEMAS[action];
+  if (!schema) {
+    return `unknown action "${action}"`;
+  }
+  if (getPayloadFieldType(payload) !== 'object') {
+    return 'payload must be an object';
+  }
+
+  for (const [name, field] of Object.entries(schema.payload)) {
+    const value = payload[name];
+    if (value === undefined) {
+      if (field.required) {
+        return `"${name}" is required`;
+      }
+      continue;
+    }
+    if (getPayloadFieldType(value) !== field.type) {
+      return `"${name}" must be of type ${field.type}`;
+    }
+    if (field.maxLength && value.length > field.maxLength) {
+      return `"${name}" is longer than ${field.maxLength} characters`;
+    }
+    if (field.integer && !Number.isInteger(value)) {
+      return `"${name}" must be an integer`;
+    }
+    if (field.min !== undefined && value < field.min) {
+      return `"${name}" must be at least ${field.min}`;
+    }
+    if (field.max !== undefined && value > field.max) {
+      return `"${name}" must be at most ${field.max}`;
+    }
+  }
+
+  const unexpected = Object.keys(payload).find(name => !schema.payload[name]);
+  return unexpected ? `unexpected field "${unexpected}"` : null;
+}
+
+/**
+ * Check a received message: envelope, protocol version, request id, sender and payload
+ * @param {Object} message - Received message
+ * @param {string|null} senderKind - From getMessageSenderKind
+ * @returns {string|null} Why the message is rejected, or null if it is valid
+ */
+function validateMessage(message, senderKind) {
+  if (!message || message.protocol !== MESSAGE_PROTOCOL) {
+    return 'not a protocol message';
+  }
+  if (message.version !== MESSAGE_PROTOCOL_VERSION) {
+    return `protocol version ${message.version} is not supported (expected ${MESSAGE_PROTOCOL_VERSION})`;
+  }
+
+  const schema = MESSAGE_SCHEMAS[message.action];
+  if (!schema) {
+    return `unknown action "${message.action}"`;
+  }
+  if (typeof message.requestId !== 'string' || !message.requestId) {
+    return 'request id is missing';
+  }
+  if (!schema.senders.includes(senderKind)) {
+    return `not accepted from ${senderKind ? `${senderKind} senders` : 'unknown senders'}`;
+  }
+
+  return validateMessagePayload(message.action, message.payload);
+}
+
+/**
+ * Tell who sent a message
+ * Only this extension's own scripts are accepted: its pages and background script
+ * ('extension') and its content scripts in web pages ('content')
+ * @param {Object} sender - runtime.MessageSender
+ * @param {Object} runtime - browser.runtime of the receiving script
+ * @returns {string|null} 'extension', 'content', or null for anyone else
+ */
+function getMessageSenderKind(sender, runtime) {
+  if (!sender || sender.id !== runtime.id) {
+    return null;
+  }
+  if (sender.url && sender.url.startsWith(runtime.getURL(''))) {
+    return 'extension';
+  }
+  return sender.tab ? 'content' : null;
+}
+
+function createProtocolError(action, problem) {
+  return {
+    code: 'protocol',
+    message: `Rejected "${action}" message: ${problem}`,
+    retryable: false,
+    hint: 'Reload the page. It may still be running an older version of the extension.'
+  };
+}
+
+function serializeMessageError(error) {
+  return {
+    code: error.code || 'unknown',
+    message: error.message,
+    retryable: !!error.retryable,
+    hint: error.hint || ''
+  };
+}
+
+/**
+ * Rebuild an error sent as {code, message, retryable, hint, ...}
+ * @param {Object} data - Error from an answer
+ * @param {boolean} cancelled - Whether the request was cancelled
+ * @returns {Error} Error with the sent fields; cancelled requests get the name AbortError
+ */
+function createMessageError(data, cancelled = false) {
+  const error = new Error((data && data.message) || (cancelled ? 'Request cancelled' : 'Unknown error occurred'));
+  Object.assign(error, { code: 'unknown', retryable: false, hint: '' }, data);
+  if (cancelled) {
+    error.name = 'AbortError';
+    error.cancelled = true;
+  }
+  return error;
+}
+
+/**
+ * Dispatches validated messages to handlers
+ * Messages for actions without a handler here are left to other listeners.
+ */
+class MessageRouter {
+  /**
+   * @param {Object} handlers - {action: (payload, {sender, requestId}) => result or promise}
+   * @param {Object} options - Router options
+   * @param {Object} options.streams - {action: (payload, {sender, requestId, port}) => void} for stream actions
+   * @param {Function} options.serializeError - Turns a thrown error into a plain object
+   * @param {Function} options.onError - Called with (action, error) when a handler fails
+   * @param {Object} options.api - Browser API, for tests
+   */
+  constructor(handlers, options = {}) {
+    this.handlers = handlers;
+    this.streams = options.streams || {};
+    this.serializeError = options.serializeError || serializeMessageError;
+    this.onError = options.onError || (() => {});
+    this.api = options.api || getBrowserAPI();
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleConnect = this.handleConnect.bind(this);
+  }
+
+  /**
+   * Start receiving messages, and stream ports if there are stream handlers
+   */
+  listen() {
+    this.api.runtime.onMessage.addListener(this.handleMessage);
+    if (Object.keys(this.streams).length > 0) {
+      this.api.runtime.onConnect.addListener(this.handleConnect);
+    }
+  }
+
+  /**
+   * runtime.onMessage listener
+   * @returns {boolean} Whether the answer is sent asynchronously
+   */
+  handleMessage(message, sender, sendResponse) {
+    if (!message || !Object.prototype.hasOwnProperty.call(this.handlers, message.action)) {
+      return false;
+    }
+
+    const respond = (answer) => sendResponse({
+      protocol: MESSAGE_PROTOCOL,
+      version: MESSAGE_PROTOCOL_VERSION,
+      requestId: message.requestId,
+      ...answer
+    });
+
+    const problem = validateMessage(message, getMessageSenderKind(sender, this.api.runtime));
+    if (problem) {
+      respond({ success: false, error: createProtocolError(message.action, problem) });
+      return false;
+    }
+
+    Promise.resolve()
+      .then(() => this.handlers[message.action](message.payload, { sender, requestId: message.requestId }))
+      .then(result => respond({ success: true, result }))
+      .catch(error => {
+        if (error && error.name === 'AbortError') {
+          respond({ success: false, cancelled: true });
+          return;
+        }
+        this.onError(message.action, error);
+        respond({ success: false, error: this.serializeError(error) });
+      });
+    return true;
+  }
+
+  /**
+   * runtime.onConnect listener; the first message on the port starts the stream
+   * @param {Object} port - runtime.Port named after a stream action
+   */
+  handleConnect(port) {
+    const handler = this.streams[port.name];
+    if (!handler) {
+      return;
+    }
+
+    const start = (message) => {
+      port.onMessage.removeListener(start);
+
+      const problem = message && message.action !== port.name
+        ? 'action does not match the port'
+        : validateMessage(message, getMessageSenderKind(port.sender, this.api.runtime));
+      if (problem) {
+        port.postMessage({ type: 'error', error: createProtocolError(port.name, problem) });
+        port.disconnect();
+        return;
+      }
+
+      handler(message.payload, { sender: port.sender, requestId: message.requestId, port });
+    };
+    port.onMessage.addListener(start);
+  }
+}
+
+/**
+ * Sends protocol messages and unwraps the answers
+ * Payloads are validated before sending, so a wrong call fails where it is made.
+ */
+class MessageClient {
+  /**
+   * @param {Object} api - Browser API, for tests
+   */
+  constructor(api = getBrowserAPI()) {
+    this.api = api;
+  }
+
+  /**
+   * Send a message to the background script
+   * @param {string} action - Action from MESSAGE_SCHEMAS
+   * @param {Object} payload - Payload
+   * @param {Object} options - {requestId}
+   * @returns {Promise<*>} Result of the handler; rejects with the handler's error,
+   *   or with an AbortError if the request was cancelled
+   */
+  async send(action, payload = {}, options = {}) {
+    const message = this.createCheckedMessage(action, payload, options);
+    return readMessageAnswer(await this.api.runtime.sendMessage(message), action);
+  }
+
+  /**
+   * Send a message to the content script of a tab
+   * @param {number} tabId - Tab id
+   * @param {string} action - Action from MESSAGE_SCHEMAS
+   * @param {Object} payload - Payload
+   * @param {Object} options - {requestId}
+   * @returns {Promise<*>} Result of the handler
+   */
+  async sendToTab(tabId, action, payload = {}, options = {}) {
+    const message = this.createCheckedMessage(action, payload, options);
+    return readMessageAnswer(await this.api.tabs.sendMessage(tabId, message), action);
+  }
+
+  /**
+   * Send a message to the content scripts of all tabs, ignoring tabs without one
+   * @param {string} action - Action from MESSAGE_SCHEMAS
+   * @param {Object} payload - Payload
+   * @returns {Promise<void>}
+   */
+  async sendToAllTabs(action, payload = {}) {
+    const tabs = await this.api.tabs.query({});
+    await Promise.all(tabs.map(tab => this.sendToTab(tab.id, action, payload).catch(() => {})));
+  }
+
+  /**
+   * Open a port for a stream action and send its first message
+   * @param {string} action - Stream action from MESSAGE_SCHEMAS
+   * @param {Object} payload - Payload
+   * @param {Object} options - {requestId}
+   * @returns {Object} {port, requestId}
+   */
+  connect(action, payload = {}, options = {}) {
+    const message = this.createCheckedMessage(action, payload, options);
+    const port = this.api.runtime.connect({ name: action });
+    port.postMessage(message);
+    return { port, requestId: message.requestId };
+  }
+
+  createCheckedMessage(action, payload, options) {
+    const problem = validateMessagePayload(action, payload);
+    if (problem) {
+      throw new Error(`Invalid "${action}" message: ${problem}`);
+    }
+    return createMessage(action, payload, options.requestId);
+  }
+}
+
+function readMessageAnswer(answer, action) {
+  if (!answer) {
+    throw createMessageError({ code: 'protocol', message: `No answer to "${action}"` });
+  }
+  if (answer.success) {
+    return answer.result;
+  }
+  throw createMessageError(answer.error, answer.cancelled);
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.MessageClient = MessageClient;
+  window.MessageRouter = MessageRouter;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MESSAGE_PROTOCOL_VERSION,
+    MESSAGE_SCHEMAS,
+    createRequestId,
+    createMessage,
+    validateMessagePayload,
+    validateMessage,
+    getMessageSenderKind,
+    createMessageError,
+    MessageRouter,
+    MessageClient
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * Tests for the runtime message protocol
+ *
+ * @jest-environment node
+ */
+
+const {
+  MESSAGE_PROTOCOL_VERSION,
+  createMessage,
+  validateMessagePayload,
+  validateMessage,
+  getMessageSenderKind,
+  MessageRouter,
+  MessageClient
+} = require('../MessageProtocol.js');
+
+describe('MessageProtocol', () => {
+  const runtime = {
+    id: 'feelly-id',
+    getURL: (path) => `chrome-extension://feelly-id/${path}`
+  };
+  const contentSender = { id: 'feelly-id', url: 'https://example.com/', tab: { id: 7 } };
+  const popupSender = { id: 'feelly-id', url: 'chrome-extension://feelly-id/popup.html' };
+
+  // Runs a message through a router and resolves with the answer it sends
+  const dispatch = (router, message, sender = contentSender) => new Promise((resolve) => {
+    router.handleMessage(message, sender, resolve);
+  });
+
+  describe('validation', () => {
+    test('should check payload fields against the schema', () => {
+      expect(validateMessagePayload('analyzeText', { text: 'Hello', options: {} })).toBeNull();
+      expect(validateMessagePayload('analyzeText', {})).toBe('"text" is required');
+      expect(validateMessagePayload('analyzeText', { text: 42 })).toBe('"text" must be of type string');
+      expect(validateMessagePayload('analyzeText', { text: 'x', options: [] })).toBe('"options" must be of type object');
+      expect(validateMessagePayload('analyzeText', { text: 'x'.repeat(100001) }))
+        .toBe('"text" is longer than 100000 characters');
+      expect(validateMessagePayload('recordCandidateChoice', { promptId: 'p', count: 3, chosen: 2 })).toBeNull();
+      expect(validateMessagePayload('recordCandidateChoice', { promptId: 'p', count: 3, chosen: 1.5 })).toBe('"chosen" must be an integer');
+      expect(validateMessagePayload('recordCandidateChoice', { promptId: 'p', count: 3, chosen: NaN })).toBe('"chosen" must be an integer');
+      expect(validateMessagePayload('recordCandidateChoice', { promptId: 'p', count: 3, chosen: -1 })).toBe('"chosen" must be at least 0');
+      expect(validateMessagePayload('recordCandidateChoice', { promptId: 'p', count: 1e9, chosen: 0 })).toBe('"count" must be at most 4');
+      expect(validateMessagePayload('cancelRequest', { id: 'a', extra: true })).toBe('unexpected field "extra"');
+      expect(validateMessagePayload('deleteEverything', {})).toBe('unknown action "deleteEverything"');
+    });
+
+    test('should reject other versions, missing request ids and unknown actions', () => {
+      const message = createMessage('ping');
+      expect(validateMessage(message, 'extension')).toBeNull();
+      expect(validateMessage({ ...message, version: MESSAGE_PROTOCOL_VERSION + 1 }, 'extension'))
+        .toContain('is not supported');
+      expect(validateMessage({ ...message, requestId: '' }, 'extension')).toBe('request id is missing');
+      expect(validateMessage({ ...message, action: 'eval' }, 'extension')).toBe('unknown action "eval"');
+      expect(validateMessage({ action: 'ping' }, 'extension')).toBe('not a protocol message');
+    });
+
+    test('should only accept actions from their declared senders', () => {
+      expect(getMessageSenderKind(contentSender, runtime)).toBe('content');
+      expect(getMessageSenderKind(popupSender, runtime)).toBe('extension');
+      expect(getMessageSenderKind({ ...contentSender, id: 'other-extension' }, runtime)).toBeNull();
+
+      // Web pages must not be able to toggle the checker or trigger enhancements
+      expect(validateMessage(createMessage('toggleInlineChecker', { enabled: false }), 'content'))
+        .toBe('not accepted from content senders');
+      expect(validateMessage(createMessage('analyzeText', { text: 'Hi' }), null))
+        .toBe('not accepted from unknown senders');
+    });
+  });
+
+  describe('MessageRouter', () => {
+    let router;
+    let analyzeText;
+
+    beforeEach(() => {
+      analyzeText = jest.fn().mockResolvedValue({ issues: [] });
+      router = new MessageRouter({ analyzeText }, { api: { runtime } });
+    });
+
+    test('should answer valid messages with a result envelope', async () => {
+      const message = createMessage('analyzeText', { text: 'Hello' }, 'analysis_1');
+      const answer = await dispatch(router, message);
+
+      expect(analyzeText).toHaveBeenCalledWith({ text: 'Hello' }, expect.objectContaining({ requestId: 'analysis_1' }));
+      expect(answer).toEqual({
+        protocol: 'feelly',
+        version: MESSAGE_PROTOCOL_VERSION,
+        requestId: 'analysis_1',
+        success: true,
+        result: { issues: [] }
+      });
+    });
+
+    test('should reject invalid messages without calling the handler', async () => {
+      const answer = await dispatch(router, { ...createMessage('analyzeText', { text: 'Hi' }), version: 0 });
+
+      expect(analyzeText).not.toHaveBeenCalled();
+      expect(answer.success).toBe(false);
+      expect(answer.error.code).toBe('protocol');
+      expect(answer.error.hint).toContain('Reload the page');
+    });
+
+    test('should leave actions without a handler to other listeners', () => {
+      const sendResponse = jest.fn();
+      expect(router.handleMessage(createMessage('ping'), popupSender, sendResponse)).toBe(false);
+      expect(sendResponse).not.toHaveBeenCalled();
+    });
+
+    test('should report handler errors and cancellations', async () => {
+      const onError = jest.fn();
+      const cancelled = Object.assign(new Error('aborted'), { name: 'AbortError' });
+      router = new MessageRouter({
+        analyzeText: jest.fn()
+          .mockRejectedValueOnce(Object.assign(new Error('Invalid API key'), { code: 'auth', hint: 'Check the key.' }))
+          .mockRejectedValueOnce(cancelled)
+      }, { api: { runtime }, onError });
+
+      const failed = await dispatch(router, createMessage('analyzeText', { text: 'Hi' }));
+      expect(failed).toMatchObject({
+        success: false,
+        error: { code: 'auth', message: 'Invalid API key', retryable: false, hint: 'Check the key.' }
+      });
+      expect(onError).toHaveBeenCalledWith('analyzeText', expect.any(Error));
+
+      const aborted = await dispatch(router, createMessage('analyzeText', { text: 'Hi' }));
+      expect(aborted).toMatchObject({ success: false, cancelled: true });
+    });
+
+    test('should start streams from the first port message', () => {
+      const stream = jest.fn();
+      router = new MessageRouter({}, { api: { runtime }, streams: { streamEnhancedText: stream } });
+      const listeners = [];
+      const port = {
+        name: 'streamEnhancedText',
+        sender: contentSender,
+        onMessage: { addListener: fn => listeners.push(fn), removeListener: jest.fn() },
+        postMessage: jest.fn(),
+        disconnect: jest.fn()
+      };
+
+      router.handleConnect(port);
+      listeners[0](createMessage('streamEnhancedText', { promptId: 'fix_grammar', selectedText: 'Hi' }, 'enhance_1'));
+
+      expect(stream).toHaveBeenCalledWith(
+        { promptId: 'fix_grammar', selectedText: 'Hi' },
+        expect.objectContaining({ requestId: 'enhance_1', port })
+      );
+      expect(port.postMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('MessageClient', () => {
+    test('should send envelopes and unwrap results', async () => {
+      const sendMessage = jest.fn().mockResolvedValue({ success: true, result: { cancelled: true } });
+      const client = new MessageClient({ runtime: { sendMessage } });
+
+      await expect(client.send('cancelRequest', { id: 'analysis_1' })).resolves.toEqual({ cancelled: true });
+      expect(sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+        protocol: 'feelly',
+        version: MESSAGE_PROTOCOL_VERSION,
+        action: 'cancelRequest',
+        payload: { id: 'analysis_1' }
+      }));
+    });
+
+    test('should rebuild errors and cancellations', async () => {
+      const sendMessage = jest.fn()
+        .mockResolvedValueOnce({ success: false, error: { code: 'quota', message: 'Out of credit', retryable: false } })
+        .mockResolvedValueOnce({ success: false, cancelled: true });
+      const client = new MessageClient({ runtime: { sendMessage } });
+
+      await expect(client.send('analyzeText', { text: 'Hi' })).rejects.toMatchObject({
+        code: 'quota',
+        message: 'Out of credit'
+      });
+      await expect(client.send('analyzeText', { text: 'Hi' })).rejects.toMatchObject({
+        name: 'AbortError',
+        cancelled: true
+      });
+    });
+
+    test('should refuse to send invalid payloads', async () => {
+      const sendMessage = jest.fn();
+      const client = new MessageClient({ runtime: { sendMessage } });
+
+      await expect(client.send('analyzeText', { text: null })).rejects.toThrow('"text" must be of type string');
+      expect(sendMessage).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,13 +1,55 @@
 const browserAPI = (typeof browser !== 'undefined' ? browser : chrome);
 
+const PROFILE_FIELD_IDS = [
+  'llmProvider', 'apiKey', 'llmModel', 'customEndpoint',
+  'authHeaderName', 'authHeaderPrefix', 'extraHeaders', 'queryParams', 'modelsPath',
+  'azureResource', 'azureApiVersion',
+  'ollamaKeepAlive', 'ollamaNumCtx', 'ollamaOptions'
+];
+
+// Profiles being edited; the form fields always show the active profile
+const profileState = {
+  profiles: [],
+  defaultProfileId: '',
+  activeProfileId: ''
+};
+
+// Stored key vault and, once unlocked, its key; see providers/KeyVault.js
+const keyVaultState = {
+  vault: null,
+  key: null,
+  locked: false
+};
+
 // Saves options to browserAPI.storage
 async function saveOptions() {
   try {
+    storeFormInActiveProfile();
+    const defaultProfile = profileState.profiles.find(profile => profile.id === profileState.defaultProfileId);
+
+    // Keys go to the local vault and never to synced storage. While the vault is locked,
+    // the key fields cannot be edited and the stored keys stay as they are.
+    const { profiles: syncedProfiles, keys } = splitApiKeys(profileState.profiles);
+    if (!keyVaultState.locked) {
+      await saveApiKeys(keys);
+    }
+
     const options = {
-      llmProvider: document.getElementById('llmProvider').value,
-      apiKey: document.getElementById('apiKey').value,
-      llmModel: document.getElementById('llmModel').value,
-      customEndpoint: document.getElementById('customEndpoint').value,
+      // Top-level provider fields mirror the default profile for older readers
+      llmProvider: defaultProfile.llmProvider,
+      apiKey: '',
+      llmModel: defaultProfile.llmModel,
+      customEndpoint: defaultProfile.customEndpoint,
+      llmProfiles: keyVaultState.locked ? profileState.profiles : syncedProfiles,
+      defaultProfileId: profileState.defaultProfileId,
+      promptProfiles: getPromptProfiles(),
+      promptCandidates: getPromptCandidates(),
+      fallbackProfileIds: getFallbackProfileIds(),
+      maxRetryAttempts: Math.min(10, Math.max(1, parseInt(document.getElementById('maxRetryAttempts').value) || 3)),
+      providerRateLimits: getProviderRateLimits(),
+      modelPrices: getModelPrices(),
+      usageBudgets: getUsageBudgets(),
+      mockMode: document.getElementById('mockMode').value,
       customPrompts: getCustomPrompts(),
       inlineCheckerEnabled: document.getElementById('inlineCheckerEnabled').checked,
       analysisDelay: parseInt(document.getElementById('analysisDelay').value),
@@ -52,6 +94,79 @@ function getCustomPrompts() {
   }
 }
 
+// Collect the per-prompt profile overrides, leaving out prompts that use the default profile
+function getPromptProfiles() {
+  const promptProfiles = {};
+
+  document.querySelectorAll('#prompt-profiles-container .prompt-profile').forEach(select => {
+    if (select.value) {
+      promptProfiles[select.dataset.promptId] = select.value;
+    }
+  });
+
+  document.querySelectorAll('.prompt-container').forEach(container => {
+    const id = snakeCase(container.querySelector('.prompt-title').value || '');
+    const select = container.querySelector('.prompt-profile');
+    if (id && select && select.value) {
+      promptProfiles[id] = select.value;
+    }
+  });
+
+  return promptProfiles;
+}
+
+// Collect how many versions each prompt offers, leaving out prompts with just one
+function getPromptCandidates() {
+  const promptCandidates = {};
+
+  document.querySelectorAll('#prompt-profiles-container .prompt-candidates').forEach(select => {
+    if (parseInt(select.value) > 1) {
+      promptCandidates[select.dataset.promptId] = parseInt(select.value);
+    }
+  });
+
+  document.querySelectorAll('.prompt-container').forEach(container => {
+    const id = snakeCase(container.querySelector('.prompt-title').value || '');
+    const select = container.querySelector('.prompt-candidates');
+    if (id && select && parseInt(select.value) > 1) {
+      promptCandidates[id] = parseInt(select.value);
+    }
+  });
+
+  return promptCandidates;
+}
+
+function fillCandidateOptions(select, promptCandidates, promptId) {
+  for (let count = 1; count <= MAX_CANDIDATES; count++) {
+    const option = document.createElement('option');
+    option.value = String(count);
+    option.textContent = count === 1 ? '1 version' : `${count} versions`;
+    select.appendChild(option);
+  }
+  select.value = String(getPromptCandidateCount({ promptCandidates }, promptId));
+}
+
+function getFallbackProfileIds() {
+  const ids = Array.from(document.querySelectorAll('.fallback-profile')).map(select => select.value);
+  return ids.filter((id, index) => id && ids.indexOf(id) === index);
+}
+
+function getProviderRateLimits() {
+  const providerRateLimits = {};
+
+  document.querySelectorAll('#rate-limits-container .rate-limit').forEach(input => {
+    const value = parseInt(input.value);
+    if (input.value !== '' && !isNaN(value) && value >= 0) {
+      providerRateLimits[input.dataset.provider] = {
+        ...providerRateLimits[input.dataset.provider],
+        [input.dataset.limit]: value
+      };
+    }
+  });
+
+  return providerRateLimits;
+}
+
 function getEnabledIssueTypes() {
   const types = [];
   if (document.getElementById('checkGrammar').checked) types.push('grammar');
@@ -73,6 +188,16 @@ async function restoreOptions() {
       llmModel: 'gemini-2.5-flash',
       customEndpoint: '',
       customPrompts: [],
+      llmProfiles: [],
+      defaultProfileId: '',
+      promptProfiles: {},
+      promptCandidates: {},
+      fallbackProfileIds: [],
+      maxRetryAttempts: 3,
+      providerRateLimits: {},
+      modelPrices: DEFAULT_MODEL_PRICES,
+      usageBudgets: {},
+      mockMode: 'canned',
       inlineCheckerEnabled: true,
       analysisDelay: 500,
       enabledIssueTypes: ['grammar', 'spelling', 'style', 'clarity']
@@ -82,16 +207,27 @@ async function restoreOptions() {
       browserAPI.storage.sync.get(defaults, resolve);
     });
 
-    const elementIds = ['llmProvider', 'apiKey', 'llmModel', 'customEndpoint'];
+    // Restore LLM profiles with their keys from the vault
+    const { profiles, defaultProfileId, promptProfiles } = normalizeProviderProfiles(items);
+    const storedKeys = await loadStoredApiKeys(browserAPI);
+    Object.assign(keyVaultState, { vault: storedKeys.vault, key: storedKeys.key, locked: storedKeys.locked });
+    profileState.profiles = storedKeys.locked ? profiles : mergeApiKeys(profiles, storedKeys.keys);
+    renderKeyVault();
+    profileState.defaultProfileId = defaultProfileId;
+    profileState.activeProfileId = defaultProfileId;
+    renderProfileSelect();
+    loadProfileIntoForm();
+
+    // Restore fallback profiles
+    document.getElementById('fallback-profiles-container').innerHTML = '';
+    items.fallbackProfileIds
+      .filter(id => profiles.some(profile => profile.id === id))
+      .forEach(id => addFallbackToUI(id));
+    document.getElementById('maxRetryAttempts').value = items.maxRetryAttempts;
+    renderProviderRateLimits(items.providerRateLimits);
+    document.getElementById('mockMode').value = items.mockMode;
+    renderMockRecordingsCount();
 
-    elementIds.forEach(id => {
-      const element = document.getElementById(id);
-      if (element) {
-        element.value = items[id] || defaults[id];
-      } else {
-        console.warn(`Element with id '${id}' not found`);
-      }
-    });
 
     // Restore inline checker settings
     document.getElementById('inlineCheckerEnabled').checked = items.inlineCheckerEnabled;
@@ -113,22 +249,641 @@ async function restoreOptions() {
 
     // Restore custom prompts
     items.customPrompts.forEach(prompt => {
-      addPromptToUI(prompt.title, prompt.prompt, prompt.id);
+      addPromptToUI(prompt.title, prompt.prompt, prompt.id, promptProfiles[prompt.id], items.promptCandidates);
     });
 
-    updateUIForProvider(items.llmProvider);
+    renderBuiltInPromptProfiles(promptProfiles, items.promptCandidates);
+
+    // Restore prices and show usage priced with them
+    document.getElementById('model-prices-container').innerHTML = '';
+    Object.entries(items.modelPrices).forEach(([model, price]) => addPriceToUI(model, price.input, price.output));
+    renderUsageBudgets(items.usageBudgets);
+    renderUsage();
   } catch (error) {
     console.error('Error restoring options:', error);
     showErrorMessage('Error restoring options. Please try reloading the page.');
   }
 }
 
+function getActiveProfile() {
+  return profileState.profiles.find(profile => profile.id === profileState.activeProfileId);
+}
+
+// Copy the provider form fields into the profile being edited
+function storeFormInActiveProfile() {
+  const profile = getActiveProfile();
+  if (!profile) return;
+
+  Object.assign(profile, readProfileForm());
+  profile.name = document.getElementById('profileName').value.trim() || profile.name;
+}
+
+// Provider settings as currently entered in the form
+function readProfileForm() {
+  const values = {};
+  PROFILE_FIELD_IDS.forEach(id => {
+    values[id] = document.getElementById(id).value;
+  });
+  return values;
+}
+
+function loadProfileIntoForm() {
+  const profile = getActiveProfile();
+  if (!profile) return;
+
+  PROFILE_FIELD_IDS.forEach(id => {
+    const element = document.getElementById(id);
+    if (element) {
+      element.value = profile[id] || '';
+    } else {
+      console.warn(`Element with id '${id}' not found`);
+    }
+  });
+
+  document.getElementById('profileName').value = profile.name;
+  document.getElementById('profileIsDefault').checked = profile.id === profileState.defaultProfileId;
+  setApiKeyVisible(false);
+  document.getElementById('deleteProfile').disabled = profileState.profiles.length <= 1;
+  updateUIForProvider(profile.llmProvider);
+}
+
+function renderProfileSelect() {
+  const profileSelect = document.getElementById('profileSelect');
+  profileSelect.innerHTML = '';
+
+  profileState.profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.id === profileState.defaultProfileId ? `${profile.name} (default)` : profile.name;
+    profileSelect.appendChild(option);
+  });
+
+  profileSelect.value = profileState.activeProfileId;
+  refreshPromptProfileSelects();
+}
+
+function switchProfile(profileId) {
+  storeFormInActiveProfile();
+  profileState.activeProfileId = profileId;
+  renderProfileSelect();
+  loadProfileIntoForm();
+}
+
+function addProfile() {
+  storeFormInActiveProfile();
+  const profile = createProviderProfile({ name: `Profile ${profileState.profiles.length + 1}` });
+  profileState.profiles.push(profile);
+  profileState.activeProfileId = profile.id;
+  renderProfileSelect();
+  loadProfileIntoForm();
+}
+
+function deleteProfile() {
+  if (profileState.profiles.length <= 1) return;
+
+  const deletedId = profileState.activeProfileId;
+  profileState.profiles = profileState.profiles.filter(profile => profile.id !== deletedId);
+  if (profileState.defaultProfileId === deletedId) {
+    profileState.defaultProfileId = profileState.profiles[0].id;
+  }
+  profileState.activeProfileId = profileState.defaultProfileId;
+
+  // Prompts assigned to the deleted profile fall back to the default
+  document.querySelectorAll('.prompt-profile').forEach(select => {
+    if (select.value === deletedId) select.value = '';
+  });
+  document.querySelectorAll('.fallback-profile').forEach(select => {
+    if (select.value === deletedId) select.closest('.fallback-row').remove();
+  });
+
+  renderProfileSelect();
+  loadProfileIntoForm();
+}
+
+// Fill a profile dropdown, keeping its current selection when possible
+function fillProfileOptions(select, selectedId = select.value, includeDefault = true) {
+  select.innerHTML = '';
+
+  if (includeDefault) {
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = 'Default profile';
+    select.appendChild(defaultOption);
+  }
+
+  profileState.profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  });
+
+  if (profileState.profiles.some(profile => profile.id === selectedId)) {
+    select.value = selectedId;
+  } else if (includeDefault) {
+    select.value = '';
+  }
+}
+
+function refreshPromptProfileSelects() {
+  document.querySelectorAll('.prompt-profile').forEach(select => fillProfileOptions(select));
+  document.querySelectorAll('.fallback-profile').forEach(select => fillProfileOptions(select, select.value, false));
+}
+
+function addFallbackToUI(profileId = '') {
+  const container = document.getElementById('fallback-profiles-container');
+
+  const row = document.createElement('div');
+  row.className = 'fallback-row flex gap-2';
+
+  const select = document.createElement('select');
+  select.className = 'fallback-profile flex-1 rounded-md border border-gray-300 bg-white px-3 py-2 shadow-sm focus:border-indigo-500 focus:ring focus:ring-indigo-200 focus:ring-opacity-50';
+  fillProfileOptions(select, profileId, false);
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2';
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => row.remove());
+
+  row.appendChild(select);
+  row.appendChild(removeButton);
+  container.appendChild(row);
+}
+
+function renderBuiltInPromptProfiles(promptProfiles, promptCandidates = {}) {
+  const container = document.getElementById('prompt-profiles-container');
+  container.innerHTML = '';
+
+  DEFAULT_PROMPTS.forEach(prompt => {
+    const row = document.createElement('label');
+    row.className = 'flex items-center justify-between gap-4';
+
+    const title = document.createElement('span');
+    title.className = 'text-gray-700';
+    title.textContent = prompt.id === 'analyze_grammar' ? `${prompt.title} (inline checker)` : prompt.title;
+
+    const select = document.createElement('select');
+    select.className = 'prompt-profile w-1/2 rounded-md border border-gray-300 bg-white px-3 py-2 shadow-sm focus:border-indigo-500 focus:ring focus:ring-indigo-200 focus:ring-opacity-50';
+    select.dataset.promptId = prompt.id;
+    fillProfileOptions(select, promptProfiles[prompt.id]);
+
+    row.appendChild(title);
+
+    // The inline checker needs exactly one answer
+    if (prompt.id !== 'analyze_grammar') {
+      const candidates = document.createElement('select');
+      candidates.className = 'prompt-candidates w-32 rounded-md border border-gray-300 bg-white px-3 py-2 shadow-sm focus:border-indigo-500 focus:ring focus:ring-indigo-200 focus:ring-opacity-50';
+      candidates.dataset.promptId = prompt.id;
+      fillCandidateOptions(candidates, promptCandidates, prompt.id);
+      row.appendChild(candidates);
+    }
+
+    row.appendChild(select);
+    container.appendChild(row);
+  });
+}
+
+function renderProviderRateLimits(providerRateLimits) {
+  const container = document.getElementById('rate-limits-container');
+  container.innerHTML = '';
+
+  providerRegistry.list().forEach(adapter => {
+    const defaults = { ...DEFAULT_RATE_LIMITS, ...adapter.defaults.rateLimits };
+    const saved = providerRateLimits[adapter.id] || {};
+
+    const row = document.createElement('tr');
+    const label = document.createElement('td');
+    label.className = 'py-1 pr-2 text-gray-700';
+    label.textContent = adapter.label;
+    row.appendChild(label);
+
+    ['requestsPerMinute', 'tokensPerMinute', 'concurrency'].forEach(limit => {
+      const cell = document.createElement('td');
+      cell.className = 'py-1 pr-2';
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = limit === 'concurrency' ? '1' : '0';
+      input.className = 'rate-limit w-full rounded-md border border-gray-300 bg-white px-2 py-1 shadow-sm focus:border-indigo-500 focus:ring focus:ring-indigo-200 focus:ring-opacity-50';
+      input.dataset.provider = adapter.id;
+      input.dataset.limit = limit;
+      input.placeholder = String(defaults[limit]);
+      input.value = saved[limit] !== undefined ? saved[limit] : '';
+
+      cell.appendChild(input);
+      row.appendChild(cell);
+    });
+
+    container.appendChild(row);
+  });
+}
+
+async function renderMockRecordingsCount() {
+  const { mockRecordings } = await new Promise(resolve => {
+    browserAPI.storage.local.get({ mockRecordings: {} }, resolve);
+  });
+  const count = Object.keys(mockRecordings).length;
+  document.getElementById('mock-recordings-count').textContent = `${count} recorded response${count === 1 ? '' : 's'}`;
+}
+
+async function clearMockRecordings() {
+  if (!confirm('Delete all recorded responses?')) {
+    return;
+  }
+  await new Promise(resolve => {
+    browserAPI.storage.local.set({ mockRecordings: {} }, resolve);
+  });
+  renderMockRecordingsCount();
+}
+
+function addPriceToUI(model = '', input = '', output = '') {
+  const container = document.getElementById('model-prices-container');
+  const inputClass = 'rounded-md border border-gray-300 bg-white px-3 py-2 shadow-sm focus:border-indigo-500 focus:ring focus:ring-indigo-200 focus:ring-opacity-50';
+
+  const row = document.createElement('div');
+  row.className = 'price-row flex gap-2';
+
+  const fields = [
+    ['price-model flex-1', 'text', 'Model id', model],
+    ['price-input w-32', 'number', 'Input', input],
+    ['price-output w-32', 'number', 'Output', output]
+  ].map(([className, type, placeholder, value]) => {
+    const field = document.createElement('input');
+    field.type = type;
+    field.className = `${className} ${inputClass}`;
+    field.placeholder = placeholder;
+    field.value = value;
+    if (type === 'number') {
+      field.min = '0';
+      field.step = 'any';
+    }
+    field.addEventListener('input', renderUsage);
+    return field;
+  });
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2';
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => {
+    row.remove();
+    renderUsage();
+  });
+
+  fields.forEach(field => row.appendChild(field));
+  row.appendChild(removeButton);
+  container.appendChild(row);
+}
+
+function getModelPrices() {
+  const prices = {};
+
+  document.querySelectorAll('#model-prices-container .price-row').forEach(row => {
+    const model = row.querySelector('.price-model').value.trim();
+    if (model) {
+      prices[model] = {
+        input: parseFloat(row.querySelector('.price-input').value) || 0,
+        output: parseFloat(row.querySelector('.price-output').value) || 0
+      };
+    }
+  });
+
+  return prices;
+}
+
+// One row for the inline checker and one per provider, each with daily and monthly limits
+function renderUsageBudgets(usageBudgets) {
+  const container = document.getElementById('budgets-container');
+  container.innerHTML = '';
+
+  const rows = [['inline', 'Inline checker', usageBudgets.inline || {}]].concat(
+    providerRegistry.list().map(adapter => [adapter.id, adapter.label, (usageBudgets.providers || {})[adapter.id] || {}])
+  );
+
+  rows.forEach(([scope, labelText, saved]) => {
+    const row = document.createElement('tr');
+    const label = document.createElement('td');
+    label.className = 'py-1 pr-2 text-gray-700';
+    label.textContent = labelText;
+    row.appendChild(label);
+
+    ['daily', 'monthly'].forEach(period => {
+      ['requests', 'tokens', 'cost'].forEach(metric => {
+        const cell = document.createElement('td');
+        cell.className = 'py-1 pr-2';
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = metric === 'cost' ? 'any' : '1';
+        input.className = 'budget-limit w-full rounded-md border border-gray-300 bg-white px-2 py-1 shadow-sm focus:border-indigo-500 focus:ring focus:ring-indigo-200 focus:ring-opacity-50';
+        input.dataset.scope = scope;
+        input.dataset.period = period;
+        input.dataset.metric = metric;
+        const value = (saved[period] || {})[metric];
+        input.value = value !== undefined ? value : '';
+
+        cell.appendChild(input);
+        row.appendChild(cell);
+      });
+    });
+
+    container.appendChild(row);
+  });
+
+  document.getElementById('overBudgetAction').value = usageBudgets.overBudgetAction || 'confirm';
+}
+
+function getUsageBudgets() {
+  const usageBudgets = {
+    inline: {},
+    providers: {},
+    overBudgetAction: document.getElementById('overBudgetAction').value
+  };
+
+  document.querySelectorAll('#budgets-container .budget-limit').forEach(input => {
+    const value = parseFloat(input.value);
+    if (input.value === '' || isNaN(value) || value <= 0) {
+      return;
+    }
+
+    const { scope, period, metric } = input.dataset;
+    const budget = scope === 'inline'
+      ? usageBudgets.inline
+      : usageBudgets.providers[scope] || (usageBudgets.providers[scope] = {});
+    budget[period] = { ...budget[period], [metric]: value };
+  });
+
+  return usageBudgets;
+}
+
+// Show the usage totals recorded by the background script, priced with the table on the page
+async function renderUsage() {
+  const { usageStats } = await new Promise(resolve => {
+    browserAPI.storage.local.get({ usageStats: null }, resolve);
+  });
+  const stats = usageStats || createEmptyUsageStats();
+  const prices = getModelPrices();
+  const customPrompts = getCustomPrompts();
+  const promptTitles = {};
+  [...DEFAULT_PROMPTS, ...customPrompts].forEach(prompt => {
+    promptTitles[prompt.id] = prompt.title;
+  });
+  promptTitles[INLINE_BUDGET_PROMPT_ID] = 'Inline checker';
+
+  document.getElementById('usage-since').textContent = `Since ${new Date(stats.since).toLocaleString()}`;
+
+  fillUsageTable('usage-models', stats, Object.values(stats.models)
+    .sort((a, b) => b.requests - a.requests)
+    .map(entry => [`${getProviderLabel(entry.provider)} / ${entry.model}`, entry]), prices);
+
+  fillUsageTable('usage-prompts', stats, Object.entries(stats.prompts)
+    .sort(([, a], [, b]) => b.requests - a.requests)
+    .map(([promptId, entry]) => [promptTitles[promptId] || promptId, entry]), prices);
+
+  fillUsageTable('usage-days', stats, Object.keys(stats.days)
+    .sort()
+    .reverse()
+    .slice(0, 14)
+    .map(day => [day, stats.days[day]]), prices);
+
+  renderCandidateChoices(promptTitles);
+}
+
+async function renderCandidateChoices(promptTitles) {
+  const stored = await new Promise(resolve => {
+    browserAPI.storage.local.get({ [CANDIDATE_HISTORY_STORAGE_KEY]: [] }, resolve);
+  });
+  const summary = summarizeCandidateChoices(stored[CANDIDATE_HISTORY_STORAGE_KEY]);
+  const tbody = document.getElementById('candidate-choices');
+  tbody.innerHTML = '';
+
+  const rows = Object.entries(summary).sort(([, a], [, b]) => b.choices - a.choices);
+  if (rows.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 3;
+    cell.className = 'py-1 text-gray-500';
+    cell.textContent = 'No versions picked yet.';
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    return;
+  }
+
+  rows.forEach(([promptId, entry]) => {
+    const row = document.createElement('tr');
+    [
+      promptTitles[promptId] || promptId,
+      entry.choices.toLocaleString(),
+      entry.picks
+        .map((picks, index) => `${index + 1}: ${picks} (${Math.round(picks / entry.choices * 100)}%)`)
+        .join(' · ')
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.className = 'py-1 pr-2 text-gray-700';
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  });
+}
+
+function fillUsageTable(tbodyId, stats, rows, prices) {
+  const tbody = document.getElementById(tbodyId);
+  tbody.innerHTML = '';
+
+  if (rows.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 5;
+    cell.className = 'py-1 text-gray-500';
+    cell.textContent = 'No usage recorded yet.';
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    return;
+  }
+
+  rows.forEach(([label, entry]) => {
+    const { cost, unpriced } = calculateUsageCost(stats, entry, prices);
+    const marker = entry.estimatedRequests > 0 ? '*' : '';
+    const row = document.createElement('tr');
+
+    [
+      label,
+      entry.requests.toLocaleString(),
+      `${entry.promptTokens.toLocaleString()}${marker}`,
+      `${entry.completionTokens.toLocaleString()}${marker}`,
+      unpriced && cost === 0 ? 'no price' : `$${cost.toFixed(4)}${unpriced ? ' +' : ''}`
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.className = 'py-1 pr-2 text-gray-700';
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+
+    tbody.appendChild(row);
+  });
+}
+
+function getProviderLabel(providerId) {
+  return providerRegistry.has(providerId) ? providerRegistry.get(providerId).label : providerId;
+}
+
+async function resetUsage() {
+  if (!confirm('Reset all recorded usage and picked versions?')) {
+    return;
+  }
+
+  await new Promise(resolve => {
+    browserAPI.storage.local.set({ usageStats: createEmptyUsageStats(), [CANDIDATE_HISTORY_STORAGE_KEY]: [] }, resolve);
+  });
+  renderUsage();
+}
+
+// Write the keys to the vault, encrypted if a passphrase is set
+async function saveApiKeys(keys) {
+  const vault = keyVaultState.key
+    ? await sealVault(keys, keyVaultState.key, keyVaultState.vault)
+    : createPlainVault(keys);
+
+  await browserAPI.storage.local.set({ [KEY_VAULT_STORAGE_KEY]: vault });
+  keyVaultState.vault = vault;
+}
+
+function renderKeyVault() {
+  const status = document.getElementById('key-vault-status');
+  const encrypted = !!(keyVaultState.vault && keyVaultState.vault.encrypted);
+  const canEncrypt = !!browserAPI.storage.session;
+
+  if (keyVaultState.locked) {
+    status.textContent = '🔒 Your API keys are encrypted and locked. Enter your passphrase to use or edit them.';
+  } else if (encrypted) {
+    status.textContent = '🔓 Your API keys are encrypted and unlocked until the browser closes.';
+  } else {
+    status.textContent = canEncrypt
+      ? 'Your API keys are stored unencrypted on this device.'
+      : 'Your API keys are stored unencrypted on this device. This browser cannot keep them unlocked for a session, so a passphrase is not available.';
+  }
+
+  document.getElementById('key-vault-unlock').classList.toggle('hidden', !keyVaultState.locked);
+  document.getElementById('key-vault-forgot').classList.toggle('hidden', !keyVaultState.locked);
+  document.getElementById('key-vault-settings').classList.toggle('hidden', keyVaultState.locked || !canEncrypt);
+  document.getElementById('set-passphrase').textContent = encrypted ? 'Change passphrase' : 'Set passphrase';
+  document.getElementById('lock-keys').classList.toggle('hidden', !encrypted);
+  document.getElementById('remove-passphrase').classList.toggle('hidden', !encrypted);
+}
+
+// Keys are hidden unless shown on request; the hint below the field tells saved keys apart
+function setApiKeyVisible(visible) {
+  const apiKeyInput = document.getElementById('apiKey');
+  apiKeyInput.type = visible ? 'text' : 'password';
+  document.getElementById('toggleApiKey').textContent = visible ? 'Hide' : 'Show';
+  renderApiKeyMask();
+}
+
+function renderApiKeyMask() {
+  const apiKeyInput = document.getElementById('apiKey');
+  const masked = apiKeyInput.type === 'password' ? maskApiKey(apiKeyInput.value) : '';
+  document.getElementById('apiKeyMask').textContent = masked ? `Key: ${masked}` : '';
+}
+
+// Store the vault key for this browser session, where the background script finds it
+async function rememberVaultKey(key) {
+  await browserAPI.storage.session.set({ [KEY_VAULT_SESSION_KEY]: await exportVaultKey(key) });
+}
+
+async function unlockApiKeys() {
+  const input = document.getElementById('unlockPassphrase');
+  try {
+    const { key, keys } = await unlockVault(keyVaultState.vault, input.value);
+    await rememberVaultKey(key);
+    Object.assign(keyVaultState, { key, locked: false });
+    input.value = '';
+
+    storeFormInActiveProfile();
+    profileState.profiles = mergeApiKeys(profileState.profiles, keys);
+    loadProfileIntoForm();
+    renderKeyVault();
+    showSuccessMessage('API keys unlocked.');
+  } catch (error) {
+    showErrorMessage(error.message);
+  }
+}
+
+async function setPassphrase() {
+  const passphrase = document.getElementById('newPassphrase').value;
+  if (passphrase !== document.getElementById('confirmPassphrase').value) {
+    showErrorMessage('The passphrases do not match.');
+    return;
+  }
+
+  try {
+    storeFormInActiveProfile();
+    const { vault, key } = await createEncryptedVault(splitApiKeys(profileState.profiles).keys, passphrase);
+    await rememberVaultKey(key);
+    Object.assign(keyVaultState, { vault, key, locked: false });
+    document.getElementById('newPassphrase').value = '';
+    document.getElementById('confirmPassphrase').value = '';
+
+    await saveOptions();
+    renderKeyVault();
+    showSuccessMessage('API keys encrypted.');
+  } catch (error) {
+    showErrorMessage(error.message);
+  }
+}
+
+async function removePassphrase() {
+  if (!confirm('Store your API keys unencrypted on this device?')) {
+    return;
+  }
+
+  await browserAPI.storage.session.remove(KEY_VAULT_SESSION_KEY);
+  Object.assign(keyVaultState, { key: null, locked: false });
+  await saveOptions();
+  renderKeyVault();
+}
+
+async function lockApiKeys() {
+  await browserAPI.storage.session.remove(KEY_VAULT_SESSION_KEY);
+  Object.assign(keyVaultState, { key: null, locked: true });
+
+  profileState.profiles = profileState.profiles.map(profile => ({ ...profile, apiKey: '' }));
+  loadProfileIntoForm();
+  renderKeyVault();
+}
+
+// The way out of a forgotten passphrase: start over with an empty, unencrypted vault
+async function forgetApiKeys() {
+  if (!confirm('Delete all stored API keys? You will need to enter them again.')) {
+    return;
+  }
+
+  Object.assign(keyVaultState, { key: null, locked: false });
+  await saveApiKeys({});
+  loadProfileIntoForm();
+  renderKeyVault();
+}
+
+function populateProviderSelect() {
+  const providerSelect = document.getElementById('llmProvider');
+  if (!providerSelect) return;
+
+  providerSelect.innerHTML = '';
+  providerRegistry.list().forEach(adapter => {
+    const option = document.createElement('option');
+    option.value = adapter.id;
+    option.textContent = adapter.ui.optionLabel || adapter.label;
+    providerSelect.appendChild(option);
+  });
+}
+
 function updateUIForProvider(provider) {
   try {
-    const labels = document.querySelectorAll('label span');
-    const apiKeySpan = Array.from(labels).find(span => span.textContent.includes('API Key'));
-    const modelSpan = Array.from(labels).find(span => span.textContent.includes('Model'));
-    const endpointSpan = Array.from(labels).find(span => span.textContent.includes('Endpoint'));
+    const apiKeySpan = document.getElementById('apiKeyLabel');
+    const modelSpan = document.getElementById('llmModelLabel');
+    const endpointSpan = document.getElementById('customEndpointLabel');
 
     const apiKeyInput = document.getElementById('apiKey');
     const apiKeyHelp = document.getElementById('apiKeyHelp');
@@ -139,6 +894,9 @@ function updateUIForProvider(provider) {
     const endpointHelp = document.getElementById('endpointHelp');
     const fetchModelsButton = document.getElementById('fetchModels');
     const availableModelsSelect = document.getElementById('availableModels');
+    const customHeadersSettings = document.getElementById('custom-headers-settings');
+    const azureSettings = document.getElementById('azure-settings');
+    const ollamaSettings = document.getElementById('ollama-settings');
 
     if (!apiKeySpan || !modelSpan || !endpointSpan) {
       console.warn('Could not find required UI labels');
@@ -147,92 +905,58 @@ function updateUIForProvider(provider) {
 
     // Reset visibility
     customEndpointContainer.style.display = 'block';
-    apiKeyInput.parentElement.style.display = 'block';
+    customHeadersSettings.style.display = 'none';
+    azureSettings.style.display = 'none';
+    ollamaSettings.style.display = 'none';
+    ollamaModels = null;
+    updateOllamaModelWarning();
+    apiKeyInput.closest('label').style.display = 'block';
     if (availableModelsSelect) {
       availableModelsSelect.classList.add('hidden');
       availableModelsSelect.innerHTML = '<option value="">Select a model...</option>';
     }
 
+    if (!providerRegistry.has(provider)) {
+      console.warn(`Unknown provider: ${provider}`);
+      return;
+    }
+
+    const adapter = providerRegistry.get(provider);
+    const ui = adapter.ui;
+
     // Show/hide fetch models button based on provider capability
-    const canFetchModels = ['openai', 'lmstudio', 'ollama', 'openrouter', 'groq'].includes(provider);
     if (fetchModelsButton) {
-      fetchModelsButton.style.display = canFetchModels ? 'block' : 'none';
+      fetchModelsButton.style.display = adapter.capabilities.listModels ? 'block' : 'none';
     }
 
-    switch (provider) {
-      case 'openai':
-        apiKeySpan.textContent = 'OpenAI API Key:';
-        apiKeyInput.placeholder = 'sk-...';
-        if (apiKeyHelp) apiKeyHelp.textContent = 'Get your API key from https://platform.openai.com/api-keys';
-        llmModelInput.placeholder = 'gpt-3.5-turbo, gpt-4, gpt-4-turbo, etc.';
-        if (modelHelp) modelHelp.textContent = 'Common models: gpt-3.5-turbo, gpt-4, gpt-4-turbo';
-        customEndpointInput.placeholder = 'https://api.openai.com/v1/chat/completions (default)';
-        if (endpointHelp) endpointHelp.textContent = 'Leave empty to use default OpenAI endpoint';
-        break;
-
-      case 'anthropic':
-        apiKeySpan.textContent = 'Anthropic API Key:';
-        apiKeyInput.placeholder = 'sk-ant-...';
-        if (apiKeyHelp) apiKeyHelp.textContent = 'Get your API key from https://console.anthropic.com/';
-        llmModelInput.placeholder = 'claude-3-haiku-20240307, claude-3-sonnet-20240229, etc.';
-        if (modelHelp) modelHelp.textContent = 'Common models: claude-3-haiku-20240307, claude-3-sonnet-20240229';
-        customEndpointInput.placeholder = 'https://api.anthropic.com/v1/complete (default)';
-        if (endpointHelp) endpointHelp.textContent = 'Leave empty to use default Anthropic endpoint';
-        break;
-
-      case 'ollama':
-        apiKeySpan.textContent = 'API Key (Optional):';
-        apiKeyInput.placeholder = 'Leave empty for local Ollama';
-        if (apiKeyHelp) apiKeyHelp.textContent = 'Ollama typically runs without API keys. Only needed for remote instances.';
-        llmModelInput.placeholder = 'llama2, llama3, mistral, codellama, etc.';
-        if (modelHelp) modelHelp.textContent = 'Use "ollama list" to see available models on your system';
-        customEndpointInput.placeholder = 'http://localhost:11434/api/generate (default)';
-        if (endpointHelp) endpointHelp.textContent = 'Default: http://localhost:11434/api/generate. Make sure Ollama is running.';
-        break;
-
-      case 'lmstudio':
-        apiKeySpan.textContent = 'API Key (Optional):';
-        apiKeyInput.placeholder = 'Leave empty for local LM Studio';
-        if (apiKeyHelp) apiKeyHelp.textContent = 'LM Studio typically runs without API keys for local use.';
-        llmModelInput.placeholder = 'Model name as shown in LM Studio';
-        if (modelHelp) modelHelp.textContent = 'Use the exact model name from your LM Studio models list';
-        customEndpointInput.placeholder = 'http://localhost:1234/v1/chat/completions (default)';
-        if (endpointHelp) endpointHelp.textContent = 'Default: http://localhost:1234/v1/chat/completions. Ensure LM Studio server is running.';
-        break;
-
-      case 'groq':
-        apiKeySpan.textContent = 'Groq API Key:';
-        apiKeyInput.placeholder = 'gsk_...';
-        if (apiKeyHelp) apiKeyHelp.textContent = 'Get your API key from https://console.groq.com/keys';
-        llmModelInput.placeholder = 'llama3-8b-8192, llama3-70b-8192, mixtral-8x7b-32768, etc.';
-        if (modelHelp) modelHelp.textContent = 'Common models: llama3-8b-8192, llama3-70b-8192, mixtral-8x7b-32768';
-        customEndpointInput.placeholder = 'https://api.groq.com/v1/chat/completions (default)';
-        if (endpointHelp) endpointHelp.textContent = 'Leave empty to use default Groq endpoint';
-        break;
-
-      case 'openrouter':
-        apiKeySpan.textContent = 'OpenRouter API Key:';
-        apiKeyInput.placeholder = 'sk-or-...';
-        if (apiKeyHelp) apiKeyHelp.textContent = 'Get your API key from https://openrouter.ai/keys';
-        llmModelInput.placeholder = 'openai/gpt-3.5-turbo, anthropic/claude-3-haiku, etc.';
-        if (modelHelp) modelHelp.textContent = 'Format: provider/model-name (e.g., openai/gpt-4, anthropic/claude-3-sonnet)';
-        customEndpointInput.placeholder = 'https://openrouter.ai/api/v1/chat/completions (default)';
-        if (endpointHelp) endpointHelp.textContent = 'Leave empty to use default OpenRouter endpoint';
-        break;
-
-      case 'gemini':
-        apiKeySpan.textContent = 'Gemini API Key:';
-        apiKeyInput.placeholder = 'AIza...';
-        if (apiKeyHelp) apiKeyHelp.textContent = 'Get your API key from https://aistudio.google.com/app/apikey';
-        llmModelInput.placeholder = 'gemini-2.5-flash, gemini-1.5-pro, gemini-1.5-flash, etc.';
-        if (modelHelp) modelHelp.textContent = 'Common models: gemini-2.5-flash, gemini-1.5-pro, gemini-1.5-flash';
-        customEndpointContainer.style.display = 'none'; // Hide custom endpoint for Gemini
-        if (endpointHelp) endpointHelp.textContent = '';
-        break;
-
-      default:
-        console.warn(`Unknown provider: ${provider}`);
-        break;
+    apiKeySpan.textContent = ui.apiKeyLabel || `${adapter.label} API Key:`;
+    apiKeyInput.placeholder = keyVaultState.locked
+      ? 'Locked. Enter your passphrase under API key security to edit.'
+      : ui.apiKeyPlaceholder || 'Enter your API key';
+    apiKeyInput.disabled = keyVaultState.locked;
+    if (apiKeyHelp) apiKeyHelp.textContent = ui.apiKeyHelp || '';
+    modelSpan.textContent = ui.modelLabel || 'LLM Model:';
+    llmModelInput.placeholder = ui.modelPlaceholder || 'Enter the LLM model';
+    if (modelHelp) modelHelp.textContent = ui.modelHelp || '';
+
+    if (adapter.capabilities.customHeaders) {
+      customHeadersSettings.style.display = 'block';
+    }
+    if (adapter.capabilities.azureSettings) {
+      azureSettings.style.display = 'block';
+    }
+    if (adapter.capabilities.ollamaSettings) {
+      ollamaSettings.style.display = 'block';
+      renderOllamaModels();
+    }
+
+    endpointSpan.textContent = ui.endpointLabel || 'Custom Endpoint (optional):';
+    if (adapter.capabilities.customEndpoint) {
+      customEndpointInput.placeholder = ui.endpointPlaceholder || `${adapter.defaults.endpoint} (default)`;
+      if (endpointHelp) endpointHelp.textContent = ui.endpointHelp || '';
+    } else {
+      customEndpointContainer.style.display = 'none';
+      if (endpointHelp) endpointHelp.textContent = '';
     }
   } catch (error) {
     console.error('Error updating UI for provider:', error);
@@ -240,10 +964,173 @@ function updateUIForProvider(provider) {
   }
 }
 
+// Installed models of the Ollama server in the form, from the last refresh; null if unknown
+let ollamaModels = null;
+
+// Show the models of the Ollama server with their sizes, context lengths and whether they are loaded
+async function renderOllamaModels() {
+  const tbody = document.getElementById('ollama-models');
+  const status = document.getElementById('ollama-models-status');
+  tbody.innerHTML = '';
+  status.textContent = 'Loading models...';
+
+  try {
+    const models = await providerRegistry.get('ollama').listModelDetails(readProfileForm());
+    ollamaModels = models;
+    status.textContent = models.length === 0 ? 'No models installed. Run "ollama pull <model>" to install one.' : '';
+
+    models.forEach(model => {
+      const row = document.createElement('tr');
+
+      const nameCell = document.createElement('td');
+      nameCell.className = 'py-1 pr-2';
+      const useButton = document.createElement('button');
+      useButton.type = 'button';
+      useButton.className = 'text-indigo-600 hover:underline';
+      useButton.title = 'Use this model';
+      useButton.textContent = model.id;
+      useButton.addEventListener('click', () => {
+        document.getElementById('llmModel').value = model.id;
+        updateOllamaModelWarning();
+      });
+      nameCell.appendChild(useButton);
+      row.appendChild(nameCell);
+
+      [
+        model.size ? `${(model.size / 1e9).toFixed(1)} GB` : '',
+        [model.parameterSize, model.quantization].filter(Boolean).join(', '),
+        model.contextLength ? model.contextLength.toLocaleString() : '',
+        model.loaded ? 'Loaded' : 'Installed'
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.className = 'py-1 pr-2 text-gray-700';
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+      tbody.appendChild(row);
+    });
+  } catch (error) {
+    ollamaModels = null;
+    status.textContent = `Could not list models: ${error.message}. Make sure Ollama is running.`;
+  }
+
+  updateOllamaModelWarning();
+}
+
+function updateOllamaModelWarning() {
+  const warning = document.getElementById('ollama-model-warning');
+  const model = document.getElementById('llmModel').value.trim();
+  const missing = !!ollamaModels && !!model && !isOllamaModelInstalled(model, ollamaModels);
+
+  warning.textContent = missing
+    ? `"${model}" is not installed on this server. Run "ollama pull ${model}" or pick one of the models below.`
+    : '';
+  warning.classList.toggle('hidden', !missing);
+}
+
+const CONNECTION_TEST_ICONS = { ok: '✅', warning: '⚠️', failed: '❌', skipped: '➖' };
+
+// Run the connection test with the settings in the form, without saving them
+async function testConnection() {
+  const button = document.getElementById('test-connection');
+  const list = document.getElementById('connection-test-results');
+  button.disabled = true;
+  list.innerHTML = '<li class="text-gray-500">Testing...</li>';
+
+  try {
+    const config = readProfileForm();
+    const result = await runConnectionTest(providerRegistry.get(config.llmProvider), config, {
+      analysis: {
+        prompt: DEFAULT_PROMPTS.find(prompt => prompt.id === 'analyze_grammar').prompt,
+        schema: ANALYSIS_RESPONSE_SCHEMA,
+        parse: parseAnalysisResponse
+      },
+      hasHostPermission: url => browserAPI.permissions.contains({ origins: [`${new URL(url).origin}/*`] })
+    });
+
+    list.innerHTML = '';
+    result.steps.forEach(step => {
+      const item = document.createElement('li');
+      item.className = step.status === 'failed' ? 'text-red-700' : 'text-gray-700';
+      item.textContent = `${CONNECTION_TEST_ICONS[step.status]} ${step.label}: ${step.detail}`;
+
+      if (step.hint) {
+        const hint = document.createElement('small');
+        hint.className = 'block ml-6 text-gray-500';
+        hint.textContent = step.hint;
+        item.appendChild(hint);
+      }
+      list.appendChild(item);
+    });
+  } catch (error) {
+    list.innerHTML = '';
+    const item = document.createElement('li');
+    item.className = 'text-red-700';
+    item.textContent = `❌ ${error.message}`;
+    list.appendChild(item);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Probe this machine for model servers and offer to fill in the profile from one of them
+async function detectLocalServers() {
+  const button = document.getElementById('detect-local-servers');
+  const container = document.getElementById('local-servers');
+  button.disabled = true;
+  container.innerHTML = '';
+
+  try {
+    const servers = await discoverLocalServers();
+    if (servers.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'text-gray-500 text-sm';
+      empty.textContent = 'No local servers found. Start Ollama, LM Studio or another server and try again.';
+      container.appendChild(empty);
+      return;
+    }
+    servers.forEach(server => container.appendChild(createLocalServerRow(server)));
+  } finally {
+    button.disabled = false;
+  }
+}
+
+function createLocalServerRow(server) {
+  const row = document.createElement('div');
+  row.className = 'flex gap-2 items-center';
+
+  const label = document.createElement('span');
+  label.className = 'flex-1 text-gray-700';
+  label.textContent = `${server.name} at ${server.baseUrl}`;
+  row.appendChild(label);
+
+  const modelSelect = document.createElement('select');
+  modelSelect.className = 'rounded-md border border-gray-300 bg-white px-3 py-2 shadow-sm focus:border-indigo-500 focus:ring focus:ring-indigo-200 focus:ring-opacity-50';
+  if (server.models.length === 0) {
+    modelSelect.appendChild(new Option('No models loaded', ''));
+  }
+  server.models.forEach(model => modelSelect.appendChild(new Option(model, model)));
+  row.appendChild(modelSelect);
+
+  const useButton = document.createElement('button');
+  useButton.type = 'button';
+  useButton.className = 'px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2';
+  useButton.textContent = 'Use';
+  useButton.addEventListener('click', () => {
+    document.getElementById('llmProvider').value = server.provider;
+    document.getElementById('customEndpoint').value = server.customEndpoint;
+    document.getElementById('llmModel').value = modelSelect.value;
+    updateUIForProvider(server.provider);
+    showSuccessMessage(`Using ${server.name}. Save to keep these settings.`);
+  });
+  row.appendChild(useButton);
+
+  return row;
+}
+
 async function fetchAvailableModels() {
-  const provider = document.getElementById('llmProvider').value;
-  const apiKey = document.getElementById('apiKey').value;
-  const customEndpoint = document.getElementById('customEndpoint').value;
+  const config = readProfileForm();
   const fetchButton = document.getElementById('fetchModels');
   const fetchText = document.getElementById('fetchModelsText');
   const fetchSpinner = document.getElementById('fetchModelsSpinner');
@@ -255,61 +1142,8 @@ async function fetchAvailableModels() {
   if (fetchSpinner) fetchSpinner.classList.remove('hidden');
 
   try {
-    let endpoint, headers = {};
-
-    switch (provider) {
-      case 'openai':
-        endpoint = customEndpoint ? customEndpoint.replace('/chat/completions', '/models') : 'https://api.openai.com/v1/models';
-        if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
-        break;
-
-      case 'lmstudio':
-        const baseUrl = customEndpoint ? customEndpoint.split('/v1')[0] : 'http://localhost:1234';
-        endpoint = `${baseUrl}/v1/models`;
-        if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
-        break;
-
-      case 'ollama':
-        const ollamaBaseUrl = customEndpoint ? customEndpoint.split('/api')[0] : 'http://localhost:11434';
-        endpoint = `${ollamaBaseUrl}/api/tags`;
-        if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
-        break;
-
-      case 'openrouter':
-        endpoint = 'https://openrouter.ai/api/v1/models';
-        if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
-        break;
-
-      case 'groq':
-        endpoint = customEndpoint ? customEndpoint.replace('/chat/completions', '/models') : 'https://api.groq.com/openai/v1/models';
-        if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
-        break;
-
-      default:
-        throw new Error(`Model fetching not supported for ${provider}`);
-    }
-
-    const response = await fetch(endpoint, { headers });
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    let models = [];
-
-    // Parse models based on provider format
-    switch (provider) {
-      case 'ollama':
-        models = data.models ? data.models.map(m => ({ id: m.name, name: m.name })) : [];
-        break;
-      case 'openrouter':
-        models = data.data ? data.data.map(m => ({ id: m.id, name: m.name || m.id })) : [];
-        break;
-      default: // OpenAI, LM Studio, Groq
-        models = data.data ? data.data.map(m => ({ id: m.id, name: m.id })) : [];
-        break;
-    }
+    const adapter = providerRegistry.get(config.llmProvider);
+    const models = await adapter.listModels(config);
 
     // Populate dropdown
     availableModelsSelect.innerHTML = '<option value="">Select a model...</option>';
@@ -325,7 +1159,7 @@ async function fetchAvailableModels() {
 
   } catch (error) {
     console.error('Error fetching models:', error);
-    showErrorMessage(`Failed to fetch models: ${error.message}`);
+    showErrorMessage(error.hint ? `Failed to fetch models: ${error.message}. ${error.hint}` : `Failed to fetch models: ${error.message}`);
   } finally {
     // Reset loading state
     fetchButton.disabled = false;
@@ -334,7 +1168,7 @@ async function fetchAvailableModels() {
   }
 }
 
-function addPromptToUI(title = '', prompt = '', id = '') {
+function addPromptToUI(title = '', prompt = '', id = '', profileId = '', promptCandidates = {}) {
   try {
     const promptsContainer = document.getElementById('prompts-container');
     const template = document.getElementById('prompt-template');
@@ -353,6 +1187,16 @@ function addPromptToUI(title = '', prompt = '', id = '') {
       textInput.value = prompt;
     }
 
+    const profileSelect = promptElement.querySelector('.prompt-profile');
+    if (profileSelect) {
+      fillProfileOptions(profileSelect, profileId);
+    }
+
+    const candidatesSelect = promptElement.querySelector('.prompt-candidates');
+    if (candidatesSelect) {
+      fillCandidateOptions(candidatesSelect, promptCandidates, id);
+    }
+
     // Add a hidden input for the ID
     const idInput = document.createElement('input');
     idInput.type = 'hidden';
@@ -411,19 +1255,66 @@ function updateDelayDisplay(value) {
 // Initialize event listeners
 document.addEventListener('DOMContentLoaded', () => {
   console.log('DOMContentLoaded event fired');
+  populateProviderSelect();
   restoreOptions();
 
   const saveButton = document.getElementById('save');
+  const profileSelect = document.getElementById('profileSelect');
+  const profileNameInput = document.getElementById('profileName');
+  const profileIsDefault = document.getElementById('profileIsDefault');
+  const addProfileButton = document.getElementById('addProfile');
+  const deleteProfileButton = document.getElementById('deleteProfile');
   const providerSelect = document.getElementById('llmProvider');
   const addPromptButton = document.getElementById('add-prompt');
+  const addFallbackButton = document.getElementById('add-fallback');
   const fetchModelsButton = document.getElementById('fetchModels');
   const availableModelsSelect = document.getElementById('availableModels');
   const analysisDelaySlider = document.getElementById('analysisDelay');
+  const addPriceButton = document.getElementById('add-price');
+  const resetUsageButton = document.getElementById('reset-usage');
+  const clearRecordingsButton = document.getElementById('clear-recordings');
+  const refreshOllamaModelsButton = document.getElementById('refresh-ollama-models');
+  const detectLocalServersButton = document.getElementById('detect-local-servers');
+  const testConnectionButton = document.getElementById('test-connection');
+  const llmModelInput = document.getElementById('llmModel');
+  const apiKeyInput = document.getElementById('apiKey');
+  const toggleApiKeyButton = document.getElementById('toggleApiKey');
 
   if (saveButton) {
     saveButton.addEventListener('click', saveOptions);
   }
 
+  if (profileSelect) {
+    profileSelect.addEventListener('change', (e) => switchProfile(e.target.value));
+  }
+
+  if (profileNameInput) {
+    profileNameInput.addEventListener('change', () => {
+      storeFormInActiveProfile();
+      renderProfileSelect();
+    });
+  }
+
+  if (profileIsDefault) {
+    profileIsDefault.addEventListener('change', (e) => {
+      // The default can be moved to another profile but not cleared
+      if (e.target.checked) {
+        profileState.defaultProfileId = profileState.activeProfileId;
+        renderProfileSelect();
+      } else {
+        e.target.checked = profileState.activeProfileId === profileState.defaultProfileId;
+      }
+    });
+  }
+
+  if (addProfileButton) {
+    addProfileButton.addEventListener('click', addProfile);
+  }
+
+  if (deleteProfileButton) {
+    deleteProfileButton.addEventListener('click', deleteProfile);
+  }
+
   if (providerSelect) {
     providerSelect.addEventListener('change', (e) => updateUIForProvider(e.target.value));
   }
@@ -432,6 +1323,10 @@ document.addEventListener('DOMContentLoaded', () => {
     addPromptButton.addEventListener('click', () => addPromptToUI());
   }
 
+  if (addFallbackButton) {
+    addFallbackButton.addEventListener('click', () => addFallbackToUI());
+  }
+
   if (fetchModelsButton) {
     fetchModelsButton.addEventListener('click', fetchAvailableModels);
   }
@@ -440,6 +1335,7 @@ document.addEventListener('DOMContentLoaded', () => {
     availableModelsSelect.addEventListener('change', (e) => {
       if (e.target.value) {
         document.getElementById('llmModel').value = e.target.value;
+        updateOllamaModelWarning();
       }
     });
   }
@@ -449,6 +1345,51 @@ document.addEventListener('DOMContentLoaded', () => {
       updateDelayDisplay(e.target.value);
     });
   }
+
+  if (addPriceButton) {
+    addPriceButton.addEventListener('click', () => addPriceToUI());
+  }
+
+  if (resetUsageButton) {
+    resetUsageButton.addEventListener('click', resetUsage);
+  }
+
+  if (clearRecordingsButton) {
+    clearRecordingsButton.addEventListener('click', clearMockRecordings);
+  }
+
+  if (testConnectionButton) {
+    testConnectionButton.addEventListener('click', testConnection);
+  }
+
+  if (detectLocalServersButton) {
+    detectLocalServersButton.addEventListener('click', detectLocalServers);
+  }
+
+  if (refreshOllamaModelsButton) {
+    refreshOllamaModelsButton.addEventListener('click', renderOllamaModels);
+  }
+
+  if (llmModelInput) {
+    llmModelInput.addEventListener('input', updateOllamaModelWarning);
+  }
+
+  if (apiKeyInput) {
+    apiKeyInput.addEventListener('input', renderApiKeyMask);
+  }
+
+  if (toggleApiKeyButton) {
+    toggleApiKeyButton.addEventListener('click', () => setApiKeyVisible(apiKeyInput.type === 'password'));
+  }
+
+  document.getElementById('unlock-keys').addEventListener('click', unlockApiKeys);
+  document.getElementById('unlockPassphrase').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') unlockApiKeys();
+  });
+  document.getElementById('forget-keys').addEventListener('click', forgetApiKeys);
+  document.getElementById('set-passphrase').addEventListener('click', setPassphrase);
+  document.getElementById('lock-keys').addEventListener('click', lockApiKeys);
+  document.getElementById('remove-passphrase').addEventListener('click', removePassphrase);
 });
 
 // Autosave function for custom prompts
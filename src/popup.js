@@ -20,7 +20,15 @@ document.addEventListener('DOMContentLoaded', async function() {
             inlineToggle.classList.add('active');
         }
 
-        if (result.apiKey) {
+        // Keys live in the local key vault; older versions kept them in synced settings
+        const { apiKeyVault } = await new Promise((resolve) => {
+            browserAPI.storage.local.get({ apiKeyVault: null }, resolve);
+        });
+        const hasStoredKey = !!apiKeyVault && (apiKeyVault.encrypted
+            ? apiKeyVault.profileIds.length > 0
+            : Object.keys(apiKeyVault.keys).length > 0);
+
+        if (hasStoredKey || result.apiKey) {
             statusElement.textContent = `Extension is ready to use with ${result.llmProvider} provider.`;
             statusElement.style.color = '#4CAF50'; // Success color
         } else {
@@ -64,8 +72,7 @@ document.addEventListener('DOMContentLoaded', async function() {
                 });
                 
                 if (tabs[0]) {
-                    browserAPI.tabs.sendMessage(tabs[0].id, {
-                        action: 'toggleInlineChecker',
+                    new MessageClient(browserAPI).sendToTab(tabs[0].id, 'toggleInlineChecker', {
                         enabled: newState
                     }).catch(() => {
                         // Ignore errors if content script is not loaded
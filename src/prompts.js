@@ -0,0 +1,19 @@
+/**
+ * Built-in prompts shared by the background script and the options page
+ */
+
+const DEFAULT_PROMPTS = [
+  { id: 'fix_grammar', title: 'Fix spelling and grammar', prompt: 'Fix the spelling and grammar. Return only the corrected text without quotes, explanations, or additional text:' },
+  { id: 'improve_writing', title: 'Improve writing', prompt: 'Enhance the following text to improve clarity and flow. Return only the improved text without quotes, explanations, or additional text:' },
+  { id: 'make_professional', title: 'Make more professional', prompt: 'Rewrite the text in a formal, professional tone. Return only the rewritten text without quotes, explanations, or additional text:' },
+  { id: 'simplify', title: 'Simplify text', prompt: 'Simplify this text using simpler words and shorter sentences. Return only the simplified text without quotes, explanations, or additional text:' },
+  { id: 'summarize', title: 'Summarize text', prompt: 'Provide a concise summary. Return only the summary without quotes, explanations, or additional text:' },
+  { id: 'expand', title: 'Expand text', prompt: 'Elaborate on this text with more details and examples. Return only the expanded text without quotes, explanations, or additional text:' },
+  { id: 'bullet_points', title: 'Convert to bullet points', prompt: 'Convert this text into bullet points. Return only the bullet-point list without quotes, explanations, or additional text:' },
+  { id: 'analyze_grammar', title: 'Analyze grammar and writing', prompt: 'Analyze the following text for grammar, spelling, style, and clarity issues. Return your response as a JSON object with this exact structure: {"issues": [{"type": "grammar|spelling|style|clarity", "severity": "error|warning|suggestion", "startIndex": number, "endIndex": number, "message": "description of the issue", "suggestions": ["suggestion1", "suggestion2"]}]}. Return ONLY the JSON object, no additional text or explanations:' },
+];
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DEFAULT_PROMPTS };
+}
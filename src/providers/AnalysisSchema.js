@@ -0,0 +1,148 @@
+/**
+ * JSON schema and validator for inline grammar analysis responses
+ * The schema is sent to providers with native structured output,
+ * and every response is validated against it before reaching the page
+ */
+
+const ANALYSIS_ISSUE_TYPES = ['grammar', 'spelling', 'style', 'clarity'];
+const ANALYSIS_SEVERITIES = ['error', 'warning', 'suggestion'];
+
+const ANALYSIS_RESPONSE_SCHEMA = {
+  name: 'grammar_analysis',
+  description: 'Report grammar, spelling, style and clarity issues found in the text',
+  schema: {
+    type: 'object',
+    properties: {
+      issues: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ANALYSIS_ISSUE_TYPES },
+            severity: { type: 'string', enum: ANALYSIS_SEVERITIES },
+            startIndex: { type: 'integer' },
+            endIndex: { type: 'integer' },
+            message: { type: 'string' },
+            suggestions: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['type', 'severity', 'startIndex', 'endIndex', 'message', 'suggestions'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['issues'],
+    additionalProperties: false
+  }
+};
+
+/**
+ * Extract the JSON object from a model response
+ * Tolerates code fences and text around the object
+ * @param {string} responseText - Raw model output
+ * @returns {Object} Parsed JSON
+ */
+function extractAnalysisJson(responseText) {
+  const trimmed = (responseText || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(trimmed.substring(start, end + 1));
+      } catch (innerError) {
+        // Fall through to the error below
+      }
+    }
+  }
+
+  throw new Error('Analysis response was not valid JSON');
+}
+
+/**
+ * Describe what is wrong with an issue, or return null if it is valid
+ * @param {Object} issue - Issue from the model
+ * @param {number} textLength - Length of the analyzed text
+ * @returns {string|null} Reason the issue is rejected
+ */
+function getAnalysisIssueProblem(issue, textLength) {
+  if (!issue || typeof issue !== 'object') {
+    return 'issue is not an object';
+  }
+  if (!ANALYSIS_ISSUE_TYPES.includes(issue.type)) {
+    return `unknown type "${issue.type}"`;
+  }
+  if (!ANALYSIS_SEVERITIES.includes(issue.severity)) {
+    return `unknown severity "${issue.severity}"`;
+  }
+  if (!Number.isInteger(issue.startIndex) || !Number.isInteger(issue.endIndex)) {
+    return 'startIndex and endIndex must be integers';
+  }
+  if (issue.startIndex < 0 || issue.endIndex > textLength || issue.startIndex >= issue.endIndex) {
+    return `range ${issue.startIndex}-${issue.endIndex} is outside the text`;
+  }
+  if (typeof issue.message !== 'string' || !issue.message.trim()) {
+    return 'message is missing';
+  }
+  if (!Array.isArray(issue.suggestions) || issue.suggestions.some(suggestion => typeof suggestion !== 'string')) {
+    return 'suggestions must be an array of strings';
+  }
+  return null;
+}
+
+/**
+ * Validate a parsed analysis response against the analyzed text
+ * Malformed issues are dropped and reported rather than repaired
+ * @param {Object} data - Parsed response
+ * @param {string} text - Analyzed text
+ * @returns {Object} {issues, rejected: [{index, reason}]}
+ */
+function validateAnalysisResponse(data, text) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.issues)) {
+    throw new Error('Analysis response is missing the "issues" array');
+  }
+
+  const issues = [];
+  const rejected = [];
+
+  data.issues.forEach((issue, index) => {
+    const problem = getAnalysisIssueProblem(issue, text.length);
+    if (problem) {
+      rejected.push({ index, reason: problem });
+      return;
+    }
+
+    issues.push({
+      type: issue.type,
+      severity: issue.severity,
+      startIndex: issue.startIndex,
+      endIndex: issue.endIndex,
+      message: issue.message.trim(),
+      suggestions: issue.suggestions
+    });
+  });
+
+  return { issues, rejected };
+}
+
+/**
+ * Parse and validate a raw analysis response
+ * @param {string} responseText - Raw model output
+ * @param {string} text - Analyzed text
+ * @returns {Object} {issues, rejected}
+ */
+function parseAnalysisResponse(responseText, text) {
+  return validateAnalysisResponse(extractAnalysisJson(responseText), text);
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ANALYSIS_RESPONSE_SCHEMA,
+    extractAnalysisJson,
+    validateAnalysisResponse,
+    parseAnalysisResponse
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Alternative versions of context-menu results, and which of them users pick
+ * A prompt can ask for several versions (promptCandidates in synced settings). Each
+ * time the user settles on one, a choice {promptId, count, chosen, date} is added to
+ * the history in storage.local, which the options page sums up per prompt.
+ * Only positions are kept, never the text itself.
+ */
+
+// storage.local key of the history
+const CANDIDATE_HISTORY_STORAGE_KEY = 'candidateChoices';
+
+// Most versions a prompt may ask for
+const MAX_CANDIDATES = 4;
+
+// Choices kept; the oldest are dropped beyond this
+const MAX_CANDIDATE_CHOICES = 500;
+
+/**
+ * Number of versions a prompt asks for
+ * @param {Object} config - Settings with promptCandidates {promptId: count}
+ * @param {string} promptId - Prompt id
+ * @returns {number} 1 to MAX_CANDIDATES
+ */
+function getPromptCandidateCount(config, promptId) {
+  const count = parseInt((config.promptCandidates || {})[promptId]);
+  return isNaN(count) ? 1 : Math.min(MAX_CANDIDATES, Math.max(1, count));
+}
+
+/**
+ * Drop empty and repeated versions, which parallel calls to the same model can return
+ * @param {Array<string>} candidates - Versions
+ * @returns {Array<string>} Distinct versions in their original order
+ */
+function getDistinctCandidates(candidates) {
+  return candidates.filter((text, index) => text && candidates.indexOf(text) === index);
+}
+
+/**
+ * Combine the outcomes of parallel calls made for several versions
+ * Calls that failed are dropped; only when every call failed is the first error thrown
+ * @param {Array<Object>} outcomes - From Promise.allSettled, each fulfilled with {text, usage}
+ * @returns {Object} {text, candidates, usage} where usage sums the calls that succeeded
+ */
+function combineCandidateCompletions(outcomes) {
+  const completions = outcomes.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+  if (completions.length === 0) {
+    throw outcomes[0].reason;
+  }
+
+  // A count is only known if every call reported it
+  const sumUsage = field => (completions.every(completion => completion.usage && typeof completion.usage[field] === 'number')
+    ? completions.reduce((total, completion) => total + completion.usage[field], 0)
+    : undefined);
+
+  return {
+    text: completions[0].text,
+    candidates: completions.map(completion => completion.text),
+    usage: { promptTokens: sumUsage('promptTokens'), completionTokens: sumUsage('completionTokens') }
+  };
+}
+
+/**
+ * Whether a choice names a version that was actually offered
+ * @param {Object} choice - {promptId, count, chosen}
+ * @returns {boolean}
+ */
+function isValidCandidateChoice(choice) {
+  return !!choice && typeof choice.promptId === 'string' &&
+    Number.isInteger(choice.count) && choice.count >= 1 && choice.count <= MAX_CANDIDATES &&
+    Number.isInteger(choice.chosen) && choice.chosen >= 0 && choice.chosen < choice.count;
+}
+
+/**
+ * Add a choice to the history
+ * @param {Array<Object>} history - Stored choices, oldest first
+ * @param {Object} choice - {promptId, count, chosen, date} where chosen is the 0-based position
+ * @returns {Array<Object>} New history
+ */
+function addCandidateChoice(history, choice) {
+  const entry = {
+    promptId: choice.promptId,
+    count: choice.count,
+    chosen: choice.chosen,
+    date: choice.date || new Date().toISOString()
+  };
+  return [...(history || []), entry].slice(-MAX_CANDIDATE_CHOICES);
+}
+
+/**
+ * Sum up the history per prompt
+ * @param {Array<Object>} history - Stored choices
+ * @returns {Object} {promptId: {choices, picks}} where picks[i] counts picks of version i + 1
+ */
+function summarizeCandidateChoices(history) {
+  const summary = {};
+  // Entries stored by older versions are not trusted to be valid
+  (history || []).filter(isValidCandidateChoice).forEach(choice => {
+    const entry = summary[choice.promptId] || (summary[choice.promptId] = { choices: 0, picks: [] });
+    entry.choices++;
+    for (let index = entry.picks.length; index <= choice.chosen; index++) {
+      entry.picks.push(0);
+    }
+    entry.picks[choice.chosen]++;
+  });
+  return summary;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.summarizeCandidateChoices = summarizeCandidateChoices;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CANDIDATE_HISTORY_STORAGE_KEY,
+    MAX_CANDIDATES,
+    MAX_CANDIDATE_CHOICES,
+    getPromptCandidateCount,
+    isValidCandidateChoice,
+    getDistinctCandidates,
+    combineCandidateCompletions,
+    addCandidateChoice,
+    summarizeCandidateChoices
+  };
+}
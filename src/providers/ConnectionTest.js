@@ -0,0 +1,224 @@
+/**
+ * Connection test for provider settings
+ * Runs a short round trip through the real provider adapter and reports each step
+ * with what went wrong and how to fix it
+ */
+
+const CONNECTION_TEST_STEPS = {
+  config: 'Settings',
+  network: 'Network',
+  auth: 'Authentication',
+  model: 'Model',
+  response: 'Response',
+  latency: 'Latency',
+  structured: 'Inline checker JSON'
+};
+
+// Timeout of each test request; local models may need a while to load
+const CONNECTION_TEST_TIMEOUT_MS = 30000;
+
+// Answers slower than this work but make the inline checker lag
+const SLOW_RESPONSE_MS = 10000;
+
+const CONNECTION_TEST_SAMPLE_TEXT = 'This are a short test.';
+
+/**
+ * Test a provider configuration step by step
+ * Stops at the first step that fails, except for the JSON check which only warns
+ * @param {BaseProviderAdapter} adapter - Adapter of the configured provider
+ * @param {Object} config - Provider configuration (a profile)
+ * @param {Object} options - {analysis: {prompt, schema, parse}, hasHostPermission(url), now}
+ * @returns {Promise<Object>} {ok, steps: [{id, label, status, detail, hint}], latencyMs}
+ *   where status is 'ok', 'warning', 'failed' or 'skipped'
+ */
+async function runConnectionTest(adapter, config, options = {}) {
+  const now = options.now || (() => Date.now());
+  const steps = [];
+  const report = (id, status, detail, hint = '') => {
+    steps.push({ id, label: CONNECTION_TEST_STEPS[id], status, detail, hint });
+  };
+  const finish = (latencyMs = null) => ({
+    ok: !steps.some(step => step.status === 'failed'),
+    steps,
+    latencyMs
+  });
+  const fail = async (error) => {
+    const diagnosis = await diagnoseConnectionError(error, adapter, config, options);
+    report(diagnosis.step, 'failed', error.message, diagnosis.hint);
+    return finish();
+  };
+
+  try {
+    adapter.validateConfig(config);
+  } catch (error) {
+    report('config', 'failed', error.message, 'Fill in the missing setting of this profile and test again.');
+    return finish();
+  }
+  const model = adapter.getModel(config);
+  report('config', 'ok', `${adapter.label}${model ? `, model ${model}` : ''}`);
+
+  // Listing models checks the network and the key before spending tokens, and whether the model exists
+  if (adapter.capabilities.listModels) {
+    let models;
+    try {
+      models = await adapter.listModels(config);
+    } catch (error) {
+      return await fail(error);
+    }
+
+    report('network', 'ok', `Reached ${adapter.label}`);
+    report('auth', 'ok', config.apiKey ? 'The key was accepted' : 'No key needed');
+    if (model && models.length > 0 && !adapter.hasModel(models, model)) {
+      report('model', 'failed', `"${model}" is not among the ${models.length} models available`,
+        adapter.id === 'ollama'
+          ? `Run "ollama pull ${model}" or choose an installed model.`
+          : 'Check the spelling, or use Fetch Models to pick one.');
+      return finish();
+    }
+    report('model', model ? 'ok' : 'skipped', model ? `"${model}" is available` : 'Using the provider default');
+  }
+
+  const startedAt = now();
+  let result;
+  try {
+    result = await adapter.complete({
+      system: 'You are a connection test. Follow the instruction exactly.',
+      messages: [{ role: 'user', content: 'Reply with the single word OK.' }],
+      maxTokens: 10,
+      temperature: 0
+    }, config, { timeoutMs: CONNECTION_TEST_TIMEOUT_MS, retry: { maxAttempts: 1 } });
+  } catch (error) {
+    return await fail(error);
+  }
+  const latencyMs = now() - startedAt;
+
+  if (!adapter.capabilities.listModels) {
+    report('network', 'ok', `Reached ${adapter.label}`);
+    report('auth', 'ok', config.apiKey ? 'The key was accepted' : 'No key needed');
+  }
+
+  if (!result.text) {
+    report('response', 'failed', 'The provider answered with empty text',
+      'The model may not support chat requests; try another model.');
+    return finish(latencyMs);
+  }
+  report('response', 'ok', `Answered "${result.text.slice(0, 40)}"`);
+  report('latency', latencyMs > SLOW_RESPONSE_MS ? 'warning' : 'ok', `${latencyMs} ms`,
+    latencyMs > SLOW_RESPONSE_MS ? 'Slow answers make the inline checker lag; a smaller or hosted model is faster.' : '');
+
+  if (options.analysis) {
+    await checkStructuredOutput(adapter, config, options.analysis, report);
+  }
+
+  return finish(latencyMs);
+}
+
+/**
+ * Check that the provider returns analysis JSON the inline checker can use
+ * @param {BaseProviderAdapter} adapter - Adapter
+ * @param {Object} config - Provider configuration
+ * @param {Object} analysis - {prompt, schema, parse}
+ * @param {Function} report - Adds a step
+ */
+async function checkStructuredOutput(adapter, config, analysis, report) {
+  const enforced = !!adapter.capabilities.structuredOutput;
+
+  try {
+    const result = await adapter.complete({
+      system: 'You are a helpful assistant.',
+      messages: [{ role: 'user', content: `${analysis.prompt}\n\n${CONNECTION_TEST_SAMPLE_TEXT}` }],
+      maxTokens: 1000,
+      temperature: 0,
+      responseSchema: analysis.schema
+    }, config, { timeoutMs: CONNECTION_TEST_TIMEOUT_MS, retry: { maxAttempts: 1 }, promptId: 'analyze_grammar' });
+
+    const { issues } = analysis.parse(result.text, CONNECTION_TEST_SAMPLE_TEXT);
+    report('structured', enforced ? 'ok' : 'warning',
+      `Valid JSON with ${issues.length} issue${issues.length === 1 ? '' : 's'}${enforced ? ', enforced by the provider' : ''}`,
+      enforced ? '' : `${adapter.label} cannot enforce JSON output here, so some answers may still be unusable.`);
+  } catch (error) {
+    report('structured', 'warning', error.message,
+      'Context-menu actions work, but the inline checker needs JSON. Choose a model that follows instructions more closely.');
+  }
+}
+
+/**
+ * Work out which step an error belongs to and how to fix it
+ * @param {Error} error - Error from the adapter
+ * @param {BaseProviderAdapter} adapter - Adapter
+ * @param {Object} config - Provider configuration
+ * @param {Object} options - {hasHostPermission(url)}
+ * @returns {Promise<Object>} {step, hint}
+ */
+async function diagnoseConnectionError(error, adapter, config, options) {
+  const local = adapter.id === 'ollama' || adapter.id === 'lmstudio';
+
+  if (error.code === 'timeout') {
+    return {
+      step: 'latency',
+      hint: local
+        ? 'The model may still be loading. Wait a moment and test again.'
+        : 'The provider is slow or unreachable through your network. Test again later.'
+    };
+  }
+
+  if (error.code === 'network') {
+    const endpoint = adapter.getEndpoint(config);
+    const permitted = options.hasHostPermission ? await options.hasHostPermission(endpoint).catch(() => true) : true;
+    if (!permitted) {
+      return {
+        step: 'network',
+        hint: `The extension is not allowed to connect to ${new URL(endpoint).origin}. Grant it access to this site in the browser's extension settings.`
+      };
+    }
+    if (adapter.id === 'lmstudio') {
+      return { step: 'network', hint: 'Start the server in LM Studio\'s Developer tab and turn on "Enable CORS".' };
+    }
+    return { step: 'network', hint: error.hint };
+  }
+
+  // Ollama refuses requests from origins it does not know, which includes extensions
+  if (adapter.id === 'ollama' && error.status === 403) {
+    return {
+      step: 'network',
+      hint: 'Ollama rejected the extension\'s origin. Set OLLAMA_ORIGINS=chrome-extension://*,moz-extension://* and restart Ollama.'
+    };
+  }
+
+  if (error.code === 'auth') {
+    return { step: 'auth', hint: 'Check the API key of this profile. It may be mistyped, revoked or for another provider.' };
+  }
+
+  if (error.code === 'quota') {
+    return { step: 'auth', hint: 'The key works but the account is out of quota or credit. Check the plan and billing of your account.' };
+  }
+
+  if (error.code === 'rate_limited') {
+    return { step: 'auth', hint: 'The key works but is rate limited right now. Wait a minute and test again.' };
+  }
+
+  if (error.status === 404) {
+    return {
+      step: 'model',
+      hint: adapter.id === 'azure'
+        ? 'Check the deployment name and the resource. Fetch Models lists the deployments.'
+        : 'Check the model name and the endpoint URL. Fetch Models lists the available models.'
+    };
+  }
+
+  return { step: 'response', hint: error.hint || 'The provider answered with an error. The message above says why.' };
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.runConnectionTest = runConnectionTest;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CONNECTION_TEST_STEPS,
+    runConnectionTest,
+    diagnoseConnectionError
+  };
+}
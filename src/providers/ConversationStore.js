@@ -0,0 +1,77 @@
+/**
+ * Message history of enhancement conversations in the background script
+ * A context-menu action starts a conversation; follow-up instructions such as "shorter"
+ * continue it, so the model refines its last answer instead of starting over.
+ * Conversations live in memory only: they matter while a preview is open, and a
+ * restarted service worker simply starts over from the text of the preview.
+ */
+
+// Conversations kept at once; the least recently used is dropped beyond this
+const MAX_CONVERSATIONS = 20;
+
+// Follow-up exchanges kept after the first one, which holds the prompt and the original text
+const MAX_FOLLOW_UPS = 10;
+
+class ConversationStore {
+  /**
+   * @param {Object} options - {maxConversations, maxFollowUps}
+   */
+  constructor(options = {}) {
+    this.maxConversations = options.maxConversations || MAX_CONVERSATIONS;
+    this.maxFollowUps = options.maxFollowUps || MAX_FOLLOW_UPS;
+    this.conversations = new Map();
+  }
+
+  /**
+   * Get the messages of a conversation
+   * @param {string} id - Conversation id
+   * @returns {Array<Object>|null} [{role, content}], or null if there is no such conversation
+   */
+  get(id) {
+    const messages = this.conversations.get(id);
+    return messages ? [...messages] : null;
+  }
+
+  /**
+   * Save a conversation after an answer
+   * @param {string} id - Conversation id
+   * @param {Array<Object>} messages - Messages that were sent
+   * @param {string} answer - Answer to them
+   */
+  save(id, messages, answer) {
+    const history = [...messages, { role: 'assistant', content: answer }];
+
+    // Keep the first exchange and the latest follow-ups, in whole user/assistant pairs
+    const keep = 2 + this.maxFollowUps * 2;
+    const trimmed = history.length > keep ? [...history.slice(0, 2), ...history.slice(history.length - keep + 2)] : history;
+
+    this.conversations.delete(id);
+    this.conversations.set(id, trimmed);
+    while (this.conversations.size > this.maxConversations) {
+      this.conversations.delete(this.conversations.keys().next().value);
+    }
+  }
+
+  /**
+   * Forget a conversation
+   * @param {string} id - Conversation id
+   * @returns {boolean} Whether there was one
+   */
+  delete(id) {
+    return this.conversations.delete(id);
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.ConversationStore = ConversationStore;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ConversationStore,
+    MAX_CONVERSATIONS,
+    MAX_FOLLOW_UPS
+  };
+}
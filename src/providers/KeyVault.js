@@ -0,0 +1,281 @@
+/**
+ * API key vault
+ * Keys are kept out of synced settings: profiles in storage.sync have empty keys, and
+ * the keys themselves sit in storage.local as a vault keyed by profile id. The vault is
+ * either plain or encrypted with a passphrase (PBKDF2-SHA-256 to an AES-GCM key).
+ * An unlocked vault key is kept in storage.session, so it is gone when the browser closes.
+ */
+
+const KEY_VAULT_VERSION = 1;
+
+// storage.local key of the vault and storage.session key of the unlocked vault key
+const KEY_VAULT_STORAGE_KEY = 'apiKeyVault';
+const KEY_VAULT_SESSION_KEY = 'apiKeyVaultKey';
+
+// PBKDF2 iterations for new passphrases; stored with each vault so it can be raised later
+const KEY_VAULT_ITERATIONS = 600000;
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function getVaultCrypto() {
+  return globalThis.crypto;
+}
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function base64ToBytes(value) {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+/**
+ * Create an unencrypted vault
+ * @param {Object} keys - {profileId: apiKey}
+ * @returns {Object} Vault
+ */
+function createPlainVault(keys = {}) {
+  return { version: KEY_VAULT_VERSION, encrypted: false, keys: { ...keys } };
+}
+
+/**
+ * Derive the AES-GCM key of a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Random salt stored with the vault
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Extractable key, so it can be kept for the session
+ */
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const subtle = getVaultCrypto().subtle;
+  const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+  return subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt keys with a new passphrase
+ * @param {Object} keys - {profileId: apiKey}
+ * @param {string} passphrase - Passphrase
+ * @param {Object} options - {iterations}
+ * @returns {Promise<Object>} {vault, key} where key is the derived CryptoKey
+ */
+async function createEncryptedVault(keys, passphrase, options = {}) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`);
+  }
+
+  const salt = getVaultCrypto().getRandomValues(new Uint8Array(16));
+  const iterations = options.iterations || KEY_VAULT_ITERATIONS;
+  const key = await deriveVaultKey(passphrase, salt, iterations);
+  const vault = await sealVault(keys, key, { salt: bytesToBase64(salt), iterations });
+
+  return { vault, key };
+}
+
+/**
+ * Encrypt keys with an unlocked vault key, keeping the vault's salt and iterations
+ * Profile ids are stored in the clear so a locked vault can still tell which profiles have a key
+ * @param {Object} keys - {profileId: apiKey}
+ * @param {CryptoKey} key - Vault key
+ * @param {Object} vault - Current encrypted vault {salt, iterations}
+ * @returns {Promise<Object>} Encrypted vault
+ */
+async function sealVault(keys, key, vault) {
+  const iv = getVaultCrypto().getRandomValues(new Uint8Array(12));
+  const data = await getVaultCrypto().subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(keys))
+  );
+
+  return {
+    version: KEY_VAULT_VERSION,
+    encrypted: true,
+    profileIds: Object.keys(keys),
+    salt: vault.salt,
+    iterations: vault.iterations,
+    iv: bytesToBase64(iv),
+    data: bytesToBase64(data)
+  };
+}
+
+/**
+ * Read the keys of a vault
+ * @param {Object} vault - Plain or encrypted vault
+ * @param {CryptoKey} key - Vault key; not needed for plain vaults
+ * @returns {Promise<Object>} {profileId: apiKey}
+ */
+async function openVault(vault, key) {
+  if (!vault) {
+    return {};
+  }
+  if (!vault.encrypted) {
+    return { ...vault.keys };
+  }
+
+  const data = await getVaultCrypto().subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(vault.iv) },
+    key,
+    base64ToBytes(vault.data)
+  );
+  return JSON.parse(new TextDecoder().decode(data));
+}
+
+/**
+ * Derive the vault key of a passphrase and check it against the vault
+ * @param {Object} vault - Encrypted vault
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} {key, keys}
+ */
+async function unlockVault(vault, passphrase) {
+  const key = await deriveVaultKey(passphrase, base64ToBytes(vault.salt), vault.iterations);
+
+  try {
+    return { key, keys: await openVault(vault, key) };
+  } catch (error) {
+    // AES-GCM rejects data encrypted with another key
+    throw new Error('Wrong passphrase');
+  }
+}
+
+/**
+ * Export a vault key for storage.session
+ * @param {CryptoKey} key - Vault key
+ * @returns {Promise<string>} Base64 raw key
+ */
+async function exportVaultKey(key) {
+  return bytesToBase64(await getVaultCrypto().subtle.exportKey('raw', key));
+}
+
+/**
+ * Import a vault key exported with exportVaultKey
+ * @param {string} value - Base64 raw key
+ * @returns {Promise<CryptoKey>}
+ */
+async function importVaultKey(value) {
+  return getVaultCrypto().subtle.importKey('raw', base64ToBytes(value), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Take the keys out of profiles before they are saved to synced storage
+ * @param {Array<Object>} profiles - Profiles
+ * @returns {Object} {profiles, keys} with profiles whose apiKey is empty and {profileId: apiKey}
+ */
+function splitApiKeys(profiles) {
+  const keys = {};
+  const stripped = profiles.map(profile => {
+    if (profile.apiKey) {
+      keys[profile.id] = profile.apiKey;
+    }
+    return { ...profile, apiKey: '' };
+  });
+
+  return { profiles: stripped, keys };
+}
+
+/**
+ * Put vault keys back into profiles
+ * A key still found in a profile (settings synced from a browser that was not migrated yet)
+ * is kept when the vault has none for that profile.
+ * @param {Array<Object>} profiles - Profiles
+ * @param {Object} keys - {profileId: apiKey}
+ * @returns {Array<Object>} Profiles with keys
+ */
+function mergeApiKeys(profiles, keys = {}) {
+  return profiles.map(profile => ({ ...profile, apiKey: keys[profile.id] || profile.apiKey || '' }));
+}
+
+/**
+ * Read the stored vault and, if it is encrypted, open it with the session's vault key
+ * @param {Object} api - Browser API
+ * @returns {Promise<Object>} {vault, keys, key, locked} where keys is null while locked
+ */
+async function loadStoredApiKeys(api) {
+  const stored = await api.storage.local.get({ [KEY_VAULT_STORAGE_KEY]: null });
+  const vault = stored[KEY_VAULT_STORAGE_KEY];
+  if (!vault || !vault.encrypted) {
+    return { vault, keys: await openVault(vault), key: null, locked: false };
+  }
+
+  const session = api.storage.session ? await api.storage.session.get({ [KEY_VAULT_SESSION_KEY]: null }) : {};
+  if (!session[KEY_VAULT_SESSION_KEY]) {
+    return { vault, keys: null, key: null, locked: true };
+  }
+
+  try {
+    const key = await importVaultKey(session[KEY_VAULT_SESSION_KEY]);
+    return { vault, keys: await openVault(vault, key), key, locked: false };
+  } catch (error) {
+    // The passphrase was changed in another window since this session was unlocked
+    return { vault, keys: null, key: null, locked: true };
+  }
+}
+
+/**
+ * Fill profiles with stored keys; while the vault is locked, profiles that have a key
+ * in it are marked with apiKeyLocked instead
+ * @param {Array<Object>} profiles - Profiles
+ * @param {Object} stored - Result of loadStoredApiKeys
+ * @returns {Array<Object>} Profiles
+ */
+function applyStoredApiKeys(profiles, stored) {
+  if (!stored.locked) {
+    return mergeApiKeys(profiles, stored.keys);
+  }
+
+  const lockedIds = stored.vault.profileIds || [];
+  return profiles.map(profile => (lockedIds.includes(profile.id) && !profile.apiKey
+    ? { ...profile, apiKeyLocked: true }
+    : profile));
+}
+
+/**
+ * Show enough of a key to recognize it
+ * @param {string} apiKey - API key
+ * @returns {string} e.g. "sk-p…9f3a", or an empty string for no key
+ */
+function maskApiKey(apiKey) {
+  if (!apiKey) {
+    return '';
+  }
+  if (apiKey.length <= 8) {
+    return '•'.repeat(apiKey.length);
+  }
+  return `${apiKey.slice(0, 4)}…${apiKey.slice(-4)}`;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.createEncryptedVault = createEncryptedVault;
+  window.unlockVault = unlockVault;
+  window.loadStoredApiKeys = loadStoredApiKeys;
+  window.maskApiKey = maskApiKey;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    KEY_VAULT_STORAGE_KEY,
+    KEY_VAULT_SESSION_KEY,
+    KEY_VAULT_ITERATIONS,
+    MIN_PASSPHRASE_LENGTH,
+    createPlainVault,
+    createEncryptedVault,
+    sealVault,
+    openVault,
+    unlockVault,
+    exportVaultKey,
+    importVaultKey,
+    splitApiKeys,
+    mergeApiKeys,
+    loadStoredApiKeys,
+    applyStoredApiKeys,
+    maskApiKey
+  };
+}
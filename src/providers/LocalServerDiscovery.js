@@ -0,0 +1,102 @@
+/**
+ * Discovery of model servers running on this machine
+ * Probes the default ports of common local servers, Ollama's model list and
+ * OpenAI-compatible /v1/models, and turns what answers into provider settings
+ */
+
+// Known local servers in probe order; several servers share port 8080,
+// so servers there are reported as generic OpenAI-compatible ones
+const LOCAL_SERVER_CANDIDATES = [
+  { name: 'Ollama', provider: 'ollama', port: 11434, format: 'ollama' },
+  { name: 'LM Studio', provider: 'lmstudio', port: 1234, format: 'openai' },
+  { name: 'llama.cpp server or LocalAI', provider: 'custom_openai', port: 8080, format: 'openai' },
+  { name: 'vLLM', provider: 'custom_openai', port: 8000, format: 'openai' },
+  { name: 'Jan', provider: 'custom_openai', port: 1337, format: 'openai' },
+  { name: 'text-generation-webui', provider: 'custom_openai', port: 5000, format: 'openai' },
+  { name: 'KoboldCpp', provider: 'custom_openai', port: 5001, format: 'openai' }
+];
+
+// Servers that are not running refuse at once, but a firewall may drop the probe instead
+const LOCAL_SERVER_PROBE_TIMEOUT_MS = 1500;
+
+/**
+ * Probe every known local server at once
+ * @param {Object} options - {host, timeoutMs, candidates}
+ * @returns {Promise<Array<Object>>} Servers that answered
+ *   [{name, provider, baseUrl, customEndpoint, models: [id]}], in probe order
+ */
+async function discoverLocalServers(options = {}) {
+  const host = options.host || 'localhost';
+  const candidates = options.candidates || LOCAL_SERVER_CANDIDATES;
+  const timeoutMs = options.timeoutMs || LOCAL_SERVER_PROBE_TIMEOUT_MS;
+
+  const results = await Promise.all(candidates.map(candidate => probeLocalServer(candidate, host, timeoutMs)));
+  return results.filter(Boolean);
+}
+
+/**
+ * Probe one server
+ * @param {Object} candidate - Entry of LOCAL_SERVER_CANDIDATES
+ * @param {string} host - Host name
+ * @param {number} timeoutMs - Time to wait for an answer
+ * @returns {Promise<Object|null>} Server, or null if nothing usable answered
+ */
+async function probeLocalServer(candidate, host, timeoutMs) {
+  const baseUrl = `http://${host}:${candidate.port}`;
+  const modelsUrl = candidate.format === 'ollama' ? `${baseUrl}/api/tags` : `${baseUrl}/v1/models`;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(modelsUrl, { signal: controller.signal });
+    if (!response.ok) {
+      return null;
+    }
+
+    const data = await response.json();
+    const models = candidate.format === 'ollama'
+      ? (data.models || []).map(model => model.name)
+      : (data.data || []).map(model => model.id);
+
+    return {
+      name: candidate.name,
+      provider: candidate.provider,
+      baseUrl,
+      customEndpoint: getLocalServerEndpoint(candidate, baseUrl),
+      models: models.filter(Boolean)
+    };
+  } catch (error) {
+    // Refused, timed out, or not a model server
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// The endpoint setting each provider expects: Ollama and LM Studio take the chat URL,
+// custom OpenAI-compatible servers their base URL
+function getLocalServerEndpoint(candidate, baseUrl) {
+  switch (candidate.provider) {
+    case 'ollama':
+      return `${baseUrl}/api/chat`;
+    case 'lmstudio':
+      return `${baseUrl}/v1/chat/completions`;
+    default:
+      return `${baseUrl}/v1`;
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.discoverLocalServers = discoverLocalServers;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LOCAL_SERVER_CANDIDATES,
+    discoverLocalServers,
+    probeLocalServer
+  };
+}
@@ -0,0 +1,2298 @@
+/**
+ * Provider adapters for the supported LLM backends
+ * Provides a unified interface for building requests, parsing responses,
+ * normalizing errors and listing models
+ */
+
+/**
+ * Base adapter class for all LLM providers
+ *
+ * A completion request has the shape
+ * { system, messages: [{ role, content }], maxTokens, temperature, stream, responseSchema, candidateCount }
+ * and every adapter translates it into its provider's wire format.
+ * `responseSchema` ({name, description, schema}) asks for JSON output; adapters
+ * with the structuredOutput capability enforce it natively, others ignore it.
+ * `candidateCount` asks for several alternative answers in one call; adapters with the
+ * multipleCandidates capability return them as `candidates`, others ignore it.
+ */
+class BaseProviderAdapter {
+  /**
+   * @param {Object} options - Adapter definition
+   * @param {string} options.id - Provider id stored in `llmProvider`
+   * @param {string} options.label - Human readable provider name
+   * @param {Object} options.defaults - Default endpoint, model and scheduler rate limits
+   * @param {Object} options.capabilities - Capability flags
+   * @param {Object} options.ui - Labels, placeholders and help texts for the options page
+   */
+  constructor(options = {}) {
+    this.id = options.id;
+    this.label = options.label || options.id;
+    this.defaults = {
+      endpoint: '',
+      model: '',
+      rateLimits: {},
+      ...options.defaults
+    };
+    this.capabilities = {
+      requiresApiKey: false,
+      requiresModel: false,
+      customEndpoint: true,
+      listModels: false,
+      streaming: false,
+      streamUsage: false,
+      structuredOutput: false,
+      multipleCandidates: false,
+      customHeaders: false,
+      azureSettings: false,
+      ollamaSettings: false,
+      ...options.capabilities
+    };
+    this.ui = options.ui || {};
+    this.streamFormat = 'sse';
+  }
+
+  /**
+   * Get the completion endpoint for a configuration
+   * @param {Object} config - Provider configuration
+   * @returns {string} Endpoint URL
+   */
+  getEndpoint(config) {
+    if (this.capabilities.customEndpoint && config.customEndpoint) {
+      return config.customEndpoint;
+    }
+    return this.defaults.endpoint;
+  }
+
+  /**
+   * Get the model for a configuration
+   * @param {Object} config - Provider configuration
+   * @returns {string} Model name
+   */
+  getModel(config) {
+    return config.llmModel || this.defaults.model;
+  }
+
+  /**
+   * Check that the configuration has everything this provider needs
+   * @param {Object} config - Provider configuration
+   */
+  validateConfig(config) {
+    if (this.capabilities.requiresApiKey && !config.apiKey) {
+      throw this.createError(`${this.label} API key not set. Please set it in the extension options.`, { code: 'config' });
+    }
+
+    if (this.capabilities.requiresModel && !this.getModel(config)) {
+      throw this.createError(`LLM model not set for ${this.label}. Please set it in the extension options.`, { code: 'config' });
+    }
+  }
+
+  /**
+   * Build request headers
+   * @param {Object} config - Provider configuration
+   * @returns {Object} Headers
+   */
+  buildHeaders(config) {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+
+    if (config.apiKey) {
+      headers['Authorization'] = `Bearer ${config.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Build the HTTP request for a completion
+   * @param {Object} request - Completion request
+   * @param {Object} config - Provider configuration
+   * @returns {Object} Request {url, init}
+   */
+  buildRequest(request, config) {
+    throw new Error(`${this.label} adapter does not implement buildRequest`);
+  }
+
+  /**
+   * Parse a successful response body
+   * @param {Object} data - Parsed JSON response
+   * @returns {Object} Completion result {text, finishReason, usage}
+   */
+  parseResponse(data) {
+    throw new Error(`${this.label} adapter does not implement parseResponse`);
+  }
+
+  /**
+   * Parse one streamed event payload
+   * @param {string} payload - SSE data or NDJSON line
+   * @returns {Object} Chunk {text, finishReason, done, usage}; usage fields replace earlier ones
+   */
+  parseStreamChunk(payload) {
+    throw new Error(`${this.label} adapter does not implement parseStreamChunk`);
+  }
+
+  /**
+   * Turn a failed HTTP response into a readable message
+   * @param {Response} response - Fetch response with a non-2xx status
+   * @returns {Promise<string|Object>} Error message, or {message, code} when the body tells
+   *   what kind of error it is
+   */
+  async normalizeError(response) {
+    const errorText = await response.text().catch(() => '');
+    let errorMessage = errorText || response.statusText || 'Unknown error';
+
+    try {
+      const errorData = JSON.parse(errorText);
+      const error = errorData.error;
+      errorMessage = (error && typeof error === 'object' ? error.message : error) || errorData.message || errorMessage;
+    } catch (parseError) {
+      // Body is not JSON, keep the raw text
+    }
+
+    return `${this.label} API request failed: ${response.status} ${errorMessage}`;
+  }
+
+  /**
+   * Read how long the provider asked us to wait before retrying
+   * Understands Retry-After and the OpenAI-style x-ratelimit-* headers
+   * @param {Response} response - Fetch response with a non-2xx status
+   * @returns {number|null} Delay in milliseconds, or null if the response does not say
+   */
+  getRetryAfterMs(response) {
+    const headers = response.headers;
+    if (!headers || typeof headers.get !== 'function') {
+      return null;
+    }
+
+    const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+    if (!isNaN(retryAfterMs)) {
+      return Math.max(0, retryAfterMs);
+    }
+
+    const retryAfter = parseRetryAfterHeader(headers.get('retry-after'));
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    // Reset durations such as "6m0s" or "250ms", for whichever limit is used up
+    const resets = ['requests', 'tokens']
+      .filter(limit => headers.get(`x-ratelimit-remaining-${limit}`) === '0')
+      .map(limit => parseRateLimitDuration(headers.get(`x-ratelimit-reset-${limit}`)))
+      .filter(delay => delay !== null);
+
+    return resets.length > 0 ? Math.max(...resets) : null;
+  }
+
+  /**
+   * Hint shown when the endpoint cannot be reached at all
+   * @param {Object} config - Provider configuration
+   * @returns {string} Hint, or an empty string
+   */
+  getConnectionHint(config) {
+    return '';
+  }
+
+  /**
+   * Build the HTTP request that lists available models
+   * @param {Object} config - Provider configuration
+   * @returns {Object|null} Request {url, headers}, or null if unsupported
+   */
+  buildModelsRequest(config) {
+    return null;
+  }
+
+  /**
+   * Parse a model list response
+   * @param {Object} data - Parsed JSON response
+   * @returns {Array<Object>} Models [{id, name}]
+   */
+  parseModels(data) {
+    return data.data ? data.data.map(m => ({ id: m.id, name: m.id })) : [];
+  }
+
+  /**
+   * Send a built request and check the HTTP status
+   * @param {Object} request - Completion request
+   * @param {Object} config - Provider configuration
+   * @param {Object} options - Fetch options {signal}
+   * @returns {Promise<Response>} Successful response
+   */
+  async sendRequest(request, config, options = {}) {
+    this.validateConfig(config);
+
+    const { url, init } = this.buildRequest(request, config);
+
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: options.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      throw this.createError(`Failed to connect to ${this.label}: ${error.message}`, {
+        network: true,
+        hint: this.getConnectionHint(config)
+      });
+    }
+
+    if (!response.ok) {
+      const normalized = await this.normalizeError(response);
+      const { message, code } = typeof normalized === 'string' ? { message: normalized } : normalized;
+      const retryAfterMs = this.getRetryAfterMs(response);
+      throw this.createError(message, {
+        code: code || (isQuotaErrorResponse(response.status, message, retryAfterMs) ? 'quota' : undefined),
+        status: response.status,
+        retryAfterMs
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Run a completion request against the provider
+   * @param {Object} request - Completion request
+   * @param {Object} config - Provider configuration
+   * @param {Object} options - {signal, timeoutMs, retry, onRetry, schedule}; the timeout applies to each attempt,
+   *   and schedule(attempt), when given, runs each attempt (for example through a rate limiter)
+   * @returns {Promise<Object>} Completion result {text}
+   */
+  async complete(request, config, options = {}) {
+    return await withProviderRetry(() => runProviderAttempt(options, () => this.completeOnce(request, config, options)), options.retry, {
+      signal: options.signal,
+      onRetry: options.onRetry
+    });
+  }
+
+  /**
+   * Run a completion request once, without retrying
+   * @param {Object} request - Completion request
+   * @param {Object} config - Provider configuration
+   * @param {Object} options - {signal, timeoutMs}
+   * @returns {Promise<Object>} Completion result {text}
+   */
+  async completeOnce(request, config, options = {}) {
+    const deadline = createRequestDeadline(options.signal, options.timeoutMs);
+
+    try {
+      const response = await this.sendRequest({ ...request, stream: false }, config, { signal: deadline.signal });
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        throw this.createError(`Invalid response from ${this.label} API: ${error.message}`, { code: 'parse' });
+      }
+
+      try {
+        const result = this.parseResponse(data);
+        if (result.candidates) {
+          result.candidates = result.candidates.map(text => text.trim());
+        }
+        return { ...result, text: result.text.trim() };
+      } catch (error) {
+        throw toProviderError(error, { provider: this.id, providerLabel: this.label, code: 'parse' });
+      }
+    } catch (error) {
+      throw deadline.timedOut() ? this.createTimeoutError(options.timeoutMs) : error;
+    } finally {
+      deadline.clear();
+    }
+  }
+
+  /**
+   * Run a completion request and report text as it arrives
+   * Providers without streaming support deliver the whole text in one delta
+   * @param {Object} request - Completion request
+   * @param {Object} config - Provider configuration
+   * @param {Function} onDelta - Called with (delta, textSoFar)
+   * @param {Object} options - {signal, timeoutMs, retry, onRetry, schedule}; the timeout restarts whenever a chunk arrives
+   * @returns {Promise<Object>} Completion result {text, finishReason}
+   */
+  async stream(request, config, onDelta, options = {}) {
+    if (!this.capabilities.streaming) {
+      const result = await this.complete(request, config, options);
+      onDelta(result.text, result.text);
+      return result;
+    }
+
+    // Once text has reached the caller a retry would repeat it, so only retry before that
+    let receivedText = false;
+    const trackDelta = (delta, textSoFar) => {
+      receivedText = true;
+      onDelta(delta, textSoFar);
+    };
+
+    return await withProviderRetry(() => runProviderAttempt(options, async () => {
+      const deadline = createRequestDeadline(options.signal, options.timeoutMs);
+      try {
+        return await this.readStream(request, config, trackDelta, deadline);
+      } catch (error) {
+        throw deadline.timedOut() ? this.createTimeoutError(options.timeoutMs) : error;
+      } finally {
+        deadline.clear();
+      }
+    }), options.retry, {
+      signal: options.signal,
+      onRetry: options.onRetry,
+      canRetry: () => !receivedText
+    });
+  }
+
+  /**
+   * Send a streaming request and read it to the end
+   * @param {Object} request - Completion request
+   * @param {Object} config - Provider configuration
+   * @param {Function} onDelta - Called with (delta, textSoFar)
+   * @param {Object} deadline - Deadline from createRequestDeadline
+   * @returns {Promise<Object>} Completion result {text, finishReason, usage}
+   */
+  async readStream(request, config, onDelta, deadline) {
+    const response = await this.sendRequest({ ...request, stream: true }, config, { signal: deadline.signal });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let finishReason;
+    let usage;
+    let done = false;
+
+    const handlePayloads = (payloads) => {
+      for (const payload of payloads) {
+        let chunk;
+        try {
+          chunk = this.parseStreamChunk(payload);
+        } catch (error) {
+          throw toProviderError(error, { provider: this.id, providerLabel: this.label, code: 'parse' });
+        }
+
+        if (chunk.text) {
+          text += chunk.text;
+          onDelta(chunk.text, text);
+        }
+        finishReason = chunk.finishReason || finishReason;
+        usage = chunk.usage ? { ...usage, ...chunk.usage } : usage;
+        done = done || chunk.done;
+      }
+    };
+
+    while (!done) {
+      const { value, done: streamDone } = await reader.read();
+      deadline.restart();
+      buffer += decoder.decode(value || new Uint8Array(), { stream: !streamDone });
+
+      const { payloads, rest } = splitStreamBuffer(streamDone ? `${buffer}\n\n` : buffer, this.streamFormat);
+      buffer = rest;
+      handlePayloads(payloads);
+
+      if (streamDone) {
+        break;
+      }
+    }
+
+    if (done) {
+      reader.cancel().catch(() => {});
+    }
+
+    return { text: text.trim(), finishReason, usage };
+  }
+
+  /**
+   * Create the error thrown when the provider does not answer in time
+   * @param {number} timeoutMs - Timeout that expired
+   * @returns {Error}
+   */
+  createTimeoutError(timeoutMs) {
+    const error = this.createError(`${this.label} did not respond within ${Math.round(timeoutMs / 1000)} seconds`, {
+      timeout: true
+    });
+    error.name = 'TimeoutError';
+    return error;
+  }
+
+  /**
+   * List models available to this configuration
+   * @param {Object} config - Provider configuration
+   * @returns {Promise<Array<Object>>} Models [{id, name}]
+   */
+  async listModels(config) {
+    const modelsRequest = this.capabilities.listModels ? this.buildModelsRequest(config) : null;
+    if (!modelsRequest) {
+      throw this.createError(`Model fetching not supported for ${this.label}`, { code: 'config' });
+    }
+
+    let response;
+    try {
+      response = await fetch(modelsRequest.url, { headers: modelsRequest.headers || {} });
+    } catch (error) {
+      throw this.createError(`Failed to connect to ${this.label}: ${error.message}`, {
+        network: true,
+        hint: this.getConnectionHint(config)
+      });
+    }
+    if (!response.ok) {
+      throw this.createError(`HTTP ${response.status}: ${response.statusText}`, { status: response.status });
+    }
+
+    return this.parseModels(await response.json());
+  }
+
+  /**
+   * Check whether a model is in a model list
+   * @param {Array<Object>} models - Models from listModels
+   * @param {string} name - Model name from the configuration
+   * @returns {boolean}
+   */
+  hasModel(models, name) {
+    return models.some(model => model.id === name);
+  }
+
+  /**
+   * Create an error of this provider
+   * @param {string} message - Error message
+   * @param {Object} details - {code, status, network, timeout, retryAfterMs, hint}
+   * @returns {ProviderError}
+   */
+  createError(message, details = {}) {
+    return createProviderError(message, { provider: this.id, providerLabel: this.label, ...details });
+  }
+}
+
+/**
+ * Build a usage block from the token counts a provider reports
+ * @param {number} promptTokens - Input tokens, if reported
+ * @param {number} completionTokens - Output tokens, if reported
+ * @returns {Object|undefined} {promptTokens, completionTokens} with only the reported fields
+ */
+function createUsage(promptTokens, completionTokens) {
+  const usage = {};
+  if (typeof promptTokens === 'number') {
+    usage.promptTokens = promptTokens;
+  }
+  if (typeof completionTokens === 'number') {
+    usage.completionTokens = completionTokens;
+  }
+  return Object.keys(usage).length > 0 ? usage : undefined;
+}
+
+/**
+ * What the user can do about each kind of error, shown next to the message
+ * auth, quota and config errors are fixed in the settings; network, timeout,
+ * rate_limited and parse errors may pass when the request is sent again
+ */
+const PROVIDER_ERROR_HINTS = {
+  auth: label => `Check the API key for ${label} in the settings.`,
+  quota: label => `The account for ${label} is out of quota or credit. Check its plan and billing.`,
+  rate_limited: label => `Too many requests were sent to ${label}. Wait a moment and try again.`,
+  network: label => `Could not reach ${label}. Check your internet connection and the endpoint in the settings.`,
+  timeout: label => `The answer from ${label} took too long. Try again, or choose a faster model.`,
+  parse: label => `The answer from ${label} could not be read. Choose another model in the extension options.`,
+  content_filtered: label => `The content filter of ${label} blocked this text. Rephrase it and try again.`,
+  config: label => `Complete the settings for ${label} in the extension options.`,
+  unknown: label => `Something went wrong at ${label}. Try again later.`
+};
+
+const PROVIDER_ERROR_CODES = Object.keys(PROVIDER_ERROR_HINTS);
+
+// Providers report used-up quota or credit with 402, 429 or even 400, and only the text
+// tells it apart from a rate limit; a 429 that says when to retry is a rate limit
+const QUOTA_ERROR_PATTERN = /quota|billing|credit balance|insufficient.credits/i;
+
+function isQuotaErrorResponse(status, message, retryAfterMs) {
+  if (status === 402) {
+    return true;
+  }
+  return [400, 403, 429].includes(status) && retryAfterMs === null && QUOTA_ERROR_PATTERN.test(message);
+}
+
+/**
+ * Error of a provider request, or of the settings it needs
+ * `code` is one of PROVIDER_ERROR_CODES, `retryable` tells whether sending the same
+ * request again may succeed, and `hint` says what the user can do about it.
+ * Details such as status, network and timeout stay on the error for retry decisions.
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - {code, provider, providerLabel, status, network, timeout, retryable, hint}
+   *   where code, retryable and hint are derived from the other details when not given
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    Object.assign(this, details);
+    this.code = PROVIDER_ERROR_CODES.includes(details.code) ? details.code : getProviderErrorCode(details);
+    this.retryable = typeof details.retryable === 'boolean' ? details.retryable : isRetryableErrorCode(this.code, details.status);
+    this.hint = details.hint || PROVIDER_ERROR_HINTS[this.code](details.providerLabel || 'the provider');
+  }
+
+  /**
+   * Plain copy of the error for runtime messaging, which drops Error properties
+   * @returns {Object} {code, message, provider, providerLabel, retryable, hint, status, attempts}
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      provider: this.provider,
+      providerLabel: this.providerLabel,
+      retryable: this.retryable,
+      hint: this.hint,
+      status: this.status,
+      attempts: this.attempts
+    };
+  }
+}
+
+function getProviderErrorCode(details) {
+  if (details.timeout) {
+    return 'timeout';
+  }
+  if (details.network) {
+    return 'network';
+  }
+  if (details.status === 401 || details.status === 403) {
+    return 'auth';
+  }
+  if (details.status === 429) {
+    return 'rate_limited';
+  }
+  return 'unknown';
+}
+
+function isRetryableErrorCode(code, status) {
+  // Unreadable answers are not retried by withProviderRetry, so they must not claim to be retryable
+  if (['network', 'timeout', 'rate_limited'].includes(code)) {
+    return true;
+  }
+  return code === 'unknown' && ([408, 409].includes(status) || status >= 500);
+}
+
+/**
+ * Create an error carrying details about a failed provider request
+ * @param {string} message - Error message
+ * @param {Object} details - {code, provider, providerLabel, status, network, timeout, hint}
+ * @returns {ProviderError}
+ */
+function createProviderError(message, details = {}) {
+  return new ProviderError(message, details);
+}
+
+/**
+ * Turn any error into a ProviderError; ProviderErrors are returned as they are
+ * @param {Error} error - Error to convert
+ * @param {Object} details - Details for errors that are not ProviderErrors yet
+ * @returns {ProviderError}
+ */
+function toProviderError(error, details = {}) {
+  if (error instanceof ProviderError) {
+    return error;
+  }
+  return createProviderError(error && error.message ? error.message : String(error), {
+    attempts: error && error.attempts,
+    ...details
+  });
+}
+
+/**
+ * Turn an error into a plain object that survives runtime messaging
+ * @param {Error} error - Error to send
+ * @returns {Object} {code, message, provider, providerLabel, retryable, hint, status, attempts}
+ */
+function serializeProviderError(error) {
+  return toProviderError(error).toJSON();
+}
+
+/**
+ * Combine a caller's abort signal with a timeout
+ * The timeout aborts the request like a cancellation, and timedOut() tells the two apart
+ * @param {AbortSignal} signal - Caller's signal, if any
+ * @param {number} timeoutMs - Timeout in milliseconds, or 0 for none
+ * @returns {Object} {signal, timedOut, restart, clear}
+ */
+function createRequestDeadline(signal, timeoutMs) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  let timer = null;
+  let expired = false;
+
+  const restart = () => {
+    clearTimeout(timer);
+    if (timeoutMs > 0 && !controller.signal.aborted) {
+      timer = setTimeout(() => {
+        expired = true;
+        controller.abort();
+      }, timeoutMs);
+    }
+  };
+
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+  }
+  restart();
+
+  return {
+    signal: controller.signal,
+    timedOut: () => expired,
+    restart,
+    clear: () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    }
+  };
+}
+
+/**
+ * Check whether a failed request is worth repeating against another provider:
+ * network failures, timeouts, rate limits and server errors
+ * @param {Error} error - Error thrown by an adapter
+ * @returns {boolean}
+ */
+function isProviderFailoverError(error) {
+  if (!error || error.name === 'AbortError') {
+    return false;
+  }
+
+  if (error.name === 'TimeoutError' || error.network) {
+    return true;
+  }
+
+  return error.status === 429 || error.status >= 500;
+}
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+/**
+ * Check whether a failed request is worth repeating against the same provider
+ * Auth and validation errors (4xx other than 408, 409 and 429) fail the same way every time
+ * @param {Error} error - Error thrown by an adapter
+ * @returns {boolean}
+ */
+function isProviderRetryableError(error) {
+  if (!error || error.name === 'AbortError') {
+    return false;
+  }
+
+  if (error.name === 'TimeoutError' || error.network) {
+    return true;
+  }
+
+  // A used-up quota fails the same way until the account is topped up
+  if (error.code === 'quota') {
+    return false;
+  }
+
+  return [408, 409, 429].includes(error.status) || error.status >= 500;
+}
+
+/**
+ * Run a provider call, retrying transient failures with jittered exponential backoff
+ * A delay requested by the provider is used instead of the backoff; if it is longer
+ * than maxDelayMs the call gives up rather than waiting
+ * @param {Function} run - Called with the attempt number, returns a promise
+ * @param {Object} policy - {maxAttempts, baseDelayMs, maxDelayMs}
+ * @param {Object} options - {signal, onRetry(error, attempt, delayMs), canRetry()}
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function withProviderRetry(run, policy = {}, options = {}) {
+  const { maxAttempts, baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_POLICY, ...policy };
+  const canRetry = options.canRetry || (() => true);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await run(attempt);
+    } catch (error) {
+      const delay = getRetryDelay(error, attempt, baseDelayMs, maxDelayMs);
+
+      if (attempt >= maxAttempts || !isProviderRetryableError(error) || !canRetry() || delay > maxDelayMs) {
+        error.attempts = attempt;
+        if (attempt > 1) {
+          error.message = `${error.message} (gave up after ${attempt} attempts)`;
+        }
+        throw error;
+      }
+
+      if (options.onRetry) {
+        options.onRetry(error, attempt, delay);
+      }
+      await waitForRetry(delay, options.signal);
+    }
+  }
+}
+
+// Run one attempt of a provider call, through the caller's scheduler if there is one,
+// so that retries wait for rate limits like first attempts and free their slot while backing off
+function runProviderAttempt(options, attempt) {
+  return options.schedule ? options.schedule(attempt) : attempt();
+}
+
+/**
+ * Pick the delay before the next attempt
+ * @param {Error} error - Error from the failed attempt
+ * @param {number} attempt - Number of the failed attempt, starting at 1
+ * @param {number} baseDelayMs - Delay after the first attempt
+ * @param {number} maxDelayMs - Upper bound for the backoff
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, baseDelayMs, maxDelayMs) {
+  if (typeof error.retryAfterMs === 'number') {
+    return error.retryAfterMs;
+  }
+
+  // Equal jitter: half the backoff is fixed, the other half random
+  const backoff = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  return backoff / 2 + Math.random() * backoff / 2;
+}
+
+function waitForRetry(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const cancelled = () => {
+      const error = new Error('Request cancelled');
+      error.name = 'AbortError';
+      return error;
+    };
+
+    if (signal && signal.aborted) {
+      reject(cancelled());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelled());
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, delay);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Parse a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds
+ */
+function parseRetryAfterHeader(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Parse a duration such as "1s", "6m0s" or "250ms"
+ * @param {string|null} value - Header value
+ * @returns {number|null} Duration in milliseconds
+ */
+function parseRateLimitDuration(value) {
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  const parts = (value || '').match(/\d+(?:\.\d+)?(?:ms|h|m|s)/g);
+  if (!parts) {
+    return null;
+  }
+
+  return parts.reduce((total, part) => {
+    const [, amount, unit] = part.match(/([\d.]+)(ms|h|m|s)/);
+    return total + parseFloat(amount) * units[unit];
+  }, 0);
+}
+
+/**
+ * Split buffered stream text into complete event payloads
+ * @param {string} buffer - Text received so far
+ * @param {string} format - 'sse' or 'ndjson'
+ * @returns {Object} {payloads, rest} where rest is the incomplete tail
+ */
+function splitStreamBuffer(buffer, format) {
+  const normalized = buffer.replace(/\r\n/g, '\n');
+
+  if (format === 'ndjson') {
+    const lines = normalized.split('\n');
+    const rest = lines.pop();
+    return { payloads: lines.filter(line => line.trim()), rest };
+  }
+
+  const events = normalized.split('\n\n');
+  const rest = events.pop();
+  const payloads = events
+    .map(event => event
+      .split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n'))
+    .filter(payload => payload);
+
+  return { payloads, rest };
+}
+
+/**
+ * Adapter for the OpenAI chat completions format
+ * Shared by OpenAI, Groq, LM Studio and OpenRouter
+ */
+class OpenAICompatibleAdapter extends BaseProviderAdapter {
+  buildRequest(request, config) {
+    const messages = [];
+    if (request.system) {
+      messages.push({ role: 'system', content: request.system });
+    }
+    messages.push(...request.messages);
+
+    const body = {
+      model: this.getModel(config),
+      messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      stream: !!request.stream,
+    };
+
+    // Without this OpenAI leaves usage out of streamed responses
+    if (request.stream && this.capabilities.streamUsage) {
+      body.stream_options = { include_usage: true };
+    }
+
+    const responseFormat = this.buildResponseFormat(request.responseSchema);
+    if (responseFormat) {
+      body.response_format = responseFormat;
+    }
+
+    if (request.candidateCount > 1 && this.capabilities.multipleCandidates) {
+      body.n = request.candidateCount;
+    }
+
+    return {
+      url: this.getEndpoint(config),
+      init: {
+        method: 'POST',
+        headers: this.buildHeaders(config),
+        body: JSON.stringify(body),
+      },
+    };
+  }
+
+  /**
+   * Build `response_format` for the structuredOutput capability:
+   * 'json_schema' enforces the schema, 'json_object' only guarantees valid JSON
+   * @param {Object} responseSchema - {name, schema}
+   * @returns {Object|null}
+   */
+  buildResponseFormat(responseSchema) {
+    if (!responseSchema || !this.capabilities.structuredOutput) {
+      return null;
+    }
+
+    if (this.capabilities.structuredOutput === 'json_object') {
+      return { type: 'json_object' };
+    }
+
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: responseSchema.name,
+        strict: true,
+        schema: responseSchema.schema,
+      },
+    };
+  }
+
+  parseResponse(data) {
+    if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+      throw new Error(`Invalid response from ${this.label} API: missing choices or message`);
+    }
+    return {
+      text: data.choices[0].message.content || '',
+      finishReason: data.choices[0].finish_reason,
+      usage: this.parseUsage(data),
+      ...(data.choices.length > 1 ? { candidates: data.choices.map(choice => choice.message?.content || '') } : {}),
+    };
+  }
+
+  parseUsage(data) {
+    // Groq reports streaming usage under x_groq
+    const usage = data.usage || data.x_groq?.usage;
+    return usage ? createUsage(usage.prompt_tokens, usage.completion_tokens) : undefined;
+  }
+
+  parseStreamChunk(payload) {
+    if (payload === '[DONE]') {
+      return { done: true };
+    }
+
+    const data = JSON.parse(payload);
+    if (data.error) {
+      throw this.createError(data.error.message || String(data.error));
+    }
+
+    const choice = data.choices && data.choices[0];
+    return {
+      text: choice?.delta?.content || '',
+      finishReason: choice?.finish_reason || undefined,
+      usage: this.parseUsage(data),
+    };
+  }
+
+  buildModelsRequest(config) {
+    return {
+      url: this.getEndpoint(config).replace('/chat/completions', '/models'),
+      headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {},
+    };
+  }
+}
+
+/**
+ * Adapter for LM Studio's local OpenAI-compatible server
+ */
+class LMStudioAdapter extends OpenAICompatibleAdapter {
+  getConnectionHint(config) {
+    return `Make sure LM Studio server is running on ${this.getEndpoint(config).split('/v1')[0]}.`;
+  }
+}
+
+/**
+ * Adapter for OpenRouter, which identifies the calling app by header
+ */
+class OpenRouterAdapter extends OpenAICompatibleAdapter {
+  buildHeaders(config) {
+    return {
+      ...super.buildHeaders(config),
+      'X-Title': 'Feelly Browser Extension',
+    };
+  }
+
+  parseModels(data) {
+    return data.data ? data.data.map(m => ({ id: m.id, name: m.name || m.id })) : [];
+  }
+
+  getRetryAfterMs(response) {
+    const delay = super.getRetryAfterMs(response);
+    if (delay !== null || !response.headers || typeof response.headers.get !== 'function') {
+      return delay;
+    }
+
+    // OpenRouter sends the reset time as epoch milliseconds
+    const resetAt = parseInt(response.headers.get('x-ratelimit-reset'), 10);
+    return isNaN(resetAt) ? null : Math.max(0, resetAt - Date.now());
+  }
+}
+
+/**
+ * Adapter for any server that speaks the OpenAI chat format, such as an internal gateway
+ * The endpoint setting is the base URL; requests go to /chat/completions below it and
+ * models are listed from a configurable path. The auth header name and prefix, extra
+ * headers ("Name: value" per line) and query parameters ("name=value" per line) come
+ * from the profile.
+ */
+class CustomOpenAIAdapter extends OpenAICompatibleAdapter {
+  getBaseUrl(config) {
+    // Accept a full completions URL as well as a base URL
+    return (config.customEndpoint || '').trim().replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+  }
+
+  getEndpoint(config) {
+    return appendQueryParams(`${this.getBaseUrl(config)}/chat/completions`, config.queryParams);
+  }
+
+  validateConfig(config) {
+    this.checkBaseUrl(config);
+    super.validateConfig(config);
+  }
+
+  checkBaseUrl(config) {
+    if (!this.getBaseUrl(config)) {
+      throw this.createError(`Base URL not set for ${this.label}. Please set it in the extension options.`, { code: 'config' });
+    }
+  }
+
+  buildHeaders(config) {
+    return { 'Content-Type': 'application/json', ...this.buildAuthHeaders(config) };
+  }
+
+  /**
+   * Build the auth and extra headers sent with every request, including model listing
+   * @param {Object} config - Provider configuration
+   * @returns {Object} Headers
+   */
+  buildAuthHeaders(config) {
+    const headers = {};
+
+    if (config.apiKey) {
+      const name = (config.authHeaderName || '').trim() || 'Authorization';
+      const prefix = config.authHeaderPrefix === undefined ? 'Bearer' : config.authHeaderPrefix.trim();
+      headers[name] = prefix ? `${prefix} ${config.apiKey}` : config.apiKey;
+    }
+
+    return { ...headers, ...parseHeaderLines(config.extraHeaders) };
+  }
+
+  getConnectionHint(config) {
+    return `Make sure ${this.getBaseUrl(config)} is reachable.`;
+  }
+
+  buildModelsRequest(config) {
+    const path = (config.modelsPath || '/models').trim();
+    return {
+      url: appendQueryParams(`${this.getBaseUrl(config)}${path.startsWith('/') ? path : `/${path}`}`, config.queryParams),
+      headers: this.buildAuthHeaders(config),
+    };
+  }
+
+  async listModels(config) {
+    // Listing models is how the model gets chosen, so only the base URL is required
+    this.checkBaseUrl(config);
+    return await super.listModels(config);
+  }
+}
+
+/**
+ * Parse headers written one per line as "Name: value"
+ * @param {string} text - Header lines
+ * @returns {Object} Headers; lines without a name are skipped
+ */
+function parseHeaderLines(text) {
+  const headers = {};
+
+  (text || '').split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    const name = separator === -1 ? '' : line.slice(0, separator).trim();
+    if (name) {
+      headers[name] = line.slice(separator + 1).trim();
+    }
+  });
+
+  return headers;
+}
+
+/**
+ * Add query parameters written one per line (or joined with &) as "name=value" to a URL
+ * @param {string} url - URL, which may already have a query string
+ * @param {string} text - Parameter lines
+ * @returns {string} URL with the parameters
+ */
+function appendQueryParams(url, text) {
+  const params = (text || '')
+    .split(/[\n&]/)
+    .map(param => param.trim())
+    .filter(param => param && !param.startsWith('='))
+    .map(param => {
+      const separator = param.indexOf('=');
+      const name = separator === -1 ? param : param.slice(0, separator);
+      const value = separator === -1 ? '' : param.slice(separator + 1);
+      return `${encodeURIComponent(name.trim())}=${encodeURIComponent(value.trim())}`;
+    });
+
+  if (params.length === 0) {
+    return url;
+  }
+  return `${url}${url.includes('?') ? '&' : '?'}${params.join('&')}`;
+}
+
+/**
+ * Adapter for Azure OpenAI deployments
+ * Requests go to the deployment URL of a resource with an api-version query parameter,
+ * and authenticate with an api-key header. The profile's model field holds the deployment name.
+ */
+class AzureOpenAIAdapter extends OpenAICompatibleAdapter {
+  /**
+   * Get the resource URL; a bare resource name maps to <name>.openai.azure.com
+   * @param {Object} config - Provider configuration
+   * @returns {string}
+   */
+  getBaseUrl(config) {
+    const resource = (config.azureResource || '').trim().replace(/\/+$/, '');
+    if (!resource) {
+      return '';
+    }
+    return resource.includes('://') ? resource : `https://${resource}.openai.azure.com`;
+  }
+
+  getApiVersion(config) {
+    return (config.azureApiVersion || '').trim() || this.defaults.apiVersion;
+  }
+
+  getEndpoint(config) {
+    const deployment = encodeURIComponent(this.getModel(config));
+    return `${this.getBaseUrl(config)}/openai/deployments/${deployment}/chat/completions?api-version=${encodeURIComponent(this.getApiVersion(config))}`;
+  }
+
+  validateConfig(config) {
+    if (!this.getBaseUrl(config)) {
+      throw this.createError(`${this.label} resource not set. Please set it in the extension options.`, { code: 'config' });
+    }
+    if (!this.getModel(config)) {
+      throw this.createError(`${this.label} deployment not set. Please set it in the extension options.`, { code: 'config' });
+    }
+    super.validateConfig(config);
+  }
+
+  buildHeaders(config) {
+    return {
+      'Content-Type': 'application/json',
+      'api-key': config.apiKey,
+    };
+  }
+
+  buildRequest(request, config) {
+    const built = super.buildRequest(request, config);
+    // The deployment decides the model, so the body does not name one
+    const body = JSON.parse(built.init.body);
+    delete body.model;
+    return { ...built, init: { ...built.init, body: JSON.stringify(body) } };
+  }
+
+  parseResponse(data) {
+    const choice = data.choices && data.choices[0];
+    if (choice && choice.finish_reason === 'content_filter' && !choice.message?.content) {
+      throw this.createError(describeAzureContentFilter('response', choice.content_filter_results), { code: 'content_filtered' });
+    }
+    return super.parseResponse(data);
+  }
+
+  parseStreamChunk(payload) {
+    const chunk = super.parseStreamChunk(payload);
+    if (chunk.finishReason === 'content_filter') {
+      const choice = JSON.parse(payload).choices[0];
+      throw this.createError(describeAzureContentFilter('response', choice.content_filter_results), { code: 'content_filtered' });
+    }
+    return chunk;
+  }
+
+  async normalizeError(response) {
+    const errorText = await response.text().catch(() => '');
+
+    try {
+      // Azure errors look like {"error": {"code": "...", "message": "...", "innererror": {...}}}
+      const { error } = JSON.parse(errorText);
+      if (error && error.code === 'content_filter') {
+        return { message: describeAzureContentFilter('prompt', error.innererror?.content_filter_result), code: 'content_filtered' };
+      }
+      if (error && error.message) {
+        return `${this.label} API request failed: ${response.status} ${error.code ? `${error.code}: ` : ''}${error.message}`;
+      }
+    } catch (parseError) {
+      // Body is not JSON, fall through to the raw text
+    }
+
+    return `${this.label} API request failed: ${response.status} ${errorText || response.statusText || 'Unknown error'}`;
+  }
+
+  getConnectionHint(config) {
+    return `Make sure the resource ${this.getBaseUrl(config)} exists and is reachable.`;
+  }
+
+  buildModelsRequest(config) {
+    if (!this.getBaseUrl(config)) {
+      return null;
+    }
+    return {
+      // Deployments can only be listed with this older data-plane API version
+      url: `${this.getBaseUrl(config)}/openai/deployments?api-version=${this.defaults.deploymentsApiVersion}`,
+      headers: config.apiKey ? { 'api-key': config.apiKey } : {},
+    };
+  }
+
+  parseModels(data) {
+    return data.data
+      ? data.data.map(deployment => ({
+        id: deployment.id,
+        name: deployment.model ? `${deployment.id} (${deployment.model})` : deployment.id
+      }))
+      : [];
+  }
+
+  async listModels(config) {
+    if (!this.getBaseUrl(config)) {
+      throw this.createError(`${this.label} resource not set. Please set it in the extension options.`, { code: 'config' });
+    }
+    return await super.listModels(config);
+  }
+}
+
+/**
+ * Describe what Azure's content filter blocked
+ * @param {string} target - 'prompt' or 'response'
+ * @param {Object} results - Filter results {category: {filtered, severity, detected}}
+ * @returns {string} Readable message naming the categories that were filtered
+ */
+function describeAzureContentFilter(target, results) {
+  const categories = Object.entries(results || {})
+    .filter(([, result]) => result && result.filtered)
+    .map(([category, result]) => {
+      const name = category.replace(/_/g, ' ');
+      return result.severity ? `${name} (${result.severity})` : name;
+    });
+
+  const reason = categories.length > 0 ? ` because of ${categories.join(', ')}` : '';
+  return target === 'prompt'
+    ? `Azure's content filter blocked the selected text${reason}. Rephrase it or adjust the filter of your deployment.`
+    : `Azure's content filter stopped the response${reason}.`;
+}
+
+/**
+ * Adapter for Anthropic
+ */
+class AnthropicAdapter extends BaseProviderAdapter {
+  getEndpoint(config) {
+    // Endpoints saved for the legacy Text Completions API point at /v1/complete
+    return super.getEndpoint(config).replace(/\/v1\/complete$/, '/v1/messages');
+  }
+
+  buildHeaders(config) {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': config.apiKey,
+      'anthropic-version': this.defaults.apiVersion,
+      // Required for requests that carry an extension origin
+      'anthropic-dangerous-direct-browser-access': 'true',
+    };
+  }
+
+  buildRequest(request, config) {
+    const body = {
+      model: this.getModel(config),
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+    };
+
+    if (request.system) {
+      body.system = request.system;
+    }
+
+    if (request.stream) {
+      body.stream = true;
+    }
+
+    // Structured output goes through a forced tool call whose input is the JSON
+    if (request.responseSchema && this.capabilities.structuredOutput) {
+      body.tools = [{
+        name: request.responseSchema.name,
+        description: request.responseSchema.description,
+        input_schema: request.responseSchema.schema,
+      }];
+      body.tool_choice = { type: 'tool', name: request.responseSchema.name };
+    }
+
+    return {
+      url: this.getEndpoint(config),
+      init: {
+        method: 'POST',
+        headers: this.buildHeaders(config),
+        body: JSON.stringify(body),
+      },
+    };
+  }
+
+  parseResponse(data) {
+    if (!Array.isArray(data.content)) {
+      throw new Error(`Invalid response from ${this.label} API: missing content`);
+    }
+
+    if (data.stop_reason === 'refusal') {
+      throw this.createError(`${this.label} declined to respond to this request`, { code: 'content_filtered' });
+    }
+
+    const toolUse = data.content.find(block => block.type === 'tool_use');
+    if (toolUse) {
+      return { text: JSON.stringify(toolUse.input), finishReason: data.stop_reason, usage: this.parseUsage(data.usage) };
+    }
+
+    const text = data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    if (!text && data.stop_reason === 'max_tokens') {
+      throw this.createError(`${this.label} ran out of tokens before producing any text`);
+    }
+
+    return {
+      text,
+      finishReason: data.stop_reason,
+      truncated: data.stop_reason === 'max_tokens',
+      usage: this.parseUsage(data.usage),
+    };
+  }
+
+  parseUsage(usage) {
+    return usage ? createUsage(usage.input_tokens, usage.output_tokens) : undefined;
+  }
+
+  parseStreamChunk(payload) {
+    const event = JSON.parse(payload);
+
+    switch (event.type) {
+      case 'message_start':
+        return { usage: this.parseUsage(event.message?.usage) };
+      case 'content_block_delta':
+        return { text: event.delta?.type === 'text_delta' ? event.delta.text : '' };
+      case 'message_delta':
+        if (event.delta?.stop_reason === 'refusal') {
+          throw this.createError(`${this.label} declined to respond to this request`, { code: 'content_filtered' });
+        }
+        return { finishReason: event.delta?.stop_reason, usage: this.parseUsage(event.usage) };
+      case 'message_stop':
+        return { done: true };
+      case 'error':
+        throw this.createError(`${this.label} API stream failed: ${event.error?.type ? `${event.error.type}: ` : ''}${event.error?.message || 'Unknown error'}`);
+      default:
+        return {};
+    }
+  }
+
+  async normalizeError(response) {
+    const errorText = await response.text().catch(() => '');
+
+    try {
+      // Anthropic errors look like {"type": "error", "error": {"type": "...", "message": "..."}}
+      const { error } = JSON.parse(errorText);
+      if (error && error.message) {
+        return `${this.label} API request failed: ${response.status} ${error.type ? `${error.type}: ` : ''}${error.message}`;
+      }
+    } catch (parseError) {
+      // Body is not JSON, fall through to the raw text
+    }
+
+    return `${this.label} API request failed: ${response.status} ${errorText || response.statusText || 'Unknown error'}`;
+  }
+
+  getRetryAfterMs(response) {
+    const delay = super.getRetryAfterMs(response);
+    if (delay !== null || !response.headers || typeof response.headers.get !== 'function') {
+      return delay;
+    }
+
+    // Anthropic sends RFC 3339 reset times for each limit
+    const resets = ['requests', 'tokens', 'input-tokens', 'output-tokens']
+      .filter(limit => response.headers.get(`anthropic-ratelimit-${limit}-remaining`) === '0')
+      .map(limit => Date.parse(response.headers.get(`anthropic-ratelimit-${limit}-reset`)))
+      .filter(resetAt => !isNaN(resetAt))
+      .map(resetAt => Math.max(0, resetAt - Date.now()));
+
+    return resets.length > 0 ? Math.max(...resets) : null;
+  }
+
+  buildModelsRequest(config) {
+    const headers = this.buildHeaders(config);
+    delete headers['Content-Type'];
+
+    return {
+      url: this.getEndpoint(config).replace(/\/messages$/, '/models'),
+      headers,
+    };
+  }
+
+  parseModels(data) {
+    return data.data ? data.data.map(m => ({ id: m.id, name: m.display_name || m.id })) : [];
+  }
+}
+
+/**
+ * Adapter for a local or remote Ollama server
+ * Uses the chat endpoint so the system prompt is kept separate from the text,
+ * with the keep-alive, context length and extra model options of the profile
+ */
+class OllamaAdapter extends BaseProviderAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.streamFormat = 'ndjson';
+  }
+
+  getEndpoint(config) {
+    // Endpoints saved for /api/generate, or a bare server URL, go to /api/chat
+    const endpoint = super.getEndpoint(config).trim().replace(/\/+$/, '');
+    return endpoint.includes('/api') ? endpoint.replace(/\/api\/generate$/, '/api/chat') : `${endpoint}/api/chat`;
+  }
+
+  getBaseUrl(config) {
+    return this.getEndpoint(config).split('/api')[0];
+  }
+
+  validateConfig(config) {
+    super.validateConfig(config);
+    this.parseModelOptions(config);
+  }
+
+  /**
+   * Read the extra model options of a profile, written as a JSON object
+   * @param {Object} config - Provider configuration
+   * @returns {Object} Options, empty if none are set
+   */
+  parseModelOptions(config) {
+    const text = (config.ollamaOptions || '').trim();
+    if (!text) {
+      return {};
+    }
+
+    let options;
+    try {
+      options = JSON.parse(text);
+    } catch (error) {
+      options = null;
+    }
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw this.createError(`${this.label} options must be a JSON object, e.g. {"num_gpu": 1}. Please fix them in the extension options.`, {
+        code: 'config'
+      });
+    }
+    return options;
+  }
+
+  /**
+   * Get how long Ollama keeps the model loaded after a request
+   * Durations such as "30m" are passed through, plain numbers are seconds and -1 keeps it loaded
+   * @param {Object} config - Provider configuration
+   * @returns {string|number|undefined} keep_alive value, or undefined for the server default
+   */
+  getKeepAlive(config) {
+    const value = String(config.ollamaKeepAlive || '').trim();
+    if (!value) {
+      return undefined;
+    }
+    return /^-?\d+$/.test(value) ? Number(value) : value;
+  }
+
+  buildRequest(request, config) {
+    const messages = [];
+    if (request.system) {
+      messages.push({ role: 'system', content: request.system });
+    }
+    messages.push(...request.messages);
+
+    const numCtx = parseInt(config.ollamaNumCtx, 10);
+
+    return {
+      url: this.getEndpoint(config),
+      init: {
+        method: 'POST',
+        headers: this.buildHeaders(config),
+        body: JSON.stringify({
+          model: this.getModel(config),
+          messages,
+          stream: !!request.stream,
+          // Ollama accepts a JSON schema as the output format
+          format: request.responseSchema && this.capabilities.structuredOutput ? request.responseSchema.schema : undefined,
+          keep_alive: this.getKeepAlive(config),
+          options: {
+            temperature: request.temperature,
+            top_p: 0.9,
+            top_k: 40,
+            num_ctx: numCtx > 0 ? numCtx : undefined,
+            ...this.parseModelOptions(config),
+          }
+        }),
+      },
+    };
+  }
+
+  parseResponse(data) {
+    if (!data.message || typeof data.message.content !== 'string') {
+      throw new Error(`Invalid response from ${this.label} API: missing message content`);
+    }
+    return {
+      text: data.message.content,
+      finishReason: data.done_reason,
+      usage: createUsage(data.prompt_eval_count, data.eval_count),
+    };
+  }
+
+  parseStreamChunk(payload) {
+    const data = JSON.parse(payload);
+    if (data.error) {
+      throw this.createError(`${this.label} API stream failed: ${data.error}`);
+    }
+    return {
+      text: data.message?.content || '',
+      finishReason: data.done_reason,
+      done: !!data.done,
+      usage: createUsage(data.prompt_eval_count, data.eval_count),
+    };
+  }
+
+  getConnectionHint(config) {
+    return `Make sure Ollama is running on ${this.getBaseUrl(config)}.`;
+  }
+
+  buildModelsRequest(config) {
+    return {
+      url: `${this.getBaseUrl(config)}/api/tags`,
+      headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {},
+    };
+  }
+
+  parseModels(data) {
+    return data.models ? data.models.map(m => ({ id: m.name, name: m.name })) : [];
+  }
+
+  hasModel(models, name) {
+    return isOllamaModelInstalled(name, models);
+  }
+
+  /**
+   * Describe the installed models: size, parameters, context length and whether they are loaded
+   * Combines /api/tags with /api/ps and /api/show; details that cannot be read are left out
+   * @param {Object} config - Provider configuration
+   * @returns {Promise<Array<Object>>} Models [{id, size, parameterSize, quantization, contextLength, loaded, expiresAt}]
+   */
+  async listModelDetails(config) {
+    const { url, headers } = this.buildModelsRequest(config);
+    const baseUrl = this.getBaseUrl(config);
+
+    let response;
+    try {
+      response = await fetch(url, { headers });
+    } catch (error) {
+      throw this.createError(`Failed to connect to ${this.label}: ${error.message}`, {
+        network: true,
+        hint: this.getConnectionHint(config)
+      });
+    }
+    if (!response.ok) {
+      throw this.createError(`HTTP ${response.status}: ${response.statusText}`, { status: response.status });
+    }
+    const installed = (await response.json()).models || [];
+
+    const running = await fetch(`${baseUrl}/api/ps`, { headers })
+      .then(psResponse => (psResponse.ok ? psResponse.json() : {}))
+      .then(data => data.models || [])
+      .catch(() => []);
+
+    return await Promise.all(installed.map(async model => {
+      const loaded = running.find(candidate => candidate.name === model.name);
+      const contextLength = loaded && loaded.context_length
+        ? loaded.context_length
+        : await fetch(`${baseUrl}/api/show`, {
+          method: 'POST',
+          headers: { ...headers, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ model: model.name })
+        })
+          .then(showResponse => (showResponse.ok ? showResponse.json() : {}))
+          .then(getOllamaContextLength)
+          .catch(() => null);
+
+      return {
+        id: model.name,
+        size: model.size,
+        parameterSize: model.details?.parameter_size,
+        quantization: model.details?.quantization_level,
+        contextLength,
+        loaded: !!loaded,
+        expiresAt: loaded ? loaded.expires_at : null
+      };
+    }));
+  }
+}
+
+/**
+ * Read the maximum context length from an /api/show response
+ * The key is prefixed with the model architecture, e.g. "llama.context_length"
+ * @param {Object} data - Parsed /api/show response
+ * @returns {number|null}
+ */
+function getOllamaContextLength(data) {
+  const info = (data && data.model_info) || {};
+  const key = Object.keys(info).find(name => name.endsWith('.context_length'));
+  return key ? info[key] : null;
+}
+
+/**
+ * Check whether a model name is among the installed Ollama models
+ * A name without a tag means the "latest" tag, as in the Ollama CLI
+ * @param {string} name - Model name from the profile
+ * @param {Array<Object>} models - Models from listModels or listModelDetails
+ * @returns {boolean}
+ */
+function isOllamaModelInstalled(name, models) {
+  const wanted = name.includes(':') ? name : `${name}:latest`;
+  return models.some(model => model.id === name || model.id === wanted);
+}
+
+/**
+ * Adapter for Google Gemini
+ */
+class GeminiAdapter extends BaseProviderAdapter {
+  getEndpoint(config, stream = false) {
+    const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    return `${this.defaults.endpoint}/${this.getModel(config)}:${method}key=${encodeURIComponent(config.apiKey)}`;
+  }
+
+  buildHeaders(config) {
+    return {
+      'Content-Type': 'application/json',
+    };
+  }
+
+  buildRequest(request, config) {
+    const generationConfig = {
+      temperature: request.temperature,
+      maxOutputTokens: request.maxTokens,
+    };
+
+    if (request.candidateCount > 1 && this.capabilities.multipleCandidates) {
+      generationConfig.candidateCount = request.candidateCount;
+    }
+
+    if (request.responseSchema && this.capabilities.structuredOutput) {
+      generationConfig.responseMimeType = 'application/json';
+      generationConfig.responseSchema = this.toGeminiSchema(request.responseSchema.schema);
+    }
+
+    const body = {
+      // Gemini calls the assistant role "model"
+      contents: request.messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      })),
+      generationConfig,
+    };
+
+    if (request.system) {
+      body.systemInstruction = { parts: [{ text: request.system }] };
+    }
+
+    return {
+      url: this.getEndpoint(config, request.stream),
+      init: {
+        method: 'POST',
+        headers: this.buildHeaders(config),
+        body: JSON.stringify(body),
+      },
+    };
+  }
+
+  /**
+   * Convert a JSON schema to Gemini's OpenAPI-style schema subset
+   * @param {Object} schema - JSON schema
+   * @returns {Object} Gemini schema
+   */
+  toGeminiSchema(schema) {
+    const converted = { type: schema.type.toUpperCase() };
+
+    if (schema.enum) {
+      converted.enum = schema.enum;
+    }
+    if (schema.items) {
+      converted.items = this.toGeminiSchema(schema.items);
+    }
+    if (schema.properties) {
+      converted.properties = {};
+      Object.entries(schema.properties).forEach(([key, value]) => {
+        converted.properties[key] = this.toGeminiSchema(value);
+      });
+      converted.required = schema.required || [];
+    }
+
+    return converted;
+  }
+
+  parseResponse(data) {
+    const part = data.candidates?.[0]?.content?.parts?.[0];
+    // Safety blocks come back as a response without text, for the prompt or the candidate
+    if (!part && (data.promptFeedback?.blockReason || data.candidates?.[0]?.finishReason === 'SAFETY')) {
+      throw this.createError(`${this.label} blocked this text for safety reasons`, { code: 'content_filtered' });
+    }
+    if (!part) {
+      throw new Error(`Invalid response structure from ${this.label} API`);
+    }
+    const result = { text: part.text || '', finishReason: data.candidates[0].finishReason, usage: this.parseUsage(data) };
+    if (data.candidates.length > 1) {
+      // Candidates blocked for safety come without content and are left out
+      result.candidates = data.candidates
+        .map(candidate => (candidate.content?.parts || []).map(candidatePart => candidatePart.text || '').join(''))
+        .filter(text => text);
+    }
+    return result;
+  }
+
+  parseUsage(data) {
+    const usage = data.usageMetadata;
+    return usage ? createUsage(usage.promptTokenCount, usage.candidatesTokenCount) : undefined;
+  }
+
+  parseStreamChunk(payload) {
+    const data = JSON.parse(payload);
+    if (data.error) {
+      throw this.createError(`${this.label} API stream failed: ${data.error.message || 'Unknown error'}`);
+    }
+
+    const candidate = data.candidates && data.candidates[0];
+    const parts = candidate?.content?.parts || [];
+    return {
+      text: parts.map(part => part.text || '').join(''),
+      finishReason: candidate?.finishReason,
+      usage: this.parseUsage(data),
+    };
+  }
+}
+
+/**
+ * Offline provider for testing without an API key or a live backend
+ * In canned mode it answers every prompt with a deterministic output derived from
+ * the selected text. In replay mode it serves responses saved while recording
+ * real providers, keyed by prompt id and request (see createMockRecordingKey).
+ */
+class MockAdapter extends BaseProviderAdapter {
+  /**
+   * Answer a completion request without any network access
+   * @param {Object} request - Completion request
+   * @param {Object} config - Provider configuration
+   * @param {Object} options - {signal, promptId, mockMode, mockRecordings, schedule}
+   * @returns {Promise<Object>} Completion result {text, finishReason, usage}
+   */
+  async complete(request, config, options = {}) {
+    return await runProviderAttempt(options, () => this.completeOnce(request, config, options));
+  }
+
+  /**
+   * Answer once; the mock has nothing to retry
+   * @param {Object} request - Completion request
+   * @param {Object} config - Provider configuration
+   * @param {Object} options - Same as complete
+   * @returns {Promise<Object>} Completion result {text, finishReason, usage}
+   */
+  async completeOnce(request, config, options = {}) {
+    throwIfMockAborted(options.signal);
+
+    if (options.mockMode === 'replay') {
+      const key = createMockRecordingKey(options.promptId, request);
+      const recording = (options.mockRecordings || {})[key];
+      if (!recording) {
+        throw this.createError(
+          `No recording for this "${options.promptId || 'unknown'}" request. Set the mock mode to "Record" and run it once against a real provider first.`,
+          { code: 'config' }
+        );
+      }
+      return { text: recording.text, finishReason: 'stop', usage: recording.usage };
+    }
+
+    return { text: createMockResponse(options.promptId, getMockSourceText(request)), finishReason: 'stop' };
+  }
+
+  /**
+   * Deliver the answer word by word, like a streaming provider
+   * @param {Object} request - Completion request
+   * @param {Object} config - Provider configuration
+   * @param {Function} onDelta - Called with (delta, textSoFar)
+   * @param {Object} options - Same as complete
+   * @returns {Promise<Object>} Completion result {text, finishReason, usage}
+   */
+  async stream(request, config, onDelta, options = {}) {
+    const result = await this.complete(request, config, options);
+    let text = '';
+
+    for (const delta of result.text.match(/\S+\s*/g) || []) {
+      await Promise.resolve();
+      throwIfMockAborted(options.signal);
+      text += delta;
+      onDelta(delta, text);
+    }
+
+    return result;
+  }
+}
+
+// Corrections the mock applies for "Fix spelling and grammar" and reports as inline issues
+const MOCK_CORRECTIONS = [
+  { pattern: /\bteh\b/gi, replacement: 'the', type: 'spelling', severity: 'error', message: 'Possible spelling mistake' },
+  { pattern: /\brecieve\b/gi, replacement: 'receive', type: 'spelling', severity: 'error', message: 'Possible spelling mistake' },
+  { pattern: /\bdefinately\b/gi, replacement: 'definitely', type: 'spelling', severity: 'error', message: 'Possible spelling mistake' },
+  { pattern: /\bseperate\b/gi, replacement: 'separate', type: 'spelling', severity: 'error', message: 'Possible spelling mistake' },
+  { pattern: /\balot\b/gi, replacement: 'a lot', type: 'spelling', severity: 'error', message: '"a lot" is written as two words' },
+  { pattern: /\bthis are\b/gi, replacement: 'this is', type: 'grammar', severity: 'error', message: 'Subject-verb disagreement' },
+  { pattern: /\bi\b/g, replacement: 'I', type: 'grammar', severity: 'error', message: 'The pronoun "I" is always capitalized' },
+  { pattern: / {2,}/g, replacement: ' ', type: 'style', severity: 'suggestion', message: 'Extra spaces between words' },
+  { pattern: /\bvery unique\b/gi, replacement: 'unique', type: 'clarity', severity: 'suggestion', message: '"Unique" does not need an intensifier' }
+];
+
+// Keep the capital of a corrected word at the start of a sentence
+function matchMockCase(original, replacement) {
+  return /^[A-Z]/.test(original) ? replacement.charAt(0).toUpperCase() + replacement.slice(1) : replacement;
+}
+
+/**
+ * Find the issues the mock reports for a text, with offsets into that text
+ * @param {string} text - Text being analyzed
+ * @returns {Array<Object>} Issues in the analyze_grammar response format, sorted by position
+ */
+function findMockIssues(text) {
+  const issues = [];
+
+  MOCK_CORRECTIONS.forEach(correction => {
+    for (const match of text.matchAll(correction.pattern)) {
+      issues.push({
+        type: correction.type,
+        severity: correction.severity,
+        startIndex: match.index,
+        endIndex: match.index + match[0].length,
+        message: correction.message,
+        suggestions: [matchMockCase(match[0], correction.replacement)]
+      });
+    }
+  });
+
+  return issues.sort((a, b) => a.startIndex - b.startIndex);
+}
+
+function applyMockCorrections(text) {
+  return MOCK_CORRECTIONS.reduce(
+    (result, correction) => result.replace(correction.pattern, match => matchMockCase(match, correction.replacement)),
+    text
+  );
+}
+
+function splitMockSentences(text) {
+  return (text.match(/[^.!?]+[.!?]*/g) || []).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+// Corrected text that starts with a capital and ends with a full stop
+function tidyMockText(text) {
+  const corrected = applyMockCorrections(text.trim());
+  const capitalized = corrected.charAt(0).toUpperCase() + corrected.slice(1);
+  return /[.!?]$/.test(capitalized) || !capitalized ? capitalized : `${capitalized}.`;
+}
+
+/**
+ * Canned output of the mock provider for a prompt
+ * Unknown and custom prompts echo the text with the prompt id so the output is still recognizable
+ * @param {string} promptId - Prompt id
+ * @param {string} text - Selected text the prompt runs on
+ * @returns {string}
+ */
+function createMockResponse(promptId, text) {
+  switch (promptId) {
+    case 'analyze_grammar':
+    case 'inline_check':
+      return JSON.stringify({ issues: findMockIssues(text) });
+    case 'fix_grammar':
+      return applyMockCorrections(text);
+    case 'improve_writing':
+      return tidyMockText(text);
+    case 'make_professional':
+      return `Dear colleague,\n\n${tidyMockText(text)}\n\nKind regards`;
+    case 'simplify':
+      return splitMockSentences(tidyMockText(text))
+        .map(sentence => sentence.split(/\s+/).slice(0, 12).join(' ').replace(/[^.!?]$/, '$&.'))
+        .join(' ');
+    case 'summarize':
+      return splitMockSentences(tidyMockText(text))[0] || '';
+    case 'expand':
+      return `${tidyMockText(text)} In more detail, this means the points above apply in everyday situations as well.`;
+    case 'bullet_points':
+      return splitMockSentences(tidyMockText(text)).map(sentence => `- ${sentence}`).join('\n');
+    default:
+      return `[Mock ${promptId || 'response'}] ${text}`;
+  }
+}
+
+/**
+ * Get the text a completion request works on
+ * Prompts are sent as "<instruction>\n\n<text>", so the text follows the first blank line.
+ * A follow-up revises the last assistant turn, whose own user turn is only an instruction.
+ * @param {Object} request - Completion request
+ * @returns {string}
+ */
+function getMockSourceText(request) {
+  const messages = request.messages || [];
+  const assistantMessages = messages.filter(message => message.role === 'assistant');
+  if (assistantMessages.length > 0) {
+    return assistantMessages[assistantMessages.length - 1].content;
+  }
+
+  const firstUserMessage = messages.find(message => message.role === 'user');
+  const content = firstUserMessage ? firstUserMessage.content : '';
+  const separator = content.indexOf('\n\n');
+  return separator === -1 ? content : content.slice(separator + 2);
+}
+
+// Recordings kept for replay; the oldest are dropped beyond this
+const MAX_MOCK_RECORDINGS = 200;
+
+/**
+ * Key a recording by prompt and request content, so a replay only matches the same input
+ * @param {string} promptId - Prompt id
+ * @param {Object} request - Completion request
+ * @returns {string}
+ */
+function createMockRecordingKey(promptId, request) {
+  const content = JSON.stringify([request.system || '', (request.messages || []).map(m => [m.role, m.content])]);
+
+  // 32-bit FNV-1a hash; recordings only need to tell requests apart, not resist collisions
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < content.length; i++) {
+    hash ^= content.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return `${promptId || 'unknown'}:${hash.toString(36)}:${content.length}`;
+}
+
+/**
+ * Add a recording of a real provider response
+ * @param {Object} recordings - Stored recordings keyed by createMockRecordingKey
+ * @param {Object} recording - {key, promptId, provider, model, text, usage}
+ * @param {Date} date - Recording time
+ * @returns {Object} Updated recordings
+ */
+function addMockRecording(recordings, recording, date = new Date()) {
+  const { key, ...details } = recording;
+  const updated = { ...recordings, [key]: { ...details, recordedAt: date.toISOString() } };
+
+  const keys = Object.keys(updated);
+  if (keys.length > MAX_MOCK_RECORDINGS) {
+    keys
+      .sort((a, b) => updated[a].recordedAt.localeCompare(updated[b].recordedAt))
+      .slice(0, keys.length - MAX_MOCK_RECORDINGS)
+      .forEach(oldKey => delete updated[oldKey]);
+  }
+
+  return updated;
+}
+
+function throwIfMockAborted(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('Request cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+/**
+ * Registry of provider adapters keyed by provider id
+ */
+class ProviderRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Register an adapter, replacing any adapter with the same id
+   * @param {BaseProviderAdapter} adapter - Adapter to register
+   * @returns {BaseProviderAdapter} The registered adapter
+   */
+  register(adapter) {
+    if (!adapter || !adapter.id) {
+      throw new Error('Provider adapter must have an id');
+    }
+    this.adapters.set(adapter.id, adapter);
+    return adapter;
+  }
+
+  /**
+   * Check whether a provider is registered
+   * @param {string} id - Provider id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.adapters.has(id);
+  }
+
+  /**
+   * Get the adapter for a provider
+   * @param {string} id - Provider id
+   * @returns {BaseProviderAdapter}
+   */
+  get(id) {
+    const adapter = this.adapters.get(id);
+    if (!adapter) {
+      throw createProviderError('Invalid LLM provider selected', { code: 'config' });
+    }
+    return adapter;
+  }
+
+  /**
+   * List registered adapters in registration order
+   * @returns {Array<BaseProviderAdapter>}
+   */
+  list() {
+    return Array.from(this.adapters.values());
+  }
+}
+
+/**
+ * Create a registry with the built-in providers
+ * @returns {ProviderRegistry}
+ */
+function createDefaultProviderRegistry() {
+  const registry = new ProviderRegistry();
+
+  registry.register(new GeminiAdapter({
+    id: 'gemini',
+    label: 'Gemini',
+    defaults: {
+      endpoint: 'https://generativelanguage.googleapis.com/v1beta/models',
+      model: 'gemini-2.5-flash',
+      rateLimits: { requestsPerMinute: 10 },
+    },
+    capabilities: { requiresApiKey: true, customEndpoint: false, streaming: true, structuredOutput: true, multipleCandidates: true },
+    ui: {
+      apiKeyLabel: 'Gemini API Key:',
+      apiKeyPlaceholder: 'AIza...',
+      apiKeyHelp: 'Get your API key from https://aistudio.google.com/app/apikey',
+      modelPlaceholder: 'gemini-2.5-flash, gemini-1.5-pro, gemini-1.5-flash, etc.',
+      modelHelp: 'Common models: gemini-2.5-flash, gemini-1.5-pro, gemini-1.5-flash',
+    },
+  }));
+
+  registry.register(new OpenAICompatibleAdapter({
+    id: 'openai',
+    label: 'OpenAI',
+    defaults: {
+      endpoint: 'https://api.openai.com/v1/chat/completions',
+      model: 'gpt-3.5-turbo',
+    },
+    capabilities: { requiresApiKey: true, listModels: true, streaming: true, streamUsage: true, structuredOutput: 'json_schema', multipleCandidates: true },
+    ui: {
+      apiKeyLabel: 'OpenAI API Key:',
+      apiKeyPlaceholder: 'sk-...',
+      apiKeyHelp: 'Get your API key from https://platform.openai.com/api-keys',
+      modelPlaceholder: 'gpt-3.5-turbo, gpt-4, gpt-4-turbo, etc.',
+      modelHelp: 'Common models: gpt-3.5-turbo, gpt-4, gpt-4-turbo',
+      endpointPlaceholder: 'https://api.openai.com/v1/chat/completions (default)',
+      endpointHelp: 'Leave empty to use default OpenAI endpoint',
+    },
+  }));
+
+  registry.register(new AnthropicAdapter({
+    id: 'anthropic',
+    label: 'Anthropic',
+    defaults: {
+      endpoint: 'https://api.anthropic.com/v1/messages',
+      model: 'claude-3-5-haiku-latest',
+      apiVersion: '2023-06-01',
+    },
+    capabilities: { requiresApiKey: true, listModels: true, streaming: true, structuredOutput: true },
+    ui: {
+      apiKeyLabel: 'Anthropic API Key:',
+      apiKeyPlaceholder: 'sk-ant-...',
+      apiKeyHelp: 'Get your API key from https://console.anthropic.com/',
+      modelPlaceholder: 'claude-3-5-haiku-latest, claude-3-7-sonnet-latest, etc.',
+      modelHelp: 'Common models: claude-3-5-haiku-latest, claude-3-7-sonnet-latest, claude-sonnet-4-0',
+      endpointPlaceholder: 'https://api.anthropic.com/v1/messages (default)',
+      endpointHelp: 'Leave empty to use default Anthropic endpoint',
+    },
+  }));
+
+  registry.register(new OllamaAdapter({
+    id: 'ollama',
+    label: 'Ollama',
+    defaults: {
+      endpoint: 'http://localhost:11434/api/chat',
+      // Local servers answer one request at a time and have no rate limit
+      rateLimits: { requestsPerMinute: 0, concurrency: 1 },
+    },
+    capabilities: { requiresModel: true, listModels: true, streaming: true, structuredOutput: true, ollamaSettings: true },
+    ui: {
+      optionLabel: 'Ollama (Local)',
+      apiKeyLabel: 'API Key (Optional):',
+      apiKeyPlaceholder: 'Leave empty for local Ollama',
+      apiKeyHelp: 'Ollama typically runs without API keys. Only needed for remote instances.',
+      modelPlaceholder: 'llama2, llama3, mistral, codellama, etc.',
+      modelHelp: 'Use "ollama list" to see available models on your system',
+      endpointPlaceholder: 'http://localhost:11434/api/chat (default)',
+      endpointHelp: 'Default: http://localhost:11434/api/chat. Make sure Ollama is running.',
+    },
+  }));
+
+  registry.register(new LMStudioAdapter({
+    id: 'lmstudio',
+    label: 'LM Studio',
+    defaults: {
+      endpoint: 'http://localhost:1234/v1/chat/completions',
+      rateLimits: { requestsPerMinute: 0, concurrency: 1 },
+    },
+    capabilities: { requiresModel: true, listModels: true, streaming: true, structuredOutput: 'json_schema' },
+    ui: {
+      optionLabel: 'LM Studio (Local)',
+      apiKeyLabel: 'API Key (Optional):',
+      apiKeyPlaceholder: 'Leave empty for local LM Studio',
+      apiKeyHelp: 'LM Studio typically runs without API keys for local use.',
+      modelPlaceholder: 'Model name as shown in LM Studio',
+      modelHelp: 'Use the exact model name from your LM Studio models list',
+      endpointPlaceholder: 'http://localhost:1234/v1/chat/completions (default)',
+      endpointHelp: 'Default: http://localhost:1234/v1/chat/completions. Ensure LM Studio server is running.',
+    },
+  }));
+
+  registry.register(new OpenAICompatibleAdapter({
+    id: 'groq',
+    label: 'Groq',
+    defaults: {
+      endpoint: 'https://api.groq.com/openai/v1/chat/completions',
+      rateLimits: { requestsPerMinute: 30, tokensPerMinute: 6000 },
+    },
+    capabilities: { requiresApiKey: true, requiresModel: true, listModels: true, streaming: true, structuredOutput: 'json_object' },
+    ui: {
+      apiKeyLabel: 'Groq API Key:',
+      apiKeyPlaceholder: 'gsk_...',
+      apiKeyHelp: 'Get your API key from https://console.groq.com/keys',
+      modelPlaceholder: 'llama3-8b-8192, llama3-70b-8192, mixtral-8x7b-32768, etc.',
+      modelHelp: 'Common models: llama3-8b-8192, llama3-70b-8192, mixtral-8x7b-32768',
+      endpointPlaceholder: 'https://api.groq.com/openai/v1/chat/completions (default)',
+      endpointHelp: 'Leave empty to use default Groq endpoint',
+    },
+  }));
+
+  registry.register(new OpenRouterAdapter({
+    id: 'openrouter',
+    label: 'OpenRouter',
+    defaults: {
+      endpoint: 'https://openrouter.ai/api/v1/chat/completions',
+      model: 'openai/gpt-3.5-turbo',
+    },
+    capabilities: { requiresApiKey: true, listModels: true, streaming: true, structuredOutput: 'json_schema' },
+    ui: {
+      apiKeyLabel: 'OpenRouter API Key:',
+      apiKeyPlaceholder: 'sk-or-...',
+      apiKeyHelp: 'Get your API key from https://openrouter.ai/keys',
+      modelPlaceholder: 'openai/gpt-3.5-turbo, anthropic/claude-3-haiku, etc.',
+      modelHelp: 'Format: provider/model-name (e.g., openai/gpt-4, anthropic/claude-3-sonnet)',
+      endpointPlaceholder: 'https://openrouter.ai/api/v1/chat/completions (default)',
+      endpointHelp: 'Leave empty to use default OpenRouter endpoint',
+    },
+  }));
+
+  registry.register(new AzureOpenAIAdapter({
+    id: 'azure',
+    label: 'Azure OpenAI',
+    defaults: {
+      apiVersion: '2024-10-21',
+      deploymentsApiVersion: '2022-12-01',
+    },
+    capabilities: {
+      requiresApiKey: true,
+      customEndpoint: false,
+      listModels: true,
+      streaming: true,
+      streamUsage: true,
+      structuredOutput: 'json_schema',
+      multipleCandidates: true,
+      azureSettings: true
+    },
+    ui: {
+      apiKeyLabel: 'Azure OpenAI API Key:',
+      apiKeyPlaceholder: 'Key 1 or Key 2 of the resource',
+      apiKeyHelp: 'Find the keys under "Keys and Endpoint" of your Azure OpenAI resource',
+      modelLabel: 'Deployment:',
+      modelPlaceholder: 'Deployment name, e.g. gpt-4o-mini',
+      modelHelp: 'The name you gave the deployment, not the model name. Fetch Models lists the deployments of the resource.',
+    },
+  }));
+
+  registry.register(new CustomOpenAIAdapter({
+    id: 'custom_openai',
+    label: 'Custom OpenAI-compatible',
+    // Servers differ in which response_format values they accept, so structured output stays off
+    capabilities: { requiresModel: true, listModels: true, streaming: true, customHeaders: true },
+    ui: {
+      apiKeyLabel: 'API Key (Optional):',
+      apiKeyPlaceholder: 'Sent in the auth header below',
+      apiKeyHelp: 'Leave empty if your server does not need a key or you set auth in the extra headers.',
+      modelPlaceholder: 'Model name as your server expects it',
+      modelHelp: 'Use Fetch Models to list the models your server offers',
+      endpointLabel: 'API Endpoint (base URL):',
+      endpointPlaceholder: 'https://gateway.example.com/v1',
+      endpointHelp: 'Requests go to <base URL>/chat/completions.',
+    },
+  }));
+
+  registry.register(new MockAdapter({
+    id: 'mock',
+    label: 'Mock',
+    defaults: {
+      model: 'mock',
+      rateLimits: { requestsPerMinute: 0, concurrency: 4 },
+    },
+    capabilities: { customEndpoint: false, streaming: true, structuredOutput: true },
+    ui: {
+      optionLabel: 'Mock (offline testing)',
+      apiKeyLabel: 'API Key (not used):',
+      apiKeyPlaceholder: 'Not needed for the mock provider',
+      apiKeyHelp: 'Answers with canned outputs, or replays recorded responses. See "Offline testing" below.',
+      modelPlaceholder: 'mock',
+      modelHelp: 'Any name; it is only used to label usage.',
+    },
+  }));
+
+  return registry;
+}
+
+const providerRegistry = createDefaultProviderRegistry();
+
+// Export classes
+if (typeof window !== 'undefined') {
+  window.BaseProviderAdapter = BaseProviderAdapter;
+  window.OpenAICompatibleAdapter = OpenAICompatibleAdapter;
+  window.LMStudioAdapter = LMStudioAdapter;
+  window.OpenRouterAdapter = OpenRouterAdapter;
+  window.AnthropicAdapter = AnthropicAdapter;
+  window.OllamaAdapter = OllamaAdapter;
+  window.GeminiAdapter = GeminiAdapter;
+  window.CustomOpenAIAdapter = CustomOpenAIAdapter;
+  window.AzureOpenAIAdapter = AzureOpenAIAdapter;
+  window.MockAdapter = MockAdapter;
+  window.ProviderRegistry = ProviderRegistry;
+  window.ProviderError = ProviderError;
+  window.isOllamaModelInstalled = isOllamaModelInstalled;
+  window.providerRegistry = providerRegistry;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BaseProviderAdapter,
+    OpenAICompatibleAdapter,
+    LMStudioAdapter,
+    OpenRouterAdapter,
+    AnthropicAdapter,
+    OllamaAdapter,
+    GeminiAdapter,
+    CustomOpenAIAdapter,
+    AzureOpenAIAdapter,
+    MockAdapter,
+    ProviderRegistry,
+    createDefaultProviderRegistry,
+    ProviderError,
+    PROVIDER_ERROR_CODES,
+    createProviderError,
+    toProviderError,
+    serializeProviderError,
+    createRequestDeadline,
+    isProviderFailoverError,
+    isProviderRetryableError,
+    withProviderRetry,
+    splitStreamBuffer,
+    parseHeaderLines,
+    appendQueryParams,
+    isOllamaModelInstalled,
+    createMockResponse,
+    createMockRecordingKey,
+    addMockRecording,
+    findMockIssues,
+    providerRegistry
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Named LLM profiles
+ * A profile bundles the provider settings (provider, key, model, endpoint,
+ * the headers and query parameters of custom OpenAI-compatible gateways,
+ * the resource of Azure OpenAI and the model options of Ollama)
+ * so different prompts can run against different backends
+ */
+
+const DEFAULT_PROFILE_ID = 'default';
+
+const PROFILE_DEFAULTS = {
+  llmProvider: 'gemini',
+  apiKey: '',
+  llmModel: 'gemini-2.5-flash',
+  customEndpoint: '',
+  // Request settings of the custom OpenAI-compatible provider
+  authHeaderName: 'Authorization',
+  authHeaderPrefix: 'Bearer',
+  extraHeaders: '',
+  queryParams: '',
+  modelsPath: '/models',
+  // Azure OpenAI resource and API version; the deployment is stored as the model
+  azureResource: '',
+  azureApiVersion: '',
+  // Ollama keep-alive duration, context length and extra model options as JSON
+  ollamaKeepAlive: '',
+  ollamaNumCtx: '',
+  ollamaOptions: ''
+};
+
+/**
+ * Create a profile, filling in missing fields
+ * @param {Object} overrides - Profile fields
+ * @returns {Object} Profile {id, name, llmProvider, apiKey, llmModel, customEndpoint}
+ */
+function createProviderProfile(overrides = {}) {
+  return {
+    ...PROFILE_DEFAULTS,
+    ...overrides,
+    id: overrides.id || `profile_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`,
+    name: overrides.name || 'New profile'
+  };
+}
+
+/**
+ * Read profiles from stored settings
+ * Settings saved before profiles existed become a single "Default" profile
+ * @param {Object} items - Values from storage
+ * @returns {Object} {profiles, defaultProfileId, promptProfiles}
+ */
+function normalizeProviderProfiles(items = {}) {
+  let profiles = Array.isArray(items.llmProfiles)
+    ? items.llmProfiles.filter(profile => profile && profile.id).map(profile => createProviderProfile(profile))
+    : [];
+
+  if (profiles.length === 0) {
+    profiles = [createProviderProfile({
+      id: DEFAULT_PROFILE_ID,
+      name: 'Default',
+      llmProvider: items.llmProvider || PROFILE_DEFAULTS.llmProvider,
+      apiKey: items.apiKey || '',
+      llmModel: items.llmModel !== undefined ? items.llmModel : PROFILE_DEFAULTS.llmModel,
+      customEndpoint: items.customEndpoint || ''
+    })];
+  }
+
+  const defaultProfileId = profiles.some(profile => profile.id === items.defaultProfileId)
+    ? items.defaultProfileId
+    : profiles[0].id;
+
+  return {
+    profiles,
+    defaultProfileId,
+    promptProfiles: items.promptProfiles || {}
+  };
+}
+
+/**
+ * Pick the profile a prompt should run with
+ * @param {Object} items - Values from storage
+ * @param {string} promptId - Prompt id, or empty for the default profile
+ * @returns {Object} Profile
+ */
+function resolveProviderProfile(items, promptId) {
+  const { profiles, defaultProfileId, promptProfiles } = normalizeProviderProfiles(items);
+  const assignedId = promptId ? promptProfiles[promptId] : null;
+
+  return profiles.find(profile => profile.id === assignedId)
+    || profiles.find(profile => profile.id === defaultProfileId);
+}
+
+/**
+ * List the profiles to try for a prompt: its own profile first,
+ * then the configured fallback profiles in order
+ * @param {Object} items - Values from storage
+ * @param {string} promptId - Prompt id, or empty for the default profile
+ * @returns {Array<Object>} Profiles
+ */
+function resolveProviderChain(items, promptId) {
+  const { profiles } = normalizeProviderProfiles(items);
+  const chain = [resolveProviderProfile(items, promptId)];
+
+  (items.fallbackProfileIds || []).forEach(id => {
+    const profile = profiles.find(candidate => candidate.id === id);
+    if (profile && !chain.some(existing => existing.id === profile.id)) {
+      chain.push(profile);
+    }
+  });
+
+  return chain;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.createProviderProfile = createProviderProfile;
+  window.normalizeProviderProfiles = normalizeProviderProfiles;
+  window.resolveProviderProfile = resolveProviderProfile;
+  window.resolveProviderChain = resolveProviderChain;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_PROFILE_ID,
+    createProviderProfile,
+    normalizeProviderProfiles,
+    resolveProviderProfile,
+    resolveProviderChain
+  };
+}
@@ -0,0 +1,250 @@
+/**
+ * Token-bucket request scheduler shared by every LLM call in the background script
+ * Each provider gets its own request and token buckets and a concurrency cap.
+ * High-priority work (context-menu actions) always runs before low-priority
+ * work (inline analysis), which also leaves one slot free for it. A provider limited
+ * to one request at a time gets a second slot for high-priority work instead, so an
+ * explicit request never waits for an analysis that is already running.
+ */
+
+const SCHEDULER_PRIORITIES = ['high', 'low'];
+
+const DEFAULT_RATE_LIMITS = {
+  requestsPerMinute: 10,
+  tokensPerMinute: 0,
+  concurrency: 2
+};
+
+class RequestScheduler {
+  /**
+   * @param {Object} options - {limits: {providerId: limits}, now}
+   */
+  constructor(options = {}) {
+    this.limits = options.limits || {};
+    this.now = options.now || (() => Date.now());
+    this.providers = new Map();
+  }
+
+  /**
+   * Replace the limits of every provider; waiting work is re-checked against them
+   * @param {Object} limits - {providerId: {requestsPerMinute, tokensPerMinute, concurrency}}
+   */
+  configure(limits = {}) {
+    this.limits = limits;
+    this.providers.forEach((state, providerId) => {
+      state.limits = this.getLimits(providerId);
+      this.drain(providerId);
+    });
+  }
+
+  /**
+   * Get the effective limits of a provider
+   * A limit of 0 means unlimited, except concurrency which is at least 1
+   * @param {string} providerId - Provider id
+   * @returns {Object} {requestsPerMinute, tokensPerMinute, concurrency}
+   */
+  getLimits(providerId) {
+    const limits = { ...DEFAULT_RATE_LIMITS, ...this.limits[providerId] };
+    return {
+      requestsPerMinute: Math.max(0, Number(limits.requestsPerMinute) || 0),
+      tokensPerMinute: Math.max(0, Number(limits.tokensPerMinute) || 0),
+      concurrency: Math.max(1, Number(limits.concurrency) || 1)
+    };
+  }
+
+  /**
+   * Run a task once the provider has capacity for it
+   * @param {string} providerId - Provider the task calls
+   * @param {Function} task - Returns a promise
+   * @param {Object} options - {priority: 'high'|'low', tokens, signal}
+   * @returns {Promise<*>} Result of the task
+   */
+  schedule(providerId, task, options = {}) {
+    const priority = SCHEDULER_PRIORITIES.includes(options.priority) ? options.priority : 'low';
+    const state = this.getState(providerId);
+
+    return new Promise((resolve, reject) => {
+      const signal = options.signal;
+      if (signal && signal.aborted) {
+        reject(createSchedulerAbortError());
+        return;
+      }
+
+      const item = { task, priority, tokens: Math.max(0, options.tokens || 0), resolve, reject };
+
+      // Work that is still queued when it is cancelled is dropped without using any capacity
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          const queue = state.queues[priority];
+          const index = queue.indexOf(item);
+          if (index !== -1) {
+            queue.splice(index, 1);
+            reject(createSchedulerAbortError());
+          }
+        }, { once: true });
+      }
+
+      state.queues[priority].push(item);
+      this.drain(providerId);
+    });
+  }
+
+  /**
+   * Describe the queue of a provider
+   * @param {string} providerId - Provider id
+   * @returns {Object} {active, high, low}
+   */
+  getStats(providerId) {
+    const state = this.getState(providerId);
+    return { active: state.active, high: state.queues.high.length, low: state.queues.low.length };
+  }
+
+  getState(providerId) {
+    if (!this.providers.has(providerId)) {
+      const limits = this.getLimits(providerId);
+      this.providers.set(providerId, {
+        limits,
+        active: 0,
+        activeHigh: 0,
+        timer: null,
+        queues: { high: [], low: [] },
+        requestBucket: { level: limits.requestsPerMinute, updatedAt: this.now() },
+        tokenBucket: { level: limits.tokensPerMinute, updatedAt: this.now() }
+      });
+    }
+    return this.providers.get(providerId);
+  }
+
+  /**
+   * Start as much queued work as the provider's limits allow
+   * @param {string} providerId - Provider id
+   */
+  drain(providerId) {
+    const state = this.getState(providerId);
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+
+    while (true) {
+      const priority = this.pickLane(state);
+      if (!priority) {
+        return;
+      }
+
+      const item = state.queues[priority][0];
+      const wait = this.getWaitTime(state, item.tokens);
+      if (wait > 0) {
+        state.timer = setTimeout(() => this.drain(providerId), wait);
+        return;
+      }
+
+      state.queues[priority].shift();
+      this.consume(state, item.tokens);
+      this.run(providerId, state, item);
+    }
+  }
+
+  /**
+   * Pick the lane whose next item may start now
+   * @param {Object} state - Provider state
+   * @returns {string|null} Priority, or null if nothing can start
+   */
+  pickLane(state) {
+    const { concurrency } = state.limits;
+
+    // Inline analysis leaves one slot free so an explicit request never waits on typing;
+    // with a concurrency of 1 that slot comes on top of the limit
+    const lowConcurrency = concurrency > 1 ? concurrency - 1 : 1;
+    if (state.queues.high.length > 0 && state.activeHigh < concurrency && state.active < lowConcurrency + 1) {
+      return 'high';
+    }
+
+    if (state.queues.high.length === 0 && state.queues.low.length > 0 && state.active < lowConcurrency) {
+      return 'low';
+    }
+
+    return null;
+  }
+
+  /**
+   * Time until both buckets hold enough for a request
+   * @param {Object} state - Provider state
+   * @param {number} tokens - Tokens the request needs
+   * @returns {number} Milliseconds to wait, 0 if it can start now
+   */
+  getWaitTime(state, tokens) {
+    const { requestsPerMinute, tokensPerMinute } = state.limits;
+    let wait = 0;
+
+    if (requestsPerMinute > 0) {
+      const level = this.refill(state.requestBucket, requestsPerMinute);
+      wait = Math.max(wait, level >= 1 ? 0 : Math.ceil((1 - level) * 60000 / requestsPerMinute));
+    }
+
+    if (tokensPerMinute > 0) {
+      // A request larger than the whole bucket waits for a full bucket instead of forever
+      const needed = Math.min(tokens, tokensPerMinute);
+      const level = this.refill(state.tokenBucket, tokensPerMinute);
+      wait = Math.max(wait, level >= needed ? 0 : Math.ceil((needed - level) * 60000 / tokensPerMinute));
+    }
+
+    return wait;
+  }
+
+  consume(state, tokens) {
+    if (state.limits.requestsPerMinute > 0) {
+      state.requestBucket.level -= 1;
+    }
+    if (state.limits.tokensPerMinute > 0) {
+      state.tokenBucket.level -= Math.min(tokens, state.limits.tokensPerMinute);
+    }
+  }
+
+  /**
+   * Top a bucket up for the time since it was last updated
+   * @param {Object} bucket - {level, updatedAt}
+   * @param {number} perMinute - Bucket capacity and refill rate
+   * @returns {number} Current level
+   */
+  refill(bucket, perMinute) {
+    const now = this.now();
+    bucket.level = Math.min(perMinute, bucket.level + (now - bucket.updatedAt) * perMinute / 60000);
+    bucket.updatedAt = now;
+    return bucket.level;
+  }
+
+  run(providerId, state, item) {
+    const high = item.priority === 'high';
+    state.active++;
+    if (high) state.activeHigh++;
+
+    Promise.resolve()
+      .then(() => item.task())
+      .then(item.resolve, item.reject)
+      .finally(() => {
+        state.active--;
+        if (high) state.activeHigh--;
+        this.drain(providerId);
+      });
+  }
+}
+
+function createSchedulerAbortError() {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.RequestScheduler = RequestScheduler;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RequestScheduler,
+    DEFAULT_RATE_LIMITS
+  };
+}
@@ -0,0 +1,304 @@
+/**
+ * Token usage, cost accounting and usage budgets
+ * Every completed provider call becomes a usage record, which is added to
+ * running totals per provider/model, per prompt and per day. Totals keep
+ * tokens rather than money so cost can be recalculated when prices change.
+ */
+
+// Days of per-day totals kept in storage
+const USAGE_HISTORY_DAYS = 90;
+
+// USD per million tokens, keyed by model id; editable on the options page
+const DEFAULT_MODEL_PRICES = {
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+  'claude-3-7-sonnet-latest': { input: 3, output: 15 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 }
+};
+
+/**
+ * Rough token count for budgeting, about four characters per token
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Estimate the prompt tokens of a completion request
+ * @param {Object} request - Completion request {system, messages}
+ * @returns {number} Estimated tokens
+ */
+function estimatePromptTokens(request) {
+  return estimateTokens([request.system, ...(request.messages || []).map(message => message.content)].join('\n'));
+}
+
+/**
+ * Estimate the tokens a completion request will use: its prompt plus the output allowance
+ * @param {Object} request - Completion request {system, messages, maxTokens}
+ * @returns {number} Estimated tokens
+ */
+function estimateRequestTokens(request) {
+  return estimatePromptTokens(request) + (request.maxTokens || 0);
+}
+
+function createEmptyUsageTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, estimatedRequests: 0 };
+}
+
+function createEmptyUsageStats() {
+  return { since: new Date().toISOString(), models: {}, prompts: {}, days: {} };
+}
+
+/**
+ * Turn a finished call into a usage record, estimating counts the provider did not report
+ * @param {Object} details - {provider, model, promptId, request, result, date}
+ * @returns {Object} Record {provider, model, promptId, day, promptTokens, completionTokens, estimated}
+ */
+function createUsageRecord({ provider, model, promptId, request, result, date = new Date() }) {
+  const usage = (result && result.usage) || {};
+  const estimated = typeof usage.promptTokens !== 'number' || typeof usage.completionTokens !== 'number';
+
+  return {
+    provider,
+    model: model || 'default',
+    promptId: promptId || 'unknown',
+    day: formatUsageDay(date),
+    promptTokens: typeof usage.promptTokens === 'number' ? usage.promptTokens : estimatePromptTokens(request),
+    completionTokens: typeof usage.completionTokens === 'number'
+      ? usage.completionTokens
+      : estimateTokens(result && result.text),
+    estimated
+  };
+}
+
+/**
+ * Local calendar day of a date, as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function formatUsageDay(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Add up day totals, optionally for one provider or one prompt
+ * @param {Object} stats - Stored stats
+ * @param {Array<string>} days - Days to include, as YYYY-MM-DD
+ * @param {Object} filter - {provider} or {promptId}, or empty for everything
+ * @param {Object} prices - Price table for the cost
+ * @returns {Object} {requests, tokens, cost}
+ */
+function sumUsage(stats, days, filter = {}, prices = {}) {
+  const models = {};
+
+  days.forEach(day => {
+    const entry = stats && stats.days ? stats.days[day] : null;
+    if (!entry) {
+      return;
+    }
+
+    const dayModels = filter.promptId ? (entry.prompts || {})[filter.promptId] || {} : entry.models;
+    Object.entries(dayModels).forEach(([key, totals]) => {
+      const model = stats.models[key];
+      if (filter.provider && (!model || model.provider !== filter.provider)) {
+        return;
+      }
+      const sum = models[key] || (models[key] = createEmptyUsageTotals());
+      sum.requests += totals.requests;
+      sum.promptTokens += totals.promptTokens;
+      sum.completionTokens += totals.completionTokens;
+    });
+  });
+
+  const totals = Object.values(models);
+  return {
+    requests: totals.reduce((sum, entry) => sum + entry.requests, 0),
+    tokens: totals.reduce((sum, entry) => sum + entry.promptTokens + entry.completionTokens, 0),
+    cost: calculateUsageCost(stats, { models }, prices).cost
+  };
+}
+
+function getUsageModelKey(provider, model) {
+  return `${provider}:${model}`;
+}
+
+function addToUsageTotals(totals, record) {
+  totals.requests += 1;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  if (record.estimated) {
+    totals.estimatedRequests += 1;
+  }
+}
+
+/**
+ * Add a usage record to stored totals
+ * Prompt and day totals also keep a per-model breakdown so they can be priced,
+ * and day totals a per-prompt one so budgets can be checked for a single prompt
+ * @param {Object} stats - Stored stats, or undefined for none yet
+ * @param {Object} record - Record from createUsageRecord
+ * @returns {Object} Updated stats
+ */
+function addUsageRecord(stats, record) {
+  const updated = stats && stats.models ? stats : createEmptyUsageStats();
+  const modelKey = getUsageModelKey(record.provider, record.model);
+
+  const modelTotals = updated.models[modelKey]
+    || (updated.models[modelKey] = { provider: record.provider, model: record.model, ...createEmptyUsageTotals() });
+  addToUsageTotals(modelTotals, record);
+
+  [[updated.prompts, record.promptId], [updated.days, record.day]].forEach(([group, key]) => {
+    const totals = group[key] || (group[key] = { ...createEmptyUsageTotals(), models: {} });
+    addToUsageTotals(totals, record);
+    addToUsageTotals(totals.models[modelKey] || (totals.models[modelKey] = createEmptyUsageTotals()), record);
+  });
+
+  const dayPrompts = updated.days[record.day].prompts || (updated.days[record.day].prompts = {});
+  const promptModels = dayPrompts[record.promptId] || (dayPrompts[record.promptId] = {});
+  addToUsageTotals(promptModels[modelKey] || (promptModels[modelKey] = createEmptyUsageTotals()), record);
+
+  pruneUsageDays(updated, record.day);
+  return updated;
+}
+
+function pruneUsageDays(stats, today) {
+  const cutoff = new Date(`${today}T00:00:00`);
+  cutoff.setDate(cutoff.getDate() - USAGE_HISTORY_DAYS);
+  const oldest = formatUsageDay(cutoff);
+
+  Object.keys(stats.days).forEach(day => {
+    if (day < oldest) {
+      delete stats.days[day];
+    }
+  });
+}
+
+/**
+ * Estimate the cost of a totals entry with the current price table
+ * @param {Object} stats - Stored stats
+ * @param {Object} entry - A model, prompt or day entry from stats
+ * @param {Object} prices - {modelId: {input, output}} in USD per million tokens
+ * @returns {Object} {cost, unpriced} where unpriced tells whether some models had no price
+ */
+function calculateUsageCost(stats, entry, prices) {
+  const parts = entry.models
+    ? Object.entries(entry.models).map(([key, totals]) => [stats.models[key] ? stats.models[key].model : '', totals])
+    : [[entry.model, entry]];
+
+  return parts.reduce((result, [model, totals]) => {
+    const price = prices[model];
+    if (!price) {
+      return { cost: result.cost, unpriced: result.unpriced || totals.requests > 0 };
+    }
+
+    const cost = (totals.promptTokens * (Number(price.input) || 0) + totals.completionTokens * (Number(price.output) || 0)) / 1000000;
+    return { cost: result.cost + cost, unpriced: result.unpriced };
+  }, { cost: 0, unpriced: false });
+}
+
+// Budgets cap requests, tokens or estimated cost per day or month, for one provider
+// or for the inline checker
+const BUDGET_PERIODS = ['daily', 'monthly'];
+const BUDGET_METRICS = ['requests', 'tokens', 'cost'];
+
+// Usage id of the automatic inline checks, kept apart from the analyze_grammar prompt
+// so explicit context-menu runs neither use up nor are blocked by the inline budget
+const INLINE_BUDGET_PROMPT_ID = 'inline_check';
+
+/**
+ * List the days a budget period covers up to and including today
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {Date} date - Today
+ * @returns {Array<string>} Days as YYYY-MM-DD
+ */
+function getBudgetDays(period, date) {
+  if (period === 'daily') {
+    return [formatUsageDay(date)];
+  }
+
+  const days = [];
+  for (let day = 1; day <= date.getDate(); day++) {
+    days.push(formatUsageDay(new Date(date.getFullYear(), date.getMonth(), day)));
+  }
+  return days;
+}
+
+/**
+ * Find the first budget limit that current usage has reached
+ * Empty or zero limits are not enforced
+ * @param {Object} stats - Stored usage stats
+ * @param {Object} budget - {daily: {requests, tokens, cost}, monthly: {...}}
+ * @param {Object} filter - {provider} or {promptId}
+ * @param {Object} prices - Price table for cost limits
+ * @param {Date} date - Today
+ * @returns {Object|null} {period, metric, limit, used}, or null if within budget
+ */
+function findExceededBudget(stats, budget, filter, prices = {}, date = new Date()) {
+  if (!budget || !stats) {
+    return null;
+  }
+
+  for (const period of BUDGET_PERIODS) {
+    const limits = budget[period] || {};
+    const activeMetrics = BUDGET_METRICS.filter(metric => Number(limits[metric]) > 0);
+    if (activeMetrics.length === 0) {
+      continue;
+    }
+
+    const used = sumUsage(stats, getBudgetDays(period, date), filter, prices);
+    const metric = activeMetrics.find(name => used[name] >= Number(limits[name]));
+    if (metric) {
+      return { period, metric, limit: Number(limits[metric]), used: used[metric] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe a reached budget for notifications and the status widget
+ * @param {Object} exceeded - Result of findExceededBudget
+ * @param {string} scopeLabel - What the budget is for, e.g. "the inline checker"
+ * @returns {string}
+ */
+function describeExceededBudget(exceeded, scopeLabel) {
+  const format = exceeded.metric === 'cost'
+    ? value => `$${value.toFixed(2)}`
+    : value => `${Math.round(value).toLocaleString()} ${exceeded.metric}`;
+  const period = exceeded.period === 'daily' ? 'Daily' : 'Monthly';
+
+  return `${period} budget for ${scopeLabel} reached: ${format(exceeded.used)} of ${format(exceeded.limit)}`;
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.addUsageRecord = addUsageRecord;
+  window.calculateUsageCost = calculateUsageCost;
+}
+
+// Export for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_MODEL_PRICES,
+    USAGE_HISTORY_DAYS,
+    estimateTokens,
+    estimatePromptTokens,
+    estimateRequestTokens,
+    createEmptyUsageStats,
+    createUsageRecord,
+    formatUsageDay,
+    addUsageRecord,
+    calculateUsageCost,
+    sumUsage,
+    INLINE_BUDGET_PROMPT_ID,
+    getBudgetDays,
+    findExceededBudget,
+    describeExceededBudget
+  };
+}
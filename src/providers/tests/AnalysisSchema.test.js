@@ -0,0 +1,66 @@
+/**
+ * Tests for the grammar analysis schema validator
+ *
+ * @jest-environment node
+ */
+
+const {
+  extractAnalysisJson,
+  validateAnalysisResponse,
+  parseAnalysisResponse
+} = require('../AnalysisSchema.js');
+
+describe('AnalysisSchema', () => {
+  const text = 'This are a test.';
+  const validIssue = {
+    type: 'grammar',
+    severity: 'error',
+    startIndex: 5,
+    endIndex: 8,
+    message: 'Subject-verb disagreement',
+    suggestions: ['is']
+  };
+
+  test('should extract JSON wrapped in code fences or prose', () => {
+    expect(extractAnalysisJson('```json\n{"issues": []}\n```')).toEqual({ issues: [] });
+    expect(extractAnalysisJson('Here you go: {"issues": []} Hope it helps')).toEqual({ issues: [] });
+  });
+
+  test('should throw instead of inventing an issue for non-JSON output', () => {
+    expect(() => parseAnalysisResponse('The text looks fine to me.', text))
+      .toThrow('Analysis response was not valid JSON');
+  });
+
+  test('should require an issues array', () => {
+    expect(() => validateAnalysisResponse({ problems: [] }, text))
+      .toThrow('missing the "issues" array');
+  });
+
+  test('should keep valid issues', () => {
+    const { issues, rejected } = validateAnalysisResponse({ issues: [validIssue] }, text);
+
+    expect(issues).toEqual([validIssue]);
+    expect(rejected).toEqual([]);
+  });
+
+  test('should reject malformed issues with a reason', () => {
+    const { issues, rejected } = validateAnalysisResponse({
+      issues: [
+        validIssue,
+        { ...validIssue, type: 'analysis' },
+        { ...validIssue, severity: 'fatal' },
+        { ...validIssue, startIndex: '5' },
+        { ...validIssue, endIndex: 99 },
+        { ...validIssue, startIndex: 8, endIndex: 8 },
+        { ...validIssue, message: '' },
+        { ...validIssue, suggestions: 'is' },
+        null
+      ]
+    }, text);
+
+    expect(issues).toHaveLength(1);
+    expect(rejected.map(r => r.index)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(rejected[0].reason).toContain('unknown type');
+    expect(rejected[3].reason).toContain('outside the text');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for alternative versions and the history of picked versions
+ *
+ * @jest-environment node
+ */
+
+const {
+  MAX_CANDIDATE_CHOICES,
+  getPromptCandidateCount,
+  getDistinctCandidates,
+  combineCandidateCompletions,
+  isValidCandidateChoice,
+  addCandidateChoice,
+  summarizeCandidateChoices
+} = require('../CandidateHistory.js');
+
+describe('CandidateHistory', () => {
+  test('should read the number of versions a prompt asks for', () => {
+    const config = { promptCandidates: { make_professional: 3, improve_writing: 9, simplify: 'x' } };
+
+    expect(getPromptCandidateCount(config, 'make_professional')).toBe(3);
+    expect(getPromptCandidateCount(config, 'improve_writing')).toBe(4);
+    expect(getPromptCandidateCount(config, 'simplify')).toBe(1);
+    expect(getPromptCandidateCount({}, 'fix_grammar')).toBe(1);
+  });
+
+  test('should drop empty and repeated versions', () => {
+    expect(getDistinctCandidates(['Hello.', '', 'Hi.', 'Hello.'])).toEqual(['Hello.', 'Hi.']);
+  });
+
+  test('should keep the versions whose calls succeeded and sum their usage', () => {
+    const outcomes = [
+      { status: 'fulfilled', value: { text: 'Hello.', usage: { promptTokens: 10, completionTokens: 2 } } },
+      { status: 'rejected', reason: new Error('Timed out') },
+      { status: 'fulfilled', value: { text: 'Hi.', usage: { promptTokens: 10, completionTokens: 1 } } }
+    ];
+
+    expect(combineCandidateCompletions(outcomes)).toEqual({
+      text: 'Hello.',
+      candidates: ['Hello.', 'Hi.'],
+      usage: { promptTokens: 20, completionTokens: 3 }
+    });
+    expect(combineCandidateCompletions([outcomes[0], { status: 'fulfilled', value: { text: 'Hey.' } }]).usage)
+      .toEqual({ promptTokens: undefined, completionTokens: undefined });
+  });
+
+  test('should fail only when every call for the versions failed', () => {
+    const error = new Error('Timed out');
+
+    expect(() => combineCandidateCompletions([
+      { status: 'rejected', reason: error },
+      { status: 'rejected', reason: new Error('Down') }
+    ])).toThrow(error);
+  });
+
+  test('should count picks per prompt and version', () => {
+    let history = [];
+    history = addCandidateChoice(history, { promptId: 'make_professional', count: 3, chosen: 1, date: '2026-01-01T00:00:00.000Z' });
+    history = addCandidateChoice(history, { promptId: 'make_professional', count: 3, chosen: 1 });
+    history = addCandidateChoice(history, { promptId: 'make_professional', count: 2, chosen: 0 });
+    history = addCandidateChoice(history, { promptId: 'simplify', count: 2, chosen: 0 });
+
+    expect(history[0]).toEqual({ promptId: 'make_professional', count: 3, chosen: 1, date: '2026-01-01T00:00:00.000Z' });
+    expect(summarizeCandidateChoices(history)).toEqual({
+      make_professional: { choices: 3, picks: [1, 2] },
+      simplify: { choices: 1, picks: [1] }
+    });
+  });
+
+  test('should only accept versions that were offered', () => {
+    expect(isValidCandidateChoice({ promptId: 'simplify', count: 2, chosen: 1 })).toBe(true);
+    expect(isValidCandidateChoice({ promptId: 'simplify', count: 2, chosen: 2 })).toBe(false);
+    expect(isValidCandidateChoice({ promptId: 'simplify', count: 5, chosen: 0 })).toBe(false);
+    expect(isValidCandidateChoice({ promptId: 'simplify', count: 2, chosen: -1 })).toBe(false);
+    expect(isValidCandidateChoice({ promptId: 'simplify', count: 2, chosen: 0.5 })).toBe(false);
+
+    const history = [
+      { promptId: 'simplify', count: 2, chosen: 1 },
+      { promptId: 'simplify', count: 2, chosen: 1e9 },
+      { promptId: 'simplify', count: 2, chosen: NaN }
+    ];
+    expect(summarizeCandidateChoices(history)).toEqual({ simplify: { choices: 1, picks: [0, 1] } });
+  });
+
+  test('should keep only the latest choices', () => {
+    const history = Array.from({ length: MAX_CANDIDATE_CHOICES }, () => ({ promptId: 'old', count: 2, chosen: 0 }));
+    const updated = addCandidateChoice(history, { promptId: 'new', count: 2, chosen: 1 });
+
+    expect(updated).toHaveLength(MAX_CANDIDATE_CHOICES);
+    expect(updated[updated.length - 1].promptId).toBe('new');
+  });
+});
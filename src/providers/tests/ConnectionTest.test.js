@@ -0,0 +1,127 @@
+/**
+ * Tests for the provider connection test
+ *
+ * @jest-environment node
+ */
+
+const { createDefaultProviderRegistry, createProviderError } = require('../ProviderAdapters.js');
+const { ANALYSIS_RESPONSE_SCHEMA, parseAnalysisResponse } = require('../AnalysisSchema.js');
+const { runConnectionTest } = require('../ConnectionTest.js');
+
+describe('ConnectionTest', () => {
+  let registry;
+  let now;
+  const analysis = { prompt: 'Analyze:', schema: ANALYSIS_RESPONSE_SCHEMA, parse: parseAnalysisResponse };
+  const statusOf = (result, id) => result.steps.find(step => step.id === id)?.status;
+
+  const jsonResponse = (body, status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Error',
+    json: () => Promise.resolve(body),
+    text: () => Promise.resolve(JSON.stringify(body))
+  });
+
+  beforeEach(() => {
+    registry = createDefaultProviderRegistry();
+    now = 0;
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should report every step of a working provider', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse({ data: [{ id: 'gpt-4o-mini' }] }))
+      .mockImplementationOnce(() => {
+        now = 850;
+        return Promise.resolve(jsonResponse({ choices: [{ message: { content: 'OK' } }] }));
+      })
+      .mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: '{"issues": []}' } }] }));
+
+    const result = await runConnectionTest(registry.get('openai'), { apiKey: 'sk', llmModel: 'gpt-4o-mini' }, {
+      analysis,
+      now: () => now
+    });
+
+    expect(result.ok).toBe(true);
+    expect(result.latencyMs).toBe(850);
+    expect(result.steps.map(step => [step.id, step.status])).toEqual([
+      ['config', 'ok'],
+      ['network', 'ok'],
+      ['auth', 'ok'],
+      ['model', 'ok'],
+      ['response', 'ok'],
+      ['latency', 'ok'],
+      ['structured', 'ok']
+    ]);
+  });
+
+  test('should stop at missing settings without sending anything', async () => {
+    const result = await runConnectionTest(registry.get('openai'), { llmModel: 'gpt-4o-mini' });
+
+    expect(result.ok).toBe(false);
+    expect(result.steps).toHaveLength(1);
+    expect(result.steps[0]).toMatchObject({ id: 'config', status: 'failed' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('should blame the key for 401 responses', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ error: { message: 'Incorrect API key' } }, 401));
+
+    const result = await runConnectionTest(registry.get('openai'), { apiKey: 'bad', llmModel: 'gpt-4o-mini' });
+
+    expect(result.steps[1]).toMatchObject({ id: 'auth', status: 'failed' });
+    expect(result.steps[1].hint).toContain('API key');
+  });
+
+  test('should explain Ollama origin errors', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({}, 403));
+
+    const result = await runConnectionTest(registry.get('ollama'), { llmModel: 'llama3' });
+
+    expect(result.steps[1]).toMatchObject({ id: 'network', status: 'failed' });
+    expect(result.steps[1].hint).toContain('OLLAMA_ORIGINS');
+  });
+
+  test('should point at a missing host permission when the network fails', async () => {
+    global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const result = await runConnectionTest(registry.get('lmstudio'), { llmModel: 'qwen' }, {
+      hasHostPermission: () => Promise.resolve(false)
+    });
+
+    expect(result.steps[1]).toMatchObject({ id: 'network', status: 'failed' });
+    expect(result.steps[1].hint).toContain('not allowed to connect to http://localhost:1234');
+  });
+
+  test('should report models that are not installed', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ models: [{ name: 'qwen2:7b' }] }));
+
+    const result = await runConnectionTest(registry.get('ollama'), { llmModel: 'llama3' });
+
+    expect(statusOf(result, 'model')).toBe('failed');
+    expect(result.steps.find(step => step.id === 'model').hint).toBe('Run "ollama pull llama3" or choose an installed model.');
+  });
+
+  test('should only warn when the inline checker JSON is unusable', async () => {
+    const result = await runConnectionTest(registry.get('mock'), { llmModel: 'mock' }, {
+      analysis: { ...analysis, parse: () => { throw new Error('Analysis response was not valid JSON'); } }
+    });
+
+    expect(result.ok).toBe(true);
+    expect(statusOf(result, 'network')).toBe('ok');
+    expect(statusOf(result, 'structured')).toBe('warning');
+  });
+
+  test('should treat timeouts as a latency failure', async () => {
+    const adapter = registry.get('mock');
+    adapter.complete = jest.fn().mockRejectedValue(createProviderError('Mock did not respond within 30 seconds', { timeout: true }));
+
+    const result = await runConnectionTest(adapter, {});
+
+    expect(result.steps[1]).toMatchObject({ id: 'latency', status: 'failed' });
+  });
+});
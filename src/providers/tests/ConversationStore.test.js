@@ -0,0 +1,52 @@
+/**
+ * Tests for the enhancement conversation store
+ *
+ * @jest-environment node
+ */
+
+const { ConversationStore } = require('../ConversationStore.js');
+
+describe('ConversationStore', () => {
+  const user = content => ({ role: 'user', content });
+
+  test('should continue a conversation with its earlier turns', () => {
+    const store = new ConversationStore();
+    store.save('c1', [user('Make more professional:\n\nhey there')], 'Good afternoon.');
+
+    const followUp = [...store.get('c1'), user('shorter')];
+    store.save('c1', followUp, 'Hello.');
+
+    expect(store.get('c1')).toEqual([
+      user('Make more professional:\n\nhey there'),
+      { role: 'assistant', content: 'Good afternoon.' },
+      user('shorter'),
+      { role: 'assistant', content: 'Hello.' }
+    ]);
+    expect(store.get('unknown')).toBeNull();
+  });
+
+  test('should keep the first exchange and the latest follow-ups', () => {
+    const store = new ConversationStore({ maxFollowUps: 2 });
+    store.save('c1', [user('prompt')], 'answer 0');
+    for (let turn = 1; turn <= 4; turn++) {
+      store.save('c1', [...store.get('c1'), user(`follow-up ${turn}`)], `answer ${turn}`);
+    }
+
+    expect(store.get('c1').map(message => message.content)).toEqual([
+      'prompt', 'answer 0', 'follow-up 3', 'answer 3', 'follow-up 4', 'answer 4'
+    ]);
+  });
+
+  test('should drop the least recently used conversations', () => {
+    const store = new ConversationStore({ maxConversations: 2 });
+    store.save('c1', [user('one')], 'a');
+    store.save('c2', [user('two')], 'b');
+    store.save('c1', [...store.get('c1'), user('again')], 'c');
+    store.save('c3', [user('three')], 'd');
+
+    expect(store.get('c1')).not.toBeNull();
+    expect(store.get('c2')).toBeNull();
+    expect(store.delete('c3')).toBe(true);
+    expect(store.get('c3')).toBeNull();
+  });
+});
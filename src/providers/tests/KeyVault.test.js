@@ -0,0 +1,91 @@
+/**
+ * Tests for the API key vault
+ *
+ * @jest-environment node
+ */
+
+const {
+  createPlainVault,
+  createEncryptedVault,
+  sealVault,
+  openVault,
+  unlockVault,
+  exportVaultKey,
+  splitApiKeys,
+  mergeApiKeys,
+  loadStoredApiKeys,
+  applyStoredApiKeys,
+  maskApiKey
+} = require('../KeyVault.js');
+
+describe('KeyVault', () => {
+  // Few iterations keep the tests fast; the default is for real passphrases
+  const options = { iterations: 1000 };
+  const keys = { default: 'sk-test-1234567890', work: 'sk-ant-abcdef' };
+
+  const createStorageApi = (local, session) => ({
+    storage: {
+      local: { get: jest.fn().mockResolvedValue(local) },
+      session: session ? { get: jest.fn().mockResolvedValue(session) } : undefined
+    }
+  });
+
+  test('should encrypt keys so only the passphrase opens them', async () => {
+    const { vault } = await createEncryptedVault(keys, 'correct horse', options);
+
+    expect(vault).toMatchObject({ encrypted: true, iterations: 1000, profileIds: ['default', 'work'] });
+    expect(JSON.stringify(vault)).not.toContain('sk-test');
+    await expect(unlockVault(vault, 'correct horse')).resolves.toMatchObject({ keys });
+    await expect(unlockVault(vault, 'wrong horse')).rejects.toThrow('Wrong passphrase');
+  });
+
+  test('should reject short passphrases', async () => {
+    await expect(createEncryptedVault(keys, 'short', options)).rejects.toThrow('at least 8 characters');
+  });
+
+  test('should reseal changed keys with the same passphrase', async () => {
+    const { vault, key } = await createEncryptedVault(keys, 'correct horse', options);
+    const resealed = await sealVault({ default: 'sk-new' }, key, vault);
+
+    expect(resealed.salt).toBe(vault.salt);
+    expect(resealed.iv).not.toBe(vault.iv);
+    await expect(unlockVault(resealed, 'correct horse')).resolves.toMatchObject({ keys: { default: 'sk-new' } });
+  });
+
+  test('should move keys between profiles and the vault', () => {
+    const profiles = [{ id: 'default', apiKey: 'sk-1' }, { id: 'local', apiKey: '' }, { id: 'synced', apiKey: 'sk-old' }];
+    const split = splitApiKeys(profiles);
+
+    expect(split.profiles.every(profile => profile.apiKey === '')).toBe(true);
+    expect(split.keys).toEqual({ default: 'sk-1', synced: 'sk-old' });
+
+    // A key left in synced settings is kept only where the vault has none
+    const merged = mergeApiKeys([{ id: 'default', apiKey: '' }, { id: 'synced', apiKey: 'sk-old' }], { default: 'sk-1' });
+    expect(merged.map(profile => profile.apiKey)).toEqual(['sk-1', 'sk-old']);
+  });
+
+  test('should load plain vaults and vaults unlocked for the session', async () => {
+    const plain = await loadStoredApiKeys(createStorageApi({ apiKeyVault: createPlainVault(keys) }));
+    expect(plain).toMatchObject({ keys, locked: false });
+
+    const { vault, key } = await createEncryptedVault(keys, 'correct horse', options);
+    const unlocked = await loadStoredApiKeys(createStorageApi({ apiKeyVault: vault }, { apiKeyVaultKey: await exportVaultKey(key) }));
+    expect(unlocked).toMatchObject({ keys, locked: false });
+
+    const locked = await loadStoredApiKeys(createStorageApi({ apiKeyVault: vault }, { apiKeyVaultKey: null }));
+    expect(locked).toMatchObject({ keys: null, locked: true });
+    expect(applyStoredApiKeys([{ id: 'default', apiKey: '' }, { id: 'ollama', apiKey: '' }], locked))
+      .toEqual([{ id: 'default', apiKey: '', apiKeyLocked: true }, { id: 'ollama', apiKey: '' }]);
+  });
+
+  test('should treat a missing vault as no keys', async () => {
+    await expect(openVault(null)).resolves.toEqual({});
+    await expect(loadStoredApiKeys(createStorageApi({ apiKeyVault: null }))).resolves.toMatchObject({ keys: {}, locked: false });
+  });
+
+  test('should mask keys', () => {
+    expect(maskApiKey('sk-proj-1234567890abcd')).toBe('sk-p…abcd');
+    expect(maskApiKey('short')).toBe('•••••');
+    expect(maskApiKey('')).toBe('');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for local model server discovery
+ *
+ * @jest-environment node
+ */
+
+const { discoverLocalServers, probeLocalServer } = require('../LocalServerDiscovery.js');
+
+describe('LocalServerDiscovery', () => {
+  const jsonResponse = (body) => ({ ok: true, status: 200, json: () => Promise.resolve(body) });
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should list the servers that answer with their models and endpoints', async () => {
+    global.fetch.mockImplementation((url) => {
+      if (url === 'http://localhost:11434/api/tags') {
+        return Promise.resolve(jsonResponse({ models: [{ name: 'llama3:latest' }] }));
+      }
+      if (url === 'http://localhost:8080/v1/models') {
+        return Promise.resolve(jsonResponse({ data: [{ id: 'qwen2.5-7b-instruct' }] }));
+      }
+      return Promise.reject(new TypeError('Failed to fetch'));
+    });
+
+    const servers = await discoverLocalServers();
+
+    expect(servers).toEqual([
+      {
+        name: 'Ollama',
+        provider: 'ollama',
+        baseUrl: 'http://localhost:11434',
+        customEndpoint: 'http://localhost:11434/api/chat',
+        models: ['llama3:latest']
+      },
+      {
+        name: 'llama.cpp server or LocalAI',
+        provider: 'custom_openai',
+        baseUrl: 'http://localhost:8080',
+        customEndpoint: 'http://localhost:8080/v1',
+        models: ['qwen2.5-7b-instruct']
+      }
+    ]);
+  });
+
+  test('should use the chat completions URL for LM Studio', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ data: [] }));
+
+    const server = await probeLocalServer({ name: 'LM Studio', provider: 'lmstudio', port: 1234, format: 'openai' }, 'localhost', 100);
+
+    expect(server).toMatchObject({ customEndpoint: 'http://localhost:1234/v1/chat/completions', models: [] });
+  });
+
+  test('should skip servers that fail or do not answer in time', async () => {
+    jest.useFakeTimers();
+    global.fetch
+      .mockResolvedValueOnce({ ok: false, status: 404 })
+      .mockImplementationOnce((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+
+    const candidates = [
+      { name: 'A', provider: 'custom_openai', port: 1, format: 'openai' },
+      { name: 'B', provider: 'custom_openai', port: 2, format: 'openai' }
+    ];
+    const pending = discoverLocalServers({ candidates, timeoutMs: 500 });
+    jest.advanceTimersByTime(500);
+
+    await expect(pending).resolves.toEqual([]);
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,1216 @@
+/**
+ * Tests for provider adapters and the provider registry
+ *
+ * @jest-environment node
+ */
+
+const {
+  BaseProviderAdapter,
+  ProviderRegistry,
+  createDefaultProviderRegistry,
+  createProviderError,
+  serializeProviderError,
+  createRequestDeadline,
+  isProviderFailoverError,
+  isProviderRetryableError,
+  withProviderRetry,
+  splitStreamBuffer,
+  createMockRecordingKey,
+  addMockRecording,
+  isOllamaModelInstalled
+} = require('../ProviderAdapters.js');
+const { validateAnalysisResponse } = require('../AnalysisSchema.js');
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 200 ? 'OK' : 'Error',
+  json: () => Promise.resolve(body),
+  text: () => Promise.resolve(JSON.stringify(body))
+});
+
+const streamResponse = (chunks) => {
+  const encoder = new TextEncoder();
+  const queue = chunks.map(chunk => encoder.encode(chunk));
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: () => Promise.resolve(queue.length > 0
+          ? { value: queue.shift(), done: false }
+          : { value: undefined, done: true }),
+        cancel: () => Promise.resolve()
+      })
+    }
+  };
+};
+
+const request = {
+  system: 'You are a helpful assistant.',
+  messages: [{ role: 'user', content: 'Fix this' }],
+  maxTokens: 100,
+  temperature: 0.5
+};
+
+describe('ProviderRegistry', () => {
+  test('should register and look up adapters', () => {
+    const registry = new ProviderRegistry();
+    const adapter = new BaseProviderAdapter({ id: 'custom', label: 'Custom' });
+
+    registry.register(adapter);
+
+    expect(registry.has('custom')).toBe(true);
+    expect(registry.get('custom')).toBe(adapter);
+    expect(registry.list()).toEqual([adapter]);
+  });
+
+  test('should reject unknown providers', () => {
+    const registry = new ProviderRegistry();
+    expect(() => registry.get('missing')).toThrow('Invalid LLM provider selected');
+  });
+
+  test('should register all built-in providers', () => {
+    const registry = createDefaultProviderRegistry();
+    const ids = registry.list().map(adapter => adapter.id);
+
+    expect(ids).toEqual(expect.arrayContaining([
+      'openai', 'anthropic', 'ollama', 'lmstudio', 'groq', 'openrouter', 'gemini', 'azure', 'custom_openai', 'mock'
+    ]));
+  });
+});
+
+describe('isProviderFailoverError', () => {
+  test('should fail over on network errors, timeouts, 429 and 5xx', () => {
+    const timeout = new Error('timed out');
+    timeout.name = 'TimeoutError';
+
+    expect(isProviderFailoverError(createProviderError('down', { network: true }))).toBe(true);
+    expect(isProviderFailoverError(timeout)).toBe(true);
+    expect(isProviderFailoverError(createProviderError('busy', { status: 429 }))).toBe(true);
+    expect(isProviderFailoverError(createProviderError('oops', { status: 503 }))).toBe(true);
+  });
+
+  test('should not fail over on client errors or cancellation', () => {
+    const abort = new Error('aborted');
+    abort.name = 'AbortError';
+
+    expect(isProviderFailoverError(createProviderError('bad key', { status: 401 }))).toBe(false);
+    expect(isProviderFailoverError(new Error('Invalid prompt ID'))).toBe(false);
+    expect(isProviderFailoverError(abort)).toBe(false);
+  });
+});
+
+describe('Provider adapters', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = createDefaultProviderRegistry();
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should build OpenAI-compatible chat requests', () => {
+    const adapter = registry.get('openai');
+    const { url, init } = adapter.buildRequest(request, { apiKey: 'sk-test', llmModel: 'gpt-4' });
+    const body = JSON.parse(init.body);
+
+    expect(url).toBe('https://api.openai.com/v1/chat/completions');
+    expect(init.headers['Authorization']).toBe('Bearer sk-test');
+    expect(body.model).toBe('gpt-4');
+    expect(body.messages).toEqual([
+      { role: 'system', content: 'You are a helpful assistant.' },
+      { role: 'user', content: 'Fix this' }
+    ]);
+  });
+
+  test('should honor custom endpoints where supported', () => {
+    const openRouter = registry.get('openrouter');
+    const gemini = registry.get('gemini');
+    const config = { apiKey: 'key', customEndpoint: 'https://gateway.example/v1/chat/completions' };
+
+    expect(openRouter.buildRequest(request, config).url).toBe(config.customEndpoint);
+    expect(gemini.buildRequest(request, config).url).toContain('generativelanguage.googleapis.com');
+  });
+
+  test('should parse completions and trim the text', async () => {
+    const adapter = registry.get('groq');
+    global.fetch.mockResolvedValue(jsonResponse({
+      choices: [{ message: { content: '  Fixed text \n' } }]
+    }));
+
+    const result = await adapter.complete(request, { apiKey: 'gsk', llmModel: 'llama3-8b-8192' });
+
+    expect(result.text).toBe('Fixed text');
+  });
+
+  test('should validate required configuration before sending', async () => {
+    const adapter = registry.get('openai');
+
+    await expect(adapter.complete(request, {})).rejects.toThrow('OpenAI API key not set');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('should normalize provider error bodies', async () => {
+    const adapter = registry.get('gemini');
+    global.fetch.mockResolvedValue(jsonResponse({ error: { message: 'API key not valid' } }, 400));
+
+    await expect(adapter.complete(request, { apiKey: 'bad' }))
+      .rejects.toMatchObject({
+        message: expect.stringContaining('Gemini API request failed: 400 API key not valid'),
+        provider: 'gemini',
+        status: 400
+      });
+  });
+
+  test('should add a connection hint for local servers', async () => {
+    const adapter = registry.get('ollama');
+    global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(adapter.complete(request, { llmModel: 'llama3' }))
+      .rejects.toMatchObject({
+        code: 'network',
+        hint: 'Make sure Ollama is running on http://localhost:11434.',
+        network: true
+      });
+  });
+
+  test('should list models in each provider format', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ models: [{ name: 'llama3:latest' }] }));
+    const models = await registry.get('ollama').listModels({});
+
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:11434/api/tags', { headers: {} });
+    expect(models).toEqual([{ id: 'llama3:latest', name: 'llama3:latest' }]);
+  });
+
+  test('should build Anthropic Messages API requests', () => {
+    const adapter = registry.get('anthropic');
+    const { url, init } = adapter.buildRequest(request, { apiKey: 'sk-ant', llmModel: 'claude-3-5-haiku-latest' });
+    const body = JSON.parse(init.body);
+
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(init.headers['x-api-key']).toBe('sk-ant');
+    expect(init.headers['anthropic-version']).toBe('2023-06-01');
+    expect(body.system).toBe('You are a helpful assistant.');
+    expect(body.messages).toEqual([{ role: 'user', content: 'Fix this' }]);
+    expect(body.max_tokens).toBe(100);
+  });
+
+  test('should send conversation turns to Gemini with its role names', () => {
+    const adapter = registry.get('gemini');
+    const conversation = {
+      ...request,
+      messages: [...request.messages, { role: 'assistant', content: 'Fixed.' }, { role: 'user', content: 'Shorter' }]
+    };
+    const body = JSON.parse(adapter.buildRequest(conversation, { apiKey: 'key' }).init.body);
+
+    expect(body.contents).toEqual([
+      { role: 'user', parts: [{ text: 'Fix this' }] },
+      { role: 'model', parts: [{ text: 'Fixed.' }] },
+      { role: 'user', parts: [{ text: 'Shorter' }] }
+    ]);
+  });
+
+  test('should send the system prompt to Gemini as its system instruction', () => {
+    const adapter = registry.get('gemini');
+    const body = JSON.parse(adapter.buildRequest(request, { apiKey: 'key' }).init.body);
+    const withoutSystem = JSON.parse(adapter.buildRequest({ ...request, system: undefined }, { apiKey: 'key' }).init.body);
+
+    expect(body.systemInstruction).toEqual({ parts: [{ text: request.system }] });
+    expect(withoutSystem.systemInstruction).toBeUndefined();
+  });
+
+  test('should ask for several candidates where the provider supports it', async () => {
+    const bodyOf = (id) => JSON.parse(registry.get(id).buildRequest({ ...request, candidateCount: 3 }, { apiKey: 'key', llmModel: 'model' }).init.body);
+
+    expect(bodyOf('openai').n).toBe(3);
+    expect(bodyOf('gemini').generationConfig.candidateCount).toBe(3);
+    expect(bodyOf('groq').n).toBeUndefined();
+
+    global.fetch.mockResolvedValue(jsonResponse({
+      choices: [{ message: { content: ' First ' }, finish_reason: 'stop' }, { message: { content: 'Second' }, finish_reason: 'stop' }]
+    }));
+    const result = await registry.get('openai').complete(request, { apiKey: 'key' }, { retry: { maxAttempts: 1 } });
+    expect(result.text).toBe('First');
+    expect(result.candidates).toEqual(['First', 'Second']);
+  });
+
+  test('should move legacy Anthropic endpoints to the Messages API', () => {
+    const adapter = registry.get('anthropic');
+    const config = { apiKey: 'sk-ant', customEndpoint: 'https://proxy.example/v1/complete' };
+
+    expect(adapter.getEndpoint(config)).toBe('https://proxy.example/v1/messages');
+  });
+
+  test('should join Anthropic text blocks and report the stop reason', async () => {
+    const adapter = registry.get('anthropic');
+    global.fetch.mockResolvedValue(jsonResponse({
+      content: [
+        { type: 'text', text: 'Fixed ' },
+        { type: 'text', text: 'text' }
+      ],
+      stop_reason: 'max_tokens'
+    }));
+
+    const result = await adapter.complete(request, { apiKey: 'sk-ant' });
+
+    expect(result.text).toBe('Fixed text');
+    expect(result.finishReason).toBe('max_tokens');
+    expect(result.truncated).toBe(true);
+  });
+
+  test('should surface Anthropic refusals and error bodies', async () => {
+    const adapter = registry.get('anthropic');
+
+    global.fetch.mockResolvedValueOnce(jsonResponse({ content: [], stop_reason: 'refusal' }));
+    await expect(adapter.complete(request, { apiKey: 'sk-ant' })).rejects.toThrow('Anthropic declined');
+
+    global.fetch.mockResolvedValueOnce(jsonResponse({
+      type: 'error',
+      error: { type: 'authentication_error', message: 'invalid x-api-key' }
+    }, 401));
+    await expect(adapter.complete(request, { apiKey: 'bad' }))
+      .rejects.toThrow('Anthropic API request failed: 401 authentication_error: invalid x-api-key');
+  });
+
+  test('should list Anthropic models with display names', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({
+      data: [{ id: 'claude-3-5-haiku-20241022', display_name: 'Claude Haiku 3.5' }]
+    }));
+
+    const models = await registry.get('anthropic').listModels({ apiKey: 'sk-ant' });
+    const [url, init] = global.fetch.mock.calls[0];
+
+    expect(url).toBe('https://api.anthropic.com/v1/models');
+    expect(init.headers['x-api-key']).toBe('sk-ant');
+    expect(models).toEqual([{ id: 'claude-3-5-haiku-20241022', name: 'Claude Haiku 3.5' }]);
+  });
+
+  test('should refuse to list models when unsupported', async () => {
+    await expect(registry.get('gemini').listModels({ apiKey: 'key' }))
+      .rejects.toThrow('Model fetching not supported for Gemini');
+  });
+});
+
+describe('Structured output', () => {
+  const responseSchema = {
+    name: 'grammar_analysis',
+    description: 'Report issues',
+    schema: {
+      type: 'object',
+      properties: {
+        issues: { type: 'array', items: { type: 'string', enum: ['a', 'b'] } }
+      },
+      required: ['issues'],
+      additionalProperties: false
+    }
+  };
+  const structuredRequest = { ...request, responseSchema };
+  let registry;
+
+  beforeEach(() => {
+    registry = createDefaultProviderRegistry();
+  });
+
+  const bodyFor = (providerId, config = { apiKey: 'key', llmModel: 'model' }) => {
+    return JSON.parse(registry.get(providerId).buildRequest(structuredRequest, config).init.body);
+  };
+
+  test('should send a strict JSON schema to OpenAI-compatible providers', () => {
+    expect(bodyFor('openai').response_format).toEqual({
+      type: 'json_schema',
+      json_schema: { name: 'grammar_analysis', strict: true, schema: responseSchema.schema }
+    });
+    expect(bodyFor('groq').response_format).toEqual({ type: 'json_object' });
+  });
+
+  test('should convert the schema for Gemini', () => {
+    const { generationConfig } = bodyFor('gemini');
+
+    expect(generationConfig.responseMimeType).toBe('application/json');
+    expect(generationConfig.responseSchema).toEqual({
+      type: 'OBJECT',
+      properties: { issues: { type: 'ARRAY', items: { type: 'STRING', enum: ['a', 'b'] } } },
+      required: ['issues']
+    });
+  });
+
+  test('should pass the schema as the Ollama format', () => {
+    expect(bodyFor('ollama').format).toEqual(responseSchema.schema);
+  });
+
+  test('should force an Anthropic tool call and return its input as JSON', () => {
+    const body = bodyFor('anthropic');
+
+    expect(body.tools[0]).toEqual({
+      name: 'grammar_analysis',
+      description: 'Report issues',
+      input_schema: responseSchema.schema
+    });
+    expect(body.tool_choice).toEqual({ type: 'tool', name: 'grammar_analysis' });
+
+    const result = registry.get('anthropic').parseResponse({
+      content: [{ type: 'tool_use', name: 'grammar_analysis', input: { issues: ['a'] } }],
+      stop_reason: 'tool_use'
+    });
+    expect(JSON.parse(result.text)).toEqual({ issues: ['a'] });
+  });
+
+  test('should leave requests unchanged without a schema or capability', () => {
+    const adapter = registry.get('openai');
+    adapter.capabilities.structuredOutput = false;
+
+    expect(bodyFor('openai').response_format).toBeUndefined();
+    expect(JSON.parse(registry.get('ollama').buildRequest(request, { llmModel: 'm' }).init.body).format).toBeUndefined();
+  });
+});
+
+describe('Provider errors', () => {
+  let registry;
+  const single = { retry: { maxAttempts: 1 } };
+
+  beforeEach(() => {
+    registry = createDefaultProviderRegistry();
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should classify HTTP failures and say what to do about them', async () => {
+    const adapter = registry.get('openai');
+    const config = { apiKey: 'sk', llmModel: 'gpt-4o-mini' };
+
+    global.fetch.mockResolvedValue(jsonResponse({ error: { message: 'Incorrect API key provided' } }, 401));
+    await expect(adapter.complete(request, config, single)).rejects.toMatchObject({
+      name: 'ProviderError',
+      code: 'auth',
+      provider: 'openai',
+      retryable: false,
+      hint: 'Check the API key for OpenAI in the settings.'
+    });
+
+    global.fetch.mockResolvedValue(jsonResponse({ error: { message: 'Rate limit reached' } }, 429));
+    await expect(adapter.complete(request, config, single)).rejects.toMatchObject({ code: 'rate_limited', retryable: true });
+
+    global.fetch.mockResolvedValue(jsonResponse({ error: { message: 'Bad gateway' } }, 502));
+    await expect(adapter.complete(request, config, single)).rejects.toMatchObject({ code: 'unknown', retryable: true });
+  });
+
+  test('should tell used-up quota from rate limits and not retry it', async () => {
+    const adapter = registry.get('openai');
+    global.fetch.mockResolvedValue(jsonResponse({
+      error: { message: 'You exceeded your current quota, please check your plan and billing details.', code: 'insufficient_quota' }
+    }, 429));
+
+    await expect(adapter.complete(request, { apiKey: 'sk', llmModel: 'gpt-4o-mini' }, { retry: { maxAttempts: 3, baseDelayMs: 1 } }))
+      .rejects.toMatchObject({ code: 'quota', retryable: false });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should report missing settings and unreadable answers', async () => {
+    const adapter = registry.get('openai');
+
+    await expect(adapter.complete(request, { llmModel: 'gpt-4o-mini' })).rejects.toMatchObject({ code: 'config', retryable: false });
+
+    global.fetch.mockResolvedValue(jsonResponse({ unexpected: true }));
+    await expect(adapter.complete(request, { apiKey: 'sk', llmModel: 'gpt-4o-mini' }, single)).rejects.toMatchObject({
+      code: 'parse',
+      message: 'Invalid response from OpenAI API: missing choices or message'
+    });
+  });
+
+  test('should neither retry unreadable answers nor mark them retryable', async () => {
+    const adapter = registry.get('openai');
+    global.fetch.mockResolvedValue(jsonResponse({ unexpected: true }));
+
+    const error = await adapter.complete(request, { apiKey: 'sk', llmModel: 'gpt-4o-mini' }, { retry: { maxAttempts: 3, baseDelayMs: 1 } })
+      .catch(e => e);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(error.code).toBe('parse');
+    expect(error.retryable).toBe(false);
+    expect(isProviderRetryableError(error)).toBe(false);
+    expect(serializeProviderError(error).retryable).toBe(false);
+  });
+
+  test('should report blocked Gemini prompts as filtered content', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ promptFeedback: { blockReason: 'SAFETY' } }));
+
+    await expect(registry.get('gemini').complete(request, { apiKey: 'key' }, single))
+      .rejects.toMatchObject({ code: 'content_filtered', retryable: false });
+  });
+
+  test('should serialize errors for runtime messaging', () => {
+    const timeout = createProviderError('Groq did not respond within 60 seconds', {
+      provider: 'groq',
+      providerLabel: 'Groq',
+      timeout: true
+    });
+    timeout.attempts = 2;
+
+    expect(JSON.parse(JSON.stringify(serializeProviderError(timeout)))).toEqual({
+      code: 'timeout',
+      message: 'Groq did not respond within 60 seconds',
+      provider: 'groq',
+      providerLabel: 'Groq',
+      retryable: true,
+      hint: 'The answer from Groq took too long. Try again, or choose a faster model.',
+      attempts: 2
+    });
+    expect(serializeProviderError(new Error('Something broke'))).toMatchObject({
+      code: 'unknown',
+      message: 'Something broke',
+      retryable: false,
+      hint: 'Something went wrong at the provider. Try again later.'
+    });
+  });
+});
+
+describe('Streaming', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = createDefaultProviderRegistry();
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should split SSE events and keep incomplete tails', () => {
+    const { payloads, rest } = splitStreamBuffer('event: ping\ndata: {"a":1}\n\ndata: [DONE]\n\ndata: {"b"', 'sse');
+
+    expect(payloads).toEqual(['{"a":1}', '[DONE]']);
+    expect(rest).toBe('data: {"b"');
+  });
+
+  test('should split NDJSON lines', () => {
+    const { payloads, rest } = splitStreamBuffer('{"a":1}\n\n{"b":2}\n{"c"', 'ndjson');
+
+    expect(payloads).toEqual(['{"a":1}', '{"b":2}']);
+    expect(rest).toBe('{"c"');
+  });
+
+  test('should stream OpenAI-compatible deltas split across chunks', async () => {
+    const adapter = registry.get('openai');
+    const deltas = [];
+    global.fetch.mockResolvedValue(streamResponse([
+      'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choi',
+      'ces":[{"delta":{"content":"lo"},"finish_reason":"stop"}]}\n\n',
+      'data: [DONE]\n\n'
+    ]));
+
+    const result = await adapter.stream(request, { apiKey: 'sk' }, delta => deltas.push(delta));
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+
+    expect(body.stream).toBe(true);
+    expect(deltas).toEqual(['Hel', 'lo']);
+    expect(result).toEqual({ text: 'Hello', finishReason: 'stop' });
+  });
+
+  test('should stream Anthropic text deltas', async () => {
+    const adapter = registry.get('anthropic');
+    const deltas = [];
+    global.fetch.mockResolvedValue(streamResponse([
+      'event: message_start\ndata: {"type":"message_start","message":{}}\n\n',
+      'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hi"}}\n\n',
+      'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"}}\n\n',
+      'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+    ]));
+
+    const result = await adapter.stream(request, { apiKey: 'sk-ant' }, delta => deltas.push(delta));
+
+    expect(deltas).toEqual(['Hi']);
+    expect(result).toEqual({ text: 'Hi', finishReason: 'end_turn' });
+  });
+
+  test('should stream Gemini through the SSE endpoint', async () => {
+    const adapter = registry.get('gemini');
+    global.fetch.mockResolvedValue(streamResponse([
+      'data: {"candidates":[{"content":{"parts":[{"text":"One "}]}}]}\r\n\r\n',
+      'data: {"candidates":[{"content":{"parts":[{"text":"two"}]},"finishReason":"STOP"}]}\r\n\r\n'
+    ]));
+
+    const result = await adapter.stream(request, { apiKey: 'key' }, () => {});
+
+    expect(global.fetch.mock.calls[0][0]).toContain(':streamGenerateContent?alt=sse&key=key');
+    expect(result).toEqual({ text: 'One two', finishReason: 'STOP' });
+  });
+
+  test('should stream Ollama NDJSON until done', async () => {
+    const adapter = registry.get('ollama');
+    global.fetch.mockResolvedValue(streamResponse([
+      '{"message":{"role":"assistant","content":"A"},"done":false}\n{"message":{"role":"assistant","content":"B"},"done":false}\n',
+      '{"message":{"role":"assistant","content":""},"done":true,"done_reason":"stop"}\n'
+    ]));
+
+    const result = await adapter.stream(request, { llmModel: 'llama3' }, () => {});
+
+    expect(result).toEqual({ text: 'AB', finishReason: 'stop' });
+  });
+
+  test('should surface errors sent inside the stream', async () => {
+    const adapter = registry.get('anthropic');
+    global.fetch.mockResolvedValue(streamResponse([
+      'event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n'
+    ]));
+
+    await expect(adapter.stream(request, { apiKey: 'sk-ant' }, () => {}))
+      .rejects.toThrow('overloaded_error: Overloaded');
+  });
+
+  test('should deliver non-streaming providers as a single delta', async () => {
+    const adapter = registry.get('openai');
+    adapter.capabilities.streaming = false;
+    global.fetch.mockResolvedValue(jsonResponse({ choices: [{ message: { content: 'Done' } }] }));
+    const onDelta = jest.fn();
+
+    const result = await adapter.stream(request, { apiKey: 'sk' }, onDelta);
+
+    expect(onDelta).toHaveBeenCalledWith('Done', 'Done');
+    expect(result.text).toBe('Done');
+  });
+});
+
+describe('Timeouts and cancellation', () => {
+  let registry;
+
+  // Fetch that never answers until its signal aborts, like a hung endpoint
+  const hangingFetch = (url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => {
+      const error = new Error('The operation was aborted');
+      error.name = 'AbortError';
+      reject(error);
+    });
+  });
+
+  beforeEach(() => {
+    registry = createDefaultProviderRegistry();
+    global.fetch = jest.fn(hangingFetch);
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should turn an expired timeout into a failover-eligible TimeoutError', async () => {
+    const adapter = registry.get('openai');
+
+    const error = await adapter.complete(request, { apiKey: 'sk' }, { timeoutMs: 10, retry: { maxAttempts: 1 } }).catch(e => e);
+
+    expect(error.name).toBe('TimeoutError');
+    expect(error.message).toBe('OpenAI did not respond within 0 seconds');
+    expect(isProviderFailoverError(error)).toBe(true);
+  });
+
+  test('should rethrow caller cancellation as an AbortError', async () => {
+    const adapter = registry.get('openai');
+    const controller = new AbortController();
+
+    const pending = adapter.complete(request, { apiKey: 'sk' }, { signal: controller.signal, timeoutMs: 60000 });
+    controller.abort();
+    const error = await pending.catch(e => e);
+
+    expect(error.name).toBe('AbortError');
+    expect(isProviderFailoverError(error)).toBe(false);
+  });
+
+  test('should time out a stream that stops sending chunks', async () => {
+    const adapter = registry.get('openai');
+    global.fetch.mockImplementation((url, init) => Promise.resolve({
+      ok: true,
+      status: 200,
+      body: {
+        getReader: () => ({
+          read: () => hangingFetch(url, init),
+          cancel: () => Promise.resolve()
+        })
+      }
+    }));
+
+    await expect(adapter.stream(request, { apiKey: 'sk' }, () => {}, { timeoutMs: 10, retry: { maxAttempts: 1 } }))
+      .rejects.toMatchObject({ name: 'TimeoutError', provider: 'openai' });
+  });
+
+  test('should abort immediately when the caller signal is already aborted', () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const deadline = createRequestDeadline(controller.signal, 1000);
+
+    expect(deadline.signal.aborted).toBe(true);
+    expect(deadline.timedOut()).toBe(false);
+    deadline.clear();
+  });
+});
+
+describe('Retries', () => {
+  let registry;
+  const fastRetry = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 1000 };
+
+  const errorResponse = (status, headers = {}) => ({
+    ...jsonResponse({ error: { message: `Status ${status}` } }, status),
+    headers: { get: name => (name.toLowerCase() in headers ? String(headers[name.toLowerCase()]) : null) }
+  });
+
+  beforeEach(() => {
+    registry = createDefaultProviderRegistry();
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should retry rate limits and server errors until a request succeeds', async () => {
+    const adapter = registry.get('groq');
+    const onRetry = jest.fn();
+    global.fetch
+      .mockResolvedValueOnce(errorResponse(429))
+      .mockResolvedValueOnce(errorResponse(503))
+      .mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'Fixed' } }] }));
+
+    const result = await adapter.complete(request, { apiKey: 'gsk', llmModel: 'llama3' }, { retry: fastRetry, onRetry });
+
+    expect(result.text).toBe('Fixed');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(call => call[1])).toEqual([1, 2]);
+  });
+
+  test('should run every attempt through the schedule hook', async () => {
+    const adapter = registry.get('groq');
+    const schedule = jest.fn(attempt => attempt());
+    global.fetch
+      .mockResolvedValueOnce(errorResponse(429))
+      .mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'Fixed' } }] }));
+
+    const result = await adapter.complete(request, { apiKey: 'gsk', llmModel: 'llama3' }, { retry: fastRetry, schedule });
+
+    expect(result.text).toBe('Fixed');
+    expect(schedule).toHaveBeenCalledTimes(2);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('should report the attempt count and final cause when retries run out', async () => {
+    const adapter = registry.get('groq');
+    global.fetch.mockResolvedValue(errorResponse(503));
+
+    const error = await adapter.complete(request, { apiKey: 'gsk', llmModel: 'llama3' }, { retry: fastRetry }).catch(e => e);
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(error.attempts).toBe(3);
+    expect(error.status).toBe(503);
+    expect(error.message).toBe('Groq API request failed: 503 Status 503 (gave up after 3 attempts)');
+  });
+
+  test('should not retry auth or validation errors', async () => {
+    const adapter = registry.get('openai');
+
+    for (const status of [400, 401, 403, 422]) {
+      global.fetch.mockReset();
+      global.fetch.mockResolvedValue(errorResponse(status));
+
+      const error = await adapter.complete(request, { apiKey: 'sk' }, { retry: fastRetry }).catch(e => e);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(error.attempts).toBe(1);
+      expect(isProviderRetryableError(error)).toBe(false);
+    }
+  });
+
+  test('should wait as long as Retry-After asks, and give up if that is too long', async () => {
+    const adapter = registry.get('openai');
+    const onRetry = jest.fn();
+    global.fetch
+      .mockResolvedValueOnce(errorResponse(429, { 'retry-after': '0.01' }))
+      .mockResolvedValueOnce(errorResponse(429, { 'retry-after': '120' }));
+
+    const error = await adapter.complete(request, { apiKey: 'sk' }, { retry: fastRetry, onRetry }).catch(e => e);
+
+    expect(onRetry.mock.calls[0][2]).toBe(10);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(error.retryAfterMs).toBe(120000);
+  });
+
+  test('should read provider-specific rate limit headers', () => {
+    const openai = registry.get('openai');
+    const anthropic = registry.get('anthropic');
+    const openrouter = registry.get('openrouter');
+    const resetAt = new Date(Date.now() + 5000);
+
+    expect(openai.getRetryAfterMs(errorResponse(429, {
+      'x-ratelimit-remaining-requests': '5',
+      'x-ratelimit-reset-requests': '1s',
+      'x-ratelimit-remaining-tokens': '0',
+      'x-ratelimit-reset-tokens': '1m30s'
+    }))).toBe(90000);
+    expect(openai.getRetryAfterMs(errorResponse(429, { 'retry-after-ms': '250' }))).toBe(250);
+    expect(anthropic.getRetryAfterMs(errorResponse(429, {
+      'anthropic-ratelimit-requests-remaining': '0',
+      'anthropic-ratelimit-requests-reset': resetAt.toISOString()
+    }))).toBeGreaterThan(4000);
+    expect(openrouter.getRetryAfterMs(errorResponse(429, { 'x-ratelimit-reset': resetAt.getTime() })))
+      .toBeGreaterThan(4000);
+    expect(openai.getRetryAfterMs(errorResponse(500))).toBeNull();
+  });
+
+  test('should not retry a stream once text has been delivered', async () => {
+    const adapter = registry.get('openai');
+    const deltas = [];
+    const encoder = new TextEncoder();
+    global.fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      body: {
+        getReader: () => {
+          let reads = 0;
+          return {
+            read: () => (reads++ === 0
+              ? Promise.resolve({ value: encoder.encode('data: {"choices":[{"delta":{"content":"Par"}}]}\n\n'), done: false })
+              : Promise.reject(createProviderError('Connection reset', { network: true }))),
+            cancel: () => Promise.resolve()
+          };
+        }
+      }
+    });
+
+    await expect(adapter.stream(request, { apiKey: 'sk' }, delta => deltas.push(delta), { retry: fastRetry }))
+      .rejects.toThrow('Connection reset');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(deltas).toEqual(['Par']);
+  });
+
+  test('should stop waiting when the request is cancelled', async () => {
+    const controller = new AbortController();
+    const run = jest.fn().mockRejectedValue(createProviderError('Down', { status: 503 }));
+
+    const pending = withProviderRetry(run, { maxAttempts: 3, baseDelayMs: 60000, maxDelayMs: 60000 }, { signal: controller.signal });
+    await Promise.resolve();
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Usage', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = createDefaultProviderRegistry();
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should read usage from each provider format', () => {
+    expect(registry.get('openai').parseResponse({
+      choices: [{ message: { content: 'Hi' } }],
+      usage: { prompt_tokens: 10, completion_tokens: 2 }
+    }).usage).toEqual({ promptTokens: 10, completionTokens: 2 });
+
+    expect(registry.get('anthropic').parseResponse({
+      content: [{ type: 'text', text: 'Hi' }],
+      usage: { input_tokens: 11, output_tokens: 3 }
+    }).usage).toEqual({ promptTokens: 11, completionTokens: 3 });
+
+    expect(registry.get('ollama').parseResponse({
+      message: { role: 'assistant', content: 'Hi' }, prompt_eval_count: 12, eval_count: 4
+    }).usage).toEqual({ promptTokens: 12, completionTokens: 4 });
+
+    expect(registry.get('gemini').parseResponse({
+      candidates: [{ content: { parts: [{ text: 'Hi' }] } }],
+      usageMetadata: { promptTokenCount: 13, candidatesTokenCount: 5 }
+    }).usage).toEqual({ promptTokens: 13, completionTokens: 5 });
+
+    expect(registry.get('openai').parseResponse({ choices: [{ message: { content: 'Hi' } }] }).usage).toBeUndefined();
+  });
+
+  test('should ask OpenAI to include usage in streams', () => {
+    const body = JSON.parse(registry.get('openai').buildRequest({ ...request, stream: true }, { apiKey: 'sk' }).init.body);
+    const groqBody = JSON.parse(registry.get('groq').buildRequest({ ...request, stream: true }, { apiKey: 'gsk', llmModel: 'm' }).init.body);
+
+    expect(body.stream_options).toEqual({ include_usage: true });
+    expect(groqBody.stream_options).toBeUndefined();
+  });
+
+  test('should collect usage spread across Anthropic stream events', async () => {
+    global.fetch.mockResolvedValue(streamResponse([
+      'data: {"type":"message_start","message":{"usage":{"input_tokens":20,"output_tokens":1}}}\n\n',
+      'data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hi"}}\n\n',
+      'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":7}}\n\n',
+      'data: {"type":"message_stop"}\n\n'
+    ]));
+
+    const result = await registry.get('anthropic').stream(request, { apiKey: 'sk-ant' }, () => {});
+
+    expect(result.usage).toEqual({ promptTokens: 20, completionTokens: 7 });
+  });
+
+  test('should read usage from the final OpenAI-compatible stream chunk', async () => {
+    global.fetch.mockResolvedValue(streamResponse([
+      'data: {"choices":[{"delta":{"content":"Hi"},"finish_reason":"stop"}]}\n\n',
+      'data: {"choices":[],"x_groq":{"usage":{"prompt_tokens":9,"completion_tokens":1}}}\n\n',
+      'data: [DONE]\n\n'
+    ]));
+
+    const result = await registry.get('groq').stream(request, { apiKey: 'gsk', llmModel: 'm' }, () => {});
+
+    expect(result.usage).toEqual({ promptTokens: 9, completionTokens: 1 });
+  });
+});
+
+describe('Mock provider', () => {
+  const registry = createDefaultProviderRegistry();
+  const mock = registry.get('mock');
+  const text = 'i think teh plan is good. this are fine';
+  const requestFor = (instruction) => ({ system: 'You are a helpful assistant.', messages: [{ role: 'user', content: `${instruction}\n\n${text}` }] });
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should return grammar analysis with offsets into the text', async () => {
+    const result = await mock.complete(requestFor('Analyze this:'), {}, { promptId: 'analyze_grammar' });
+    const { issues, rejected } = validateAnalysisResponse(JSON.parse(result.text), text);
+
+    expect(rejected).toEqual([]);
+    expect(issues.map(issue => text.slice(issue.startIndex, issue.endIndex))).toEqual(['i', 'teh', 'this are']);
+    expect(issues[2].suggestions).toEqual(['this is']);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('should answer each prompt deterministically', async () => {
+    const first = await mock.complete(requestFor('Fix:'), {}, { promptId: 'fix_grammar' });
+    const second = await mock.complete(requestFor('Fix:'), {}, { promptId: 'fix_grammar' });
+    const bullets = await mock.complete(requestFor('Bullets:'), {}, { promptId: 'bullet_points' });
+    const custom = await mock.complete(requestFor('Custom:'), {}, { promptId: 'custom_1' });
+
+    expect(first.text).toBe('I think the plan is good. this is fine');
+    expect(second.text).toBe(first.text);
+    expect(bullets.text).toBe('- I think the plan is good.\n- this is fine.');
+    expect(custom.text).toBe(`[Mock custom_1] ${text}`);
+  });
+
+  test('should revise the last version in a follow-up rather than the instruction', async () => {
+    const followUp = {
+      messages: [
+        ...requestFor('Fix:').messages,
+        { role: 'assistant', content: 'teh plan is good' },
+        { role: 'user', content: 'shorter\n\nRevise your last version accordingly.' }
+      ]
+    };
+
+    const result = await mock.complete(followUp, {}, { promptId: 'fix_grammar' });
+
+    expect(result.text).toBe('the plan is good');
+  });
+
+  test('should stream the answer in chunks', async () => {
+    const deltas = [];
+    const result = await mock.stream(requestFor('Fix:'), {}, (delta) => deltas.push(delta), { promptId: 'fix_grammar' });
+
+    expect(deltas.length).toBeGreaterThan(1);
+    expect(deltas.join('')).toBe(result.text);
+  });
+
+  test('should replay recorded responses for the same request only', async () => {
+    const request = requestFor('Fix:');
+    const recordings = addMockRecording({}, {
+      key: createMockRecordingKey('fix_grammar', request),
+      promptId: 'fix_grammar',
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      text: 'Recorded answer',
+      usage: { promptTokens: 10, completionTokens: 2 }
+    });
+    const options = { promptId: 'fix_grammar', mockMode: 'replay', mockRecordings: recordings };
+
+    await expect(mock.complete(request, {}, options)).resolves.toMatchObject({
+      text: 'Recorded answer',
+      usage: { promptTokens: 10, completionTokens: 2 }
+    });
+    await expect(mock.complete(requestFor('Other:'), {}, options)).rejects.toThrow('No recording for this "fix_grammar" request');
+  });
+
+  test('should drop the oldest recordings beyond the limit', () => {
+    let recordings = {};
+    for (let i = 0; i < 201; i++) {
+      recordings = addMockRecording(recordings, { key: `k${i}`, text: String(i) }, new Date(2026, 0, 1, 0, 0, i));
+    }
+
+    expect(Object.keys(recordings)).toHaveLength(200);
+    expect(recordings.k0).toBeUndefined();
+    expect(recordings.k200.text).toBe('200');
+  });
+});
+
+describe('Custom OpenAI-compatible provider', () => {
+  let adapter;
+  const config = {
+    apiKey: 'secret',
+    llmModel: 'team-model',
+    customEndpoint: 'https://gateway.example.com/v1/',
+    authHeaderName: 'X-Api-Key',
+    authHeaderPrefix: '',
+    extraHeaders: 'X-Team: writing\nmalformed line\nX-Route: llm',
+    queryParams: 'api-version=2024-06-01\ntenant=a b',
+    modelsPath: 'catalog/models'
+  };
+
+  beforeEach(() => {
+    adapter = createDefaultProviderRegistry().get('custom_openai');
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should send chat requests with the configured auth, headers and query', () => {
+    const { url, init } = adapter.buildRequest(request, config);
+
+    expect(url).toBe('https://gateway.example.com/v1/chat/completions?api-version=2024-06-01&tenant=a%20b');
+    expect(init.headers).toEqual({
+      'Content-Type': 'application/json',
+      'X-Api-Key': 'secret',
+      'X-Team': 'writing',
+      'X-Route': 'llm'
+    });
+    expect(JSON.parse(init.body).model).toBe('team-model');
+  });
+
+  test('should default to a bearer Authorization header and accept a full endpoint', () => {
+    const { url, init } = adapter.buildRequest(request, {
+      apiKey: 'secret',
+      llmModel: 'm',
+      customEndpoint: 'https://gateway.example.com/v1/chat/completions'
+    });
+
+    expect(url).toBe('https://gateway.example.com/v1/chat/completions');
+    expect(init.headers['Authorization']).toBe('Bearer secret');
+  });
+
+  test('should list models from the configured path with the same auth', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ data: [{ id: 'team-model' }] }));
+
+    const models = await adapter.listModels({ ...config, llmModel: '' });
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://gateway.example.com/v1/catalog/models?api-version=2024-06-01&tenant=a%20b',
+      { headers: { 'X-Api-Key': 'secret', 'X-Team': 'writing', 'X-Route': 'llm' } }
+    );
+    expect(models).toEqual([{ id: 'team-model', name: 'team-model' }]);
+  });
+
+  test('should require a base URL', async () => {
+    await expect(adapter.complete(request, { llmModel: 'm' }, { retry: { maxAttempts: 1 } }))
+      .rejects.toThrow('Base URL not set for Custom OpenAI-compatible');
+    await expect(adapter.listModels({})).rejects.toThrow('Base URL not set');
+  });
+});
+
+describe('Azure OpenAI provider', () => {
+  let adapter;
+  const config = { apiKey: 'azure-key', llmModel: 'prod-gpt4o', azureResource: 'contoso' };
+
+  beforeEach(() => {
+    adapter = createDefaultProviderRegistry().get('azure');
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should call the deployment URL with an api-key header', () => {
+    const { url, init } = adapter.buildRequest(request, config);
+    const body = JSON.parse(init.body);
+
+    expect(url).toBe('https://contoso.openai.azure.com/openai/deployments/prod-gpt4o/chat/completions?api-version=2024-10-21');
+    expect(init.headers).toEqual({ 'Content-Type': 'application/json', 'api-key': 'azure-key' });
+    expect(body.model).toBeUndefined();
+    expect(body.messages).toHaveLength(2);
+  });
+
+  test('should accept a full resource URL and a custom API version', () => {
+    const { url } = adapter.buildRequest(request, {
+      ...config,
+      azureResource: 'https://llm.contoso.com/',
+      azureApiVersion: '2024-08-01-preview'
+    });
+
+    expect(url).toBe('https://llm.contoso.com/openai/deployments/prod-gpt4o/chat/completions?api-version=2024-08-01-preview');
+  });
+
+  test('should require a resource and a deployment', async () => {
+    await expect(adapter.complete(request, { apiKey: 'k', llmModel: 'd' }, { retry: { maxAttempts: 1 } }))
+      .rejects.toThrow('Azure OpenAI resource not set');
+    await expect(adapter.complete(request, { apiKey: 'k', azureResource: 'contoso' }, { retry: { maxAttempts: 1 } }))
+      .rejects.toThrow('Azure OpenAI deployment not set');
+  });
+
+  test('should list deployments with their models', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ data: [{ id: 'prod-gpt4o', model: 'gpt-4o' }, { id: 'plain' }] }));
+
+    const models = await adapter.listModels({ apiKey: 'azure-key', azureResource: 'contoso' });
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://contoso.openai.azure.com/openai/deployments?api-version=2022-12-01',
+      { headers: { 'api-key': 'azure-key' } }
+    );
+    expect(models).toEqual([
+      { id: 'prod-gpt4o', name: 'prod-gpt4o (gpt-4o)' },
+      { id: 'plain', name: 'plain' }
+    ]);
+  });
+
+  test('should explain prompts blocked by the content filter', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({
+      error: {
+        code: 'content_filter',
+        message: 'The response was filtered due to the prompt triggering Azure OpenAI\'s content management policy.',
+        innererror: {
+          code: 'ResponsibleAIPolicyViolation',
+          content_filter_result: {
+            hate: { filtered: false, severity: 'safe' },
+            self_harm: { filtered: true, severity: 'medium' },
+            violence: { filtered: true, severity: 'high' }
+          }
+        }
+      }
+    }, 400));
+
+    await expect(adapter.complete(request, config, { retry: { maxAttempts: 1 } }))
+      .rejects.toMatchObject({
+        code: 'content_filtered',
+        message: expect.stringContaining('Azure\'s content filter blocked the selected text because of self harm (medium), violence (high).')
+      });
+  });
+
+  test('should explain responses stopped by the content filter', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({
+      choices: [{
+        message: { role: 'assistant' },
+        finish_reason: 'content_filter',
+        content_filter_results: { sexual: { filtered: true, severity: 'medium' } }
+      }]
+    }));
+
+    await expect(adapter.complete(request, config, { retry: { maxAttempts: 1 } }))
+      .rejects.toThrow('Azure\'s content filter stopped the response because of sexual (medium).');
+  });
+});
+
+describe('Ollama provider', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = createDefaultProviderRegistry().get('ollama');
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should send system and user messages to the chat endpoint', () => {
+    const { url, init } = adapter.buildRequest(request, { llmModel: 'llama3' });
+    const body = JSON.parse(init.body);
+
+    expect(url).toBe('http://localhost:11434/api/chat');
+    expect(body.messages).toEqual([
+      { role: 'system', content: 'You are a helpful assistant.' },
+      { role: 'user', content: 'Fix this' }
+    ]);
+    expect(body.prompt).toBeUndefined();
+    expect(body.keep_alive).toBeUndefined();
+  });
+
+  test('should move saved generate endpoints and bare server URLs to the chat endpoint', () => {
+    expect(adapter.getEndpoint({ customEndpoint: 'http://gpu-box:11434/api/generate' })).toBe('http://gpu-box:11434/api/chat');
+    expect(adapter.getEndpoint({ customEndpoint: 'http://gpu-box:11434/' })).toBe('http://gpu-box:11434/api/chat');
+  });
+
+  test('should pass keep-alive, context length and extra options', () => {
+    const body = JSON.parse(adapter.buildRequest(request, {
+      llmModel: 'llama3',
+      ollamaKeepAlive: '30m',
+      ollamaNumCtx: '8192',
+      ollamaOptions: '{"num_gpu": 1, "top_k": 20}'
+    }).init.body);
+    const forever = JSON.parse(adapter.buildRequest(request, { llmModel: 'llama3', ollamaKeepAlive: '-1' }).init.body);
+
+    expect(body.keep_alive).toBe('30m');
+    expect(body.options).toMatchObject({ num_ctx: 8192, num_gpu: 1, top_k: 20 });
+    expect(forever.keep_alive).toBe(-1);
+  });
+
+  test('should reject options that are not a JSON object', async () => {
+    await expect(adapter.complete(request, { llmModel: 'llama3', ollamaOptions: '[1]' }, { retry: { maxAttempts: 1 } }))
+      .rejects.toThrow('Ollama options must be a JSON object');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('should describe installed and loaded models', async () => {
+    global.fetch.mockImplementation((url) => {
+      if (url.endsWith('/api/tags')) {
+        return Promise.resolve(jsonResponse({
+          models: [
+            { name: 'llama3:latest', size: 4661224676, details: { parameter_size: '8.0B', quantization_level: 'Q4_0' } },
+            { name: 'qwen2:7b', size: 4431400262, details: { parameter_size: '7.6B', quantization_level: 'Q4_0' } }
+          ]
+        }));
+      }
+      if (url.endsWith('/api/ps')) {
+        return Promise.resolve(jsonResponse({
+          models: [{ name: 'llama3:latest', context_length: 4096, expires_at: '2026-10-19T12:05:00Z' }]
+        }));
+      }
+      return Promise.resolve(jsonResponse({ model_info: { 'qwen2.context_length': 32768 } }));
+    });
+
+    const models = await adapter.listModelDetails({});
+
+    expect(models).toEqual([
+      {
+        id: 'llama3:latest',
+        size: 4661224676,
+        parameterSize: '8.0B',
+        quantization: 'Q4_0',
+        contextLength: 4096,
+        loaded: true,
+        expiresAt: '2026-10-19T12:05:00Z'
+      },
+      {
+        id: 'qwen2:7b',
+        size: 4431400262,
+        parameterSize: '7.6B',
+        quantization: 'Q4_0',
+        contextLength: 32768,
+        loaded: false,
+        expiresAt: null
+      }
+    ]);
+  });
+
+  test('should match model names with and without the latest tag', () => {
+    const models = [{ id: 'llama3:latest' }, { id: 'qwen2:7b' }];
+
+    expect(isOllamaModelInstalled('llama3', models)).toBe(true);
+    expect(isOllamaModelInstalled('qwen2:7b', models)).toBe(true);
+    expect(isOllamaModelInstalled('qwen2', models)).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for named LLM profiles
+ *
+ * @jest-environment node
+ */
+
+const {
+  DEFAULT_PROFILE_ID,
+  createProviderProfile,
+  normalizeProviderProfiles,
+  resolveProviderProfile,
+  resolveProviderChain
+} = require('../ProviderProfiles.js');
+
+describe('ProviderProfiles', () => {
+  const localProfile = { id: 'local', name: 'Local', llmProvider: 'ollama', llmModel: 'llama3' };
+  const hostedProfile = { id: 'hosted', name: 'Hosted', llmProvider: 'openai', apiKey: 'sk', llmModel: 'gpt-4' };
+
+  test('should create profiles with defaults and a unique id', () => {
+    const first = createProviderProfile({ name: 'First' });
+    const second = createProviderProfile();
+
+    expect(first.name).toBe('First');
+    expect(first.llmProvider).toBe('gemini');
+    expect(second.name).toBe('New profile');
+    expect(first.id).not.toBe(second.id);
+  });
+
+  test('should migrate settings saved before profiles existed', () => {
+    const { profiles, defaultProfileId } = normalizeProviderProfiles({
+      llmProvider: 'groq',
+      apiKey: 'gsk',
+      llmModel: 'llama3-8b-8192',
+      customEndpoint: ''
+    });
+
+    expect(profiles).toHaveLength(1);
+    expect(profiles[0]).toMatchObject({
+      id: DEFAULT_PROFILE_ID,
+      name: 'Default',
+      llmProvider: 'groq',
+      apiKey: 'gsk',
+      llmModel: 'llama3-8b-8192'
+    });
+    expect(defaultProfileId).toBe(DEFAULT_PROFILE_ID);
+  });
+
+  test('should fall back to the first profile when the default is missing', () => {
+    const { defaultProfileId } = normalizeProviderProfiles({
+      llmProfiles: [localProfile, hostedProfile],
+      defaultProfileId: 'deleted'
+    });
+
+    expect(defaultProfileId).toBe('local');
+  });
+
+  test('should resolve per-prompt overrides and the default profile', () => {
+    const items = {
+      llmProfiles: [localProfile, hostedProfile],
+      defaultProfileId: 'hosted',
+      promptProfiles: { analyze_grammar: 'local', improve_writing: 'deleted' }
+    };
+
+    expect(resolveProviderProfile(items, 'analyze_grammar').id).toBe('local');
+    expect(resolveProviderProfile(items, 'improve_writing').id).toBe('hosted');
+    expect(resolveProviderProfile(items, 'summarize').id).toBe('hosted');
+    expect(resolveProviderProfile(items).id).toBe('hosted');
+  });
+
+  test('should chain fallback profiles after the prompt profile without duplicates', () => {
+    const backupProfile = { id: 'backup', name: 'Backup', llmProvider: 'groq' };
+    const items = {
+      llmProfiles: [localProfile, hostedProfile, backupProfile],
+      defaultProfileId: 'local',
+      fallbackProfileIds: ['local', 'deleted', 'backup', 'hosted']
+    };
+
+    expect(resolveProviderChain(items, 'summarize').map(profile => profile.id))
+      .toEqual(['local', 'backup', 'hosted']);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Tests for the token-bucket request scheduler
+ *
+ * @jest-environment node
+ */
+
+const { RequestScheduler } = require('../RequestScheduler.js');
+
+describe('RequestScheduler', () => {
+  let now;
+
+  const createScheduler = (limits) => new RequestScheduler({ limits, now: () => now });
+
+  // Task that stays running until finish() is called
+  const deferredTask = () => {
+    let finish;
+    const task = jest.fn(() => new Promise(resolve => {
+      finish = resolve;
+    }));
+    return { task, finish: (value) => finish(value) };
+  };
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    now = 0;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should hold requests beyond the per-minute limit until the bucket refills', async () => {
+    const scheduler = createScheduler({ groq: { requestsPerMinute: 2, concurrency: 5 } });
+    const task = jest.fn().mockResolvedValue('ok');
+
+    scheduler.schedule('groq', task);
+    scheduler.schedule('groq', task);
+    const third = scheduler.schedule('groq', task);
+    await flush();
+
+    expect(task).toHaveBeenCalledTimes(2);
+
+    now = 30000;
+    jest.advanceTimersByTime(30000);
+    await expect(third).resolves.toBe('ok');
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  test('should keep separate buckets per provider', async () => {
+    const scheduler = createScheduler({ groq: { requestsPerMinute: 1 }, openai: { requestsPerMinute: 1 } });
+    const task = jest.fn().mockResolvedValue('ok');
+
+    scheduler.schedule('groq', task);
+    scheduler.schedule('openai', task);
+    scheduler.schedule('groq', task);
+    await flush();
+
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(scheduler.getStats('groq')).toEqual({ active: 0, high: 0, low: 1 });
+  });
+
+  test('should limit tokens per minute', async () => {
+    const scheduler = createScheduler({ groq: { requestsPerMinute: 0, tokensPerMinute: 1000, concurrency: 5 } });
+    const task = jest.fn().mockResolvedValue('ok');
+
+    scheduler.schedule('groq', task, { tokens: 800 });
+    scheduler.schedule('groq', task, { tokens: 800 });
+    await flush();
+
+    expect(task).toHaveBeenCalledTimes(1);
+
+    now = 36000;
+    jest.advanceTimersByTime(36000);
+    await flush();
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  test('should cap concurrency and start the next task when one finishes', async () => {
+    const scheduler = createScheduler({ ollama: { requestsPerMinute: 0, concurrency: 1 } });
+    const first = deferredTask();
+    const second = deferredTask();
+
+    scheduler.schedule('ollama', first.task, { priority: 'high' });
+    scheduler.schedule('ollama', second.task, { priority: 'high' });
+    await flush();
+
+    expect(second.task).not.toHaveBeenCalled();
+
+    first.finish();
+    await flush();
+    expect(second.task).toHaveBeenCalled();
+  });
+
+  test('should run high-priority work before queued inline analysis', async () => {
+    const scheduler = createScheduler({ openai: { requestsPerMinute: 0, concurrency: 1 } });
+    const running = deferredTask();
+    const order = [];
+
+    scheduler.schedule('openai', running.task, { priority: 'low' });
+    scheduler.schedule('openai', () => order.push('low'), { priority: 'low' });
+    scheduler.schedule('openai', () => order.push('high'), { priority: 'high' });
+    await flush();
+
+    running.finish();
+    await flush();
+    await flush();
+
+    expect(order).toEqual(['high', 'low']);
+  });
+
+  test('should keep a slot free for high-priority work', async () => {
+    const scheduler = createScheduler({ openai: { requestsPerMinute: 0, concurrency: 2 } });
+    const analysis = deferredTask();
+    const queuedAnalysis = jest.fn();
+    const action = jest.fn();
+
+    scheduler.schedule('openai', analysis.task, { priority: 'low' });
+    scheduler.schedule('openai', queuedAnalysis, { priority: 'low' });
+    await flush();
+
+    expect(queuedAnalysis).not.toHaveBeenCalled();
+
+    scheduler.schedule('openai', action, { priority: 'high' });
+    await flush();
+    expect(action).toHaveBeenCalled();
+  });
+
+  test('should not delay high-priority work behind running analysis at a concurrency of 1', async () => {
+    const scheduler = createScheduler({ ollama: { requestsPerMinute: 0, concurrency: 1 } });
+    const analysis = deferredTask();
+    const queuedAnalysis = jest.fn();
+    const action = deferredTask();
+    const secondAction = jest.fn();
+
+    scheduler.schedule('ollama', analysis.task, { priority: 'low' });
+    scheduler.schedule('ollama', queuedAnalysis, { priority: 'low' });
+    scheduler.schedule('ollama', action.task, { priority: 'high' });
+    scheduler.schedule('ollama', secondAction, { priority: 'high' });
+    await flush();
+
+    // The action starts alongside the analysis; more actions still respect the limit
+    expect(action.task).toHaveBeenCalled();
+    expect(secondAction).not.toHaveBeenCalled();
+    expect(queuedAnalysis).not.toHaveBeenCalled();
+
+    action.finish();
+    await flush();
+    expect(secondAction).toHaveBeenCalled();
+    expect(queuedAnalysis).not.toHaveBeenCalled();
+
+    analysis.finish();
+    await flush();
+    expect(queuedAnalysis).toHaveBeenCalled();
+  });
+
+  test('should drop queued work when it is cancelled', async () => {
+    const scheduler = createScheduler({ openai: { requestsPerMinute: 0, concurrency: 1 } });
+    const running = deferredTask();
+    const controller = new AbortController();
+    const dropped = jest.fn();
+
+    scheduler.schedule('openai', running.task);
+    const pending = scheduler.schedule('openai', dropped, { signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    running.finish();
+    await flush();
+    expect(dropped).not.toHaveBeenCalled();
+  });
+
+  test('should apply new limits to waiting work', async () => {
+    const scheduler = createScheduler({ groq: { requestsPerMinute: 1 } });
+    const task = jest.fn().mockResolvedValue('ok');
+
+    scheduler.schedule('groq', task);
+    scheduler.schedule('groq', task);
+    await flush();
+    expect(task).toHaveBeenCalledTimes(1);
+
+    scheduler.configure({ groq: { requestsPerMinute: 0 } });
+    await flush();
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  test('should pass task failures to the caller', async () => {
+    const scheduler = createScheduler({});
+
+    await expect(scheduler.schedule('openai', () => Promise.reject(new Error('Boom')))).rejects.toThrow('Boom');
+    expect(scheduler.getStats('openai').active).toBe(0);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for token usage and cost accounting
+ *
+ * @jest-environment node
+ */
+
+const {
+  estimateTokens,
+  estimateRequestTokens,
+  createUsageRecord,
+  formatUsageDay,
+  addUsageRecord,
+  calculateUsageCost,
+  sumUsage,
+  findExceededBudget,
+  describeExceededBudget,
+  INLINE_BUDGET_PROMPT_ID
+} = require('../UsageStats.js');
+
+describe('UsageStats', () => {
+  const request = {
+    system: 'abcd',
+    messages: [{ role: 'user', content: 'abcdefg' }],
+    maxTokens: 100
+  };
+  const date = new Date(2026, 9, 19, 12);
+
+  test('should estimate tokens from text length', () => {
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(estimateRequestTokens(request)).toBe(103);
+  });
+
+  test('should keep reported usage and estimate missing counts', () => {
+    const reported = createUsageRecord({
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      promptId: 'summarize',
+      request,
+      result: { text: 'Done', usage: { promptTokens: 12, completionTokens: 3 } },
+      date
+    });
+    const estimated = createUsageRecord({
+      provider: 'ollama',
+      model: 'llama3',
+      request,
+      result: { text: 'Eight ch', usage: { promptTokens: 12 } },
+      date
+    });
+
+    expect(reported).toEqual({
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      promptId: 'summarize',
+      day: '2026-10-19',
+      promptTokens: 12,
+      completionTokens: 3,
+      estimated: false
+    });
+    expect(estimated).toMatchObject({ promptId: 'unknown', promptTokens: 12, completionTokens: 2, estimated: true });
+  });
+
+  test('should aggregate per model, prompt and day', () => {
+    const record = (overrides) => ({
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      promptId: 'summarize',
+      day: '2026-10-19',
+      promptTokens: 100,
+      completionTokens: 50,
+      estimated: false,
+      ...overrides
+    });
+
+    let stats = addUsageRecord(undefined, record());
+    stats = addUsageRecord(stats, record({ promptId: 'analyze_grammar', estimated: true }));
+    stats = addUsageRecord(stats, record({ provider: 'groq', model: 'llama3-8b-8192', day: '2026-10-20' }));
+
+    expect(stats.models['openai:gpt-4o-mini']).toEqual({
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      requests: 2,
+      promptTokens: 200,
+      completionTokens: 100,
+      estimatedRequests: 1
+    });
+    expect(stats.prompts.summarize.requests).toBe(2);
+    expect(stats.prompts.analyze_grammar.estimatedRequests).toBe(1);
+    expect(stats.days['2026-10-19'].models['openai:gpt-4o-mini'].requests).toBe(2);
+    expect(stats.days['2026-10-20'].models['groq:llama3-8b-8192'].promptTokens).toBe(100);
+  });
+
+  test('should drop day totals older than the history window', () => {
+    let stats = addUsageRecord(undefined, {
+      provider: 'openai', model: 'm', promptId: 'p', day: '2026-01-01', promptTokens: 1, completionTokens: 1
+    });
+    stats = addUsageRecord(stats, {
+      provider: 'openai', model: 'm', promptId: 'p', day: '2026-10-19', promptTokens: 1, completionTokens: 1
+    });
+
+    expect(Object.keys(stats.days)).toEqual(['2026-10-19']);
+    expect(stats.models['openai:m'].requests).toBe(2);
+  });
+
+  test('should price totals with the current price table', () => {
+    let stats = addUsageRecord(undefined, {
+      provider: 'openai', model: 'priced', promptId: 'p', day: '2026-10-19', promptTokens: 1000000, completionTokens: 500000
+    });
+    stats = addUsageRecord(stats, {
+      provider: 'ollama', model: 'free', promptId: 'p', day: '2026-10-19', promptTokens: 10, completionTokens: 10
+    });
+    const prices = { priced: { input: 2, output: 4 } };
+
+    expect(calculateUsageCost(stats, stats.models['openai:priced'], prices)).toEqual({ cost: 4, unpriced: false });
+    expect(calculateUsageCost(stats, stats.models['ollama:free'], prices)).toEqual({ cost: 0, unpriced: true });
+    expect(calculateUsageCost(stats, stats.prompts.p, prices)).toEqual({ cost: 4, unpriced: true });
+  });
+
+  test('should format days in local time', () => {
+    expect(formatUsageDay(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+  });
+
+  describe('Budgets', () => {
+    const prices = { 'gpt-4o-mini': { input: 1, output: 2 } };
+    const record = (overrides) => ({
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      promptId: 'summarize',
+      day: '2026-10-19',
+      promptTokens: 100000,
+      completionTokens: 50000,
+      ...overrides
+    });
+    let stats;
+
+    beforeEach(() => {
+      stats = addUsageRecord(undefined, record());
+      stats = addUsageRecord(stats, record({ promptId: 'analyze_grammar' }));
+      stats = addUsageRecord(stats, record({ provider: 'groq', model: 'llama3-8b-8192', day: '2026-10-02' }));
+    });
+
+    test('should sum usage for one provider or one prompt', () => {
+      expect(sumUsage(stats, ['2026-10-19'], {}, prices)).toEqual({ requests: 2, tokens: 300000, cost: 0.4 });
+      expect(sumUsage(stats, ['2026-10-02', '2026-10-19'], { provider: 'groq' }, prices))
+        .toEqual({ requests: 1, tokens: 150000, cost: 0 });
+      expect(sumUsage(stats, ['2026-10-19'], { promptId: 'analyze_grammar' }, prices).requests).toBe(1);
+    });
+
+    test('should report the first daily or monthly limit reached', () => {
+      expect(findExceededBudget(stats, { daily: { requests: 3 } }, {}, prices, date)).toBeNull();
+      expect(findExceededBudget(stats, { daily: { requests: 2 } }, {}, prices, date))
+        .toEqual({ period: 'daily', metric: 'requests', limit: 2, used: 2 });
+      expect(findExceededBudget(stats, { daily: { requests: 2 } }, { provider: 'groq' }, prices, date)).toBeNull();
+      expect(findExceededBudget(stats, { monthly: { requests: 1 } }, { provider: 'groq' }, prices, date))
+        .toMatchObject({ period: 'monthly', metric: 'requests' });
+    });
+
+    test('should check cost limits against the price table and ignore empty limits', () => {
+      expect(findExceededBudget(stats, { daily: { cost: 0.2 } }, { promptId: 'analyze_grammar' }, prices, date))
+        .toMatchObject({ metric: 'cost', used: 0.2 });
+      expect(findExceededBudget(stats, { daily: { requests: 0, tokens: '' } }, {}, prices, date)).toBeNull();
+    });
+
+    test('should keep the inline checker budget apart from the analyze_grammar prompt', () => {
+      expect(findExceededBudget(stats, { daily: { requests: 1 } }, { promptId: INLINE_BUDGET_PROMPT_ID }, prices, date)).toBeNull();
+
+      stats = addUsageRecord(stats, record({ promptId: INLINE_BUDGET_PROMPT_ID }));
+      expect(findExceededBudget(stats, { daily: { requests: 1 } }, { promptId: INLINE_BUDGET_PROMPT_ID }, prices, date))
+        .toMatchObject({ metric: 'requests', used: 1 });
+    });
+
+    test('should describe a reached budget', () => {
+      expect(describeExceededBudget({ period: 'daily', metric: 'cost', limit: 0.5, used: 0.52 }, 'the inline checker'))
+        .toBe('Daily budget for the inline checker reached: $0.52 of $0.50');
+      expect(describeExceededBudget({ period: 'monthly', metric: 'requests', limit: 100, used: 100 }, 'OpenAI'))
+        .toBe('Monthly budget for OpenAI reached: 100 requests of 100 requests');
+    });
+  });
+});